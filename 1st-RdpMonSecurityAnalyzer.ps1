@@ -3082,7 +3082,11 @@ function ConvertTo-EnhancedHtmlReport {
 		[int]$AutoRefreshInterval = 30,
 		
 		[Parameter()]
-		[string]$CustomTemplatePath
+		[string]$CustomTemplatePath,
+		
+		# Sidecar JSON file polled by the dashboard auto-refresh
+		[Parameter()]
+		[string]$DataFilePath
 	)
 	
 	return Measure-Operation -Name "GenerateEnhancedHtmlReport" -ScriptBlock {
@@ -3107,6 +3111,7 @@ function ConvertTo-EnhancedHtmlReport {
 		
 		# Prepare enhanced JSON data structure for modern HTML interface
 		$jsonData = @{
+			SchemaVersion = 2
 			AddrData      = @()
 			SessionData   = @()
 			PropData      = @()
@@ -3119,6 +3124,7 @@ function ConvertTo-EnhancedHtmlReport {
 				TotalRecords        = $Data.AddrResults.Count
 				AutoRefreshInterval = $AutoRefreshInterval
 				ReportId            = "RDPMON-" + (Get-Date -Format "yyyyMMddHHmmss")
+				ServerName          = [System.Environment]::MachineName
 			}
 		}
 		
@@ -3187,6 +3193,10 @@ function ConvertTo-EnhancedHtmlReport {
 		$htmlContent = $htmlContent -replace '\{\{AUTO_REFRESH_INTERVAL\}\}', $AutoRefreshInterval
 		$htmlContent = $htmlContent -replace '\{\{REPORT_ID\}\}', $jsonData.ReportInfo.ReportId
 		
+		# The report references its data file by name so it resolves next to the HTML
+		$dataFileName = if ($DataFilePath) { Split-Path -Path $DataFilePath -Leaf } else { '' }
+		$htmlContent = $htmlContent.Replace('{{DATA_FILE}}', $dataFileName)
+		
 		# Replace JSON data placeholder with properly escaped content
 		if ($htmlTemplate -match '\{\{DATA_JSON\}\}') {
 			try {
@@ -3213,6 +3223,12 @@ function ConvertTo-EnhancedHtmlReport {
 			Write-DebugStep -Phase "GenerateEnhancedHtmlReport" -Message "Warning: Template does not contain {{DATA_JSON}} placeholder" -Type 'Warning'
 		}
 		
+		# Write the unescaped JSON next to the report for the dashboard refresh timer
+		if ($DataFilePath) {
+			Write-DebugStep -Phase "GenerateEnhancedHtmlReport" -Message "Writing sidecar data file: $DataFilePath" -Type 'Progress'
+			$jsonString | Out-File -FilePath $DataFilePath -Encoding UTF8 -Force -ErrorAction Stop
+		}
+		
 		Write-DebugStep -Phase "GenerateEnhancedHtmlReport" -Message "Enhanced HTML report generated successfully" -Type 'Complete' -Data @{
 			AddrRecords     = $Data.AddrResults.Count
 			SessionRecords  = $Data.SessionResults.Count
@@ -3313,8 +3329,11 @@ function Export-Results {
 				Write-DebugStep -Phase "ExportResults" -Message "Generating HTML report" -Type 'Progress'
 				
 				if ($Data -is [hashtable]) {
+					# Sidecar data file (report.html -> report.data.json) lets the open report reload fresh data
+					$dataFilePath = if ($FilePath) { [System.IO.Path]::ChangeExtension($FilePath, '.data.json') } else { $null }
+					
 					# Use enhanced HTML report for modern interface
-					$output = ConvertTo-EnhancedHtmlReport -Data $Data -Title "RDP Security Monitor - Complete Report" -AutoRefreshInterval $AutoRefreshInterval -CustomTemplatePath $HtmlTemplatePath
+					$output = ConvertTo-EnhancedHtmlReport -Data $Data -Title "RDP Security Monitor - Complete Report" -AutoRefreshInterval $AutoRefreshInterval -CustomTemplatePath $HtmlTemplatePath -DataFilePath $dataFilePath
 				}
 				else {
 					$output = ConvertTo-HtmlReport -Data $Data -Title "RDP Monitor Report" -AutoRefreshInterval $AutoRefreshInterval -CustomTemplatePath $HtmlTemplatePath
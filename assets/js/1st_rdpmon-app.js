@@ -15,6 +15,60 @@ let isInitialized = false;
 
 // Global application namespace with encapsulated state
 const RDP_Monitor_App = (function() {
+	/**
+	 * Default User Settings
+	 * The one list of settings keys: the initial state, loaded, reset and saved settings
+	 * all start from it, so a new setting is added here only
+	 */
+	const DEFAULT_SETTINGS = Object.freeze({
+		// IP Information Service
+		ipInfoService: 'ripe',
+		
+		// Chart preferences
+		defaultChartPeriod: 'month',
+		chartItemsLimit: 10,
+		
+		// UI preferences
+		themeMode: 'auto',
+		tableDensity: 'normal',
+		animationLevel: 'minimal',
+		pageWidth: 'full',
+		
+		// Application behavior
+		autoRefreshInterval: 30,
+		itemsPerPage: 10,
+		
+		// Connections table navigation: 'pages' (prev/next) or 'scroll' (infinite scroll)
+		tableMode: 'pages',
+		
+		// Column order, visibility and width per table (see TableColumns), null for the defaults
+		columnLayout: null,
+		
+		// Facet panel next to the connections table
+		showFacets: true,
+		
+		// Risk score factor weights (see RiskScore), null for the defaults
+		riskWeights: null,
+		// Risk score from which an IP raises alerts
+		riskAlertThreshold: 70,
+		
+		// Saved views: { name, query (filter, search, sort and period hash parameters), columns }
+		savedViews: [],
+		// Name of the view opened when the report is opened without a link; one default per
+		// browser profile (settings live in its localStorage), the dashboard has no user profiles
+		defaultView: null
+	});
+	
+	/**
+	 * Create a settings object from the defaults
+	 * 
+	 * @param {Object} [values={}] - Values replacing the defaults
+	 * @returns {Object} Settings with every default key
+	 */
+	function createSettings(values = {}) {
+		return { ...JSON.parse(JSON.stringify(DEFAULT_SETTINGS)), ...values };
+	}
+	
 	/**
 	 * Application State Management
 	 * Centralized state object for managing application data and settings
@@ -26,22 +80,120 @@ const RDP_Monitor_App = (function() {
 		sessionData: [],
 		propData: [],
 		databaseStats: {},
+		// Failed logon attempts per IP (summed over servers), links sessions to connection records
+		failCountByIp: new Map(),
+		
+		// Fleet mode (several servers merged into one data set)
+		servers: [],
+		attackServersByIp: new Map(),
+		currentServer: 'all',
+		
+		// Possibly compromised IPs of the selected server and date range (see CompromiseDetector)
+		compromises: [],
+		compromiseScope: null,
+		compromisesId: 0,
+		
+		// Spraying and distributed brute-force campaigns (see CampaignDetector) of the server and date range
+		campaigns: [],
+		campaignScope: null,
+		campaignsId: 0,
+		// Campaigns expanded in the panel, by their first IP
+		openCampaigns: new Set(),
+		
+		// Weekly activity heatmap: traffic ('attack' or 'legit') and cell metric ('attempts' or 'ips')
+		heatmapView: {
+			traffic: 'attack',
+			metric: 'attempts'
+		},
+		
+		// Usernames tab: attempted accounts (see AccountAnalytics) of the server and date range,
+		// list search, ranking, legit filter and the account key shown in the drill-down
+		accounts: [],
+		accountScope: null,
+		accountsId: 0,
+		accountView: {
+			search: '',
+			rank: 'ips',
+			legit: 'all',
+			selected: null
+		},
 		
 		// UI state
 		filteredAddrData: [],
+		filteredSessionData: [],
+		// Sessions in the server and date scope of the sessions table, and its latest pipeline query
+		scopedSessionCount: 0,
+		sessionsId: 0,
 		currentFilter: 'all',
-		currentSort: { field: 'last', direction: 'desc' },
+		// Filter pipeline: one { kind, value } per chip (type, search, date, fails, user, subnet, domain)
+		filters: [],
+		// Sort keys by priority: [{ field, direction }], shift-click adds up to maxSortKeys
+		currentSort: [{ field: 'last', direction: 'desc' }],
 		currentPage: 1,
 		pageSize: 10,
 		
+		// Sessions table: search text, SessionType ('all' for any), status (all, active, ended),
+		// sort keys and page; the server and date range come from the connections filters
+		sessionView: {
+			search: '',
+			type: 'all',
+			status: 'all',
+			sort: [{ field: 'start', direction: 'desc' }],
+			page: 1
+		},
+		
 		// Auto-refresh management
 		autoRefreshInterval: 30,
 		autoRefreshTimer: null,
+		refreshInProgress: false,
+		
+		// Records added or changed by the last data refresh (key -> 'new' | 'changed')
+		changedAddrKeys: new Map(),
+		changedSessionKeys: new Map(),
+		
+		// Name of an exported report opened from disk (pauses live reload)
+		loadedFileName: null,
+		
+		// Schema check result of the displayed data (see ReportSchema)
+		diagnostics: null,
+		
+		// Latest data pipeline query: sorted matches, KPI stats, type counts, timeline buckets
+		queryResult: null,
+		queryId: 0,
+		// Filter chips of queryResult, restored when a newer query fails
+		queryFilters: [],
+		diagnosticsDismissed: false,
+		
+		// Facet panel groups the user collapsed
+		collapsedFacets: new Set(),
+		
+		// Snapshot comparison slots: { name, data }, { dashboard: true } or null
+		// (an empty 'current' slot follows the dashboard data)
+		compare: {
+			baseline: null,
+			current: null
+		},
 		
 		// Chart management
 		charts: {
 			timeline: null,
-			distribution: null
+			distribution: null,
+			sessionTimeline: null,
+			accountTimeline: null
+		},
+		
+		// Risk weights completed from settings.riskWeights (source) and the scores computed
+		// with them; scores are dropped by each query so the recency factor follows the clock
+		riskCache: {
+			source: null,
+			weights: null,
+			scores: new WeakMap()
+		},
+		
+		// Virtual tables (see VirtualTable)
+		tables: {
+			connections: null,
+			sessions: null
 		},
 		currentTimelinePeriod: 'month',
 		chartDistributionLimit: 10,
@@ -52,26 +204,9 @@ const RDP_Monitor_App = (function() {
 		
 		/**
 		 * User Settings Configuration
-		 * Persistent settings with local storage integration
+		 * Persistent settings with local storage integration (see DEFAULT_SETTINGS)
 		 */
-		settings: {
-			// IP Information Service
-			ipInfoService: 'ripe',
-			
-			// Chart preferences
-			defaultChartPeriod: 'month',
-			chartItemsLimit: 10,
-			
-			// UI preferences
-			themeMode: 'auto',
-			tableDensity: 'normal',
-			animationLevel: 'minimal',
-			pageWidth: 'full',
-			
-			// Application behavior
-			autoRefreshInterval: 30,
-			itemsPerPage: 10
-		}
+		settings: createSettings()
 	};
 
 	/**
@@ -79,6 +214,11 @@ const RDP_Monitor_App = (function() {
 	 * Centralized reference to all DOM elements for performance optimization
 	 */
 	const DOM = {};
+	
+	/**
+	 * Data layer modules shared with the pipeline worker (1st_rdpmon-pipeline.js)
+	 */
+	const { ReportSchema, RecordNormalizer, SearchQuery, ConnectionFilter, ActivityHeatmap, SessionQuery, RiskScore } = RdpMonPipeline;
 
 /**
  * Initialize Application
@@ -104,6 +244,12 @@ function init(config) {
     // Cache DOM elements FIRST
     cacheDOMElements();
     
+    // Start the data pipeline worker before anything queries data
+    DataPipeline.init();
+    
+    // Create the virtual tables before settings render them
+    initTables();
+    
     // Load persistent settings
     SettingsManager.loadSettings();
     
@@ -113,23 +259,25 @@ function init(config) {
     // Initialize period button styles
     updatePeriodButtonStyles();
     
-    // Parse data from PowerShell template
-    parseData();
-    
     // Initialize all application modules
     initTabs();
     initEventListeners();
     SettingsManager.initEventListeners();
+    SnapshotCompare.initEventListeners();
+    TableColumns.initEventListeners();
+    SessionTimeline.initEventListeners();
+    AccountView.initEventListeners();
     
-    // Apply initial UI state
-    applyFilter('all');
-    calculateStats();
-    updateMetrics();
-    updateConnectionsTable();
-    updateSessionsTable();
+    // A shared link (location.hash) overrides the saved tab, sort and timeline period;
+    // without one the default saved view opens
+    const linkedState = UrlState.init();
+    if (!location.hash && APP_STATE.settings.defaultView) {
+        SettingsManager.applyView(APP_STATE.settings.defaultView, { render: false });
+    }
     
-    // Initialize charts with current settings
-    initCharts();
+    // Parse data from PowerShell template in the pipeline, then render every view
+    // (charts are initialized by the first render)
+    parseData().then(refreshView).then(() => UrlState.start(linkedState));
     
     // Start auto-refresh system
     startAutoRefresh();
@@ -154,12 +302,25 @@ function init(config) {
 		DOM.activeCount = document.getElementById('active-count');
 		DOM.attackProgress = document.getElementById('attack-progress');
 		DOM.legitProgress = document.getElementById('legit-progress');
+		DOM.mixedCount = document.getElementById('mixed-count');
+		DOM.mixedProgress = document.getElementById('mixed-progress');
+		DOM.mixedCard = document.getElementById('mixed-card');
+		DOM.mixedBadge = document.getElementById('mixed-badge');
+		DOM.unknownCount = document.getElementById('unknown-count');
+		DOM.unknownProgress = document.getElementById('unknown-progress');
 		DOM.failRate = document.getElementById('fail-rate');
 		DOM.generationTime = document.getElementById('generation-time');
 		
 		// Table elements
 		DOM.dataTable = document.getElementById('data-table');
 		DOM.sessionsTable = document.getElementById('sessions-table');
+		DOM.sessionSearch = document.getElementById('session-search');
+		DOM.sessionTypeFilter = document.getElementById('session-type-filter');
+		DOM.sessionStatusFilter = document.getElementById('session-status-filter');
+		DOM.sessionMatchCount = document.getElementById('session-match-count');
+		DOM.sessionPageInfo = document.getElementById('session-page-info');
+		DOM.sessionPrevPage = document.getElementById('session-prev-page');
+		DOM.sessionNextPage = document.getElementById('session-next-page');
 		DOM.tableCount = document.getElementById('table-count');
 		DOM.totalRecords = document.getElementById('total-records');
 		DOM.sessionCount = document.getElementById('session-count');
@@ -167,6 +328,7 @@ function init(config) {
 		DOM.prevPage = document.getElementById('prev-page');
 		DOM.nextPage = document.getElementById('next-page');
 		DOM.tableSearch = document.getElementById('table-search');
+		DOM.searchErrors = document.getElementById('search-errors');
 		
 		// Control elements
 		DOM.refreshInterval = document.getElementById('refresh-interval');
@@ -177,11 +339,65 @@ function init(config) {
 		DOM.themeIcon = document.getElementById('theme-icon');
 		DOM.filterAll = document.getElementById('filter-all');
 		DOM.filterAttack = document.getElementById('filter-attack');
+		DOM.filterMixed = document.getElementById('filter-mixed');
+		DOM.filterUnknown = document.getElementById('filter-unknown');
 		DOM.filterLegit = document.getElementById('filter-legit');
+		DOM.filterChips = document.getElementById('filter-chips');
+		DOM.filterAddBtn = document.getElementById('filter-add-btn');
+		DOM.dateRange = document.getElementById('date-range');
+		DOM.filterAddForm = document.getElementById('filter-add-form');
+		DOM.filterAddKind = document.getElementById('filter-add-kind');
+		DOM.filterAddError = document.getElementById('filter-add-error');
+		DOM.facetPanel = document.getElementById('facet-panel');
+		DOM.facetGroups = document.getElementById('facet-groups');
+		DOM.facetToggle = document.getElementById('facet-toggle');
 		DOM.exportBtn = document.getElementById('export-btn');
+		DOM.openReportBtn = document.getElementById('open-report-btn');
+		DOM.openReportInput = document.getElementById('open-report-input');
+		DOM.dropOverlay = document.getElementById('drop-overlay');
+		DOM.dataSource = document.getElementById('data-source');
+		DOM.dataSourceName = document.getElementById('data-source-name');
+		DOM.pipelineStatus = document.getElementById('pipeline-status');
+		DOM.pipelineStatusText = document.getElementById('pipeline-status-text');
+		DOM.pipelineProgressBar = document.getElementById('pipeline-progress-bar');
+		DOM.diagnosticsPanel = document.getElementById('diagnostics-panel');
+		DOM.compromisePanel = document.getElementById('compromise-panel');
+		DOM.compromiseSummary = document.getElementById('compromise-summary');
+		DOM.compromiseList = document.getElementById('compromise-list');
+		DOM.diagnosticsSummary = document.getElementById('diagnostics-summary');
+		DOM.diagnosticsList = document.getElementById('diagnostics-list');
+		DOM.diagnosticsToggle = document.getElementById('diagnostics-toggle');
+		DOM.diagnosticsDismiss = document.getElementById('diagnostics-dismiss');
+		DOM.serverFilter = document.getElementById('server-filter');
+		DOM.fleetBreakdown = document.getElementById('fleet-breakdown');
+		DOM.fleetBreakdownTable = document.getElementById('fleet-breakdown-table');
+		DOM.fleetServerCount = document.getElementById('fleet-server-count');
+		DOM.crossHostCount = document.getElementById('cross-host-count');
+		DOM.campaignsList = document.getElementById('campaigns-list');
+		DOM.campaignCount = document.getElementById('campaign-count');
+		DOM.activityHeatmap = document.getElementById('activity-heatmap');
+		DOM.heatmapInfo = document.getElementById('heatmap-info');
+		DOM.heatmapTraffic = document.getElementById('heatmap-traffic');
+		DOM.heatmapMetric = document.getElementById('heatmap-metric');
+		DOM.accountSearch = document.getElementById('account-search');
+		DOM.accountRank = document.getElementById('account-rank');
+		DOM.accountLegitFilter = document.getElementById('account-legit-filter');
+		DOM.accountsTable = document.getElementById('accounts-table');
+		DOM.accountMatchCount = document.getElementById('account-match-count');
+		DOM.accountCount = document.getElementById('account-count');
+		DOM.accountDetail = document.getElementById('account-detail');
+		DOM.accountDetailEmpty = document.getElementById('account-detail-empty');
+		DOM.accountDetailHeader = document.getElementById('account-detail-header');
+		DOM.accountTimelineChart = document.getElementById('account-timeline-chart');
+		DOM.accountAttackers = document.getElementById('account-attackers');
 		
 		// Chart elements
 		DOM.timelineChart = document.getElementById('timelineChart');
+		DOM.sessionTimelineChart = document.getElementById('session-timeline-chart');
+		DOM.sessionTimelineContainer = document.getElementById('session-timeline-container');
+		DOM.sessionTimelineEmpty = document.getElementById('session-timeline-empty');
+		DOM.sessionTimelineInfo = document.getElementById('session-timeline-info');
+		DOM.sessionTimelineGroup = document.getElementById('session-timeline-group');
 		DOM.distributionChart = document.getElementById('distributionChart');
 		DOM.distributionLimit = document.getElementById('distribution-limit');
 		DOM.distributionLegend = document.getElementById('distribution-legend');
@@ -189,10 +405,24 @@ function init(config) {
 		// Tab elements
 		DOM.tabConnections = document.getElementById('tab-connections');
 		DOM.tabSessions = document.getElementById('tab-sessions');
+		DOM.tabUsernames = document.getElementById('tab-usernames');
 		DOM.tabMetrics = document.getElementById('tab-metrics');
 		DOM.tabSettings = document.getElementById('tab-settings');
+		DOM.tabCompare = document.getElementById('tab-compare');
+		DOM.compareTab = document.getElementById('compare-tab');
+		DOM.compareBaselineName = document.getElementById('compare-baseline-name');
+		DOM.compareBaselineInput = document.getElementById('compare-baseline-input');
+		DOM.compareBaselineBtn = document.getElementById('compare-baseline-btn');
+		DOM.compareBaselineDashboard = document.getElementById('compare-baseline-dashboard');
+		DOM.compareCurrentName = document.getElementById('compare-current-name');
+		DOM.compareCurrentInput = document.getElementById('compare-current-input');
+		DOM.compareCurrentBtn = document.getElementById('compare-current-btn');
+		DOM.compareCurrentDashboard = document.getElementById('compare-current-dashboard');
+		DOM.compareSwap = document.getElementById('compare-swap');
+		DOM.compareResults = document.getElementById('compare-results');
 		DOM.connectionsTab = document.getElementById('connections-tab');
 		DOM.sessionsTab = document.getElementById('sessions-tab');
+		DOM.usernamesTab = document.getElementById('usernames-tab');
 		DOM.metricsTab = document.getElementById('metrics-tab');
 		DOM.settingsTab = document.getElementById('settings-tab');
 		
@@ -212,11 +442,23 @@ function init(config) {
 		DOM.defaultChartPeriod = document.getElementById('default-chart-period');
 		DOM.chartItemsLimit = document.getElementById('chart-items-limit');
 		DOM.pageSizeSelect = document.getElementById('page-size-select');
+		DOM.tableModeSelect = document.getElementById('table-mode-select');
+		DOM.tableModeToggle = document.getElementById('table-mode-toggle');
 		DOM.settingsRefreshInterval = document.getElementById('settings-refresh-interval');
 		DOM.settingsIntervalValue = document.getElementById('settings-interval-value');
 		DOM.saveSettings = document.getElementById('save-settings');
 		DOM.resetSettings = document.getElementById('reset-settings');
 		DOM.clearStorage = document.getElementById('clear-storage');
+		DOM.savedViews = document.getElementById('saved-views');
+		DOM.saveViewBtn = document.getElementById('save-view-btn');
+		DOM.savedViewsList = document.getElementById('saved-views-list');
+		DOM.exportViews = document.getElementById('export-views');
+		DOM.importViews = document.getElementById('import-views');
+		DOM.importViewsInput = document.getElementById('import-views-input');
+		DOM.riskWeightInputs = document.querySelectorAll('.risk-weight-input');
+		DOM.riskAlertThreshold = document.getElementById('risk-alert-threshold');
+		DOM.riskAlertThresholdValue = document.getElementById('risk-alert-threshold-value');
+		DOM.resetRiskWeights = document.getElementById('reset-risk-weights');
 		
 		// Footer elements
 		DOM.dbInfo = document.getElementById('db-info');
@@ -231,15 +473,15 @@ function init(config) {
 	 */
 	const Utils = {
 		/**
-		 * Format date string to localized display format
+		 * Format date to localized display format
 		 * 
-		 * @param {string} dateString - ISO date string
+		 * @param {Date|string} dateString - Date object or ISO date string
 		 * @returns {string} Formatted date string
 		 */
 		formatDate: (dateString) => {
 			try {
 				if (!dateString || dateString === 'null' || dateString === 'undefined') return 'N/A';
-				const date = new Date(dateString);
+				const date = dateString instanceof Date ? dateString : new Date(dateString);
 				if (isNaN(date.getTime())) return 'Invalid date';
 				return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { 
 					hour: '2-digit', 
@@ -252,17 +494,18 @@ function init(config) {
 		},
 		
 		/**
-		 * Format duration object to human-readable string
+		 * Format duration to human-readable string
 		 * 
-		 * @param {Object} duration - Duration object with Days, Hours, Minutes, Seconds
+		 * @param {number} duration - Duration in milliseconds (see RecordNormalizer)
 		 * @returns {string} Formatted duration string
 		 */
 		formatDuration: (duration) => {
-			if (!duration || typeof duration !== 'object') return 'N/A';
-			const days = duration.Days || 0;
-			const hours = duration.Hours || 0;
-			const minutes = duration.Minutes || 0;
-			const seconds = duration.Seconds || 0;
+			if (typeof duration !== 'number' || !isFinite(duration)) return 'N/A';
+			const totalSeconds = Math.floor(duration / 1000);
+			const days = Math.floor(totalSeconds / 86400);
+			const hours = Math.floor((totalSeconds % 86400) / 3600);
+			const minutes = Math.floor((totalSeconds % 3600) / 60);
+			const seconds = totalSeconds % 60;
 			
 			if (days > 0) return `${days}d ${hours}h ${minutes}m`;
 			if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
@@ -274,12 +517,12 @@ function init(config) {
 		/**
 		 * Format session duration for display
 		 * 
-		 * @param {Object} duration - Session duration object
+		 * @param {number} duration - Session duration in milliseconds
 		 * @returns {string} Formatted session duration
 		 */
 		formatSessionDuration: (duration) => {
-			if (!duration || typeof duration !== 'object') return 'N/A';
-			const totalMinutes = duration.TotalMinutes || 0;
+			if (typeof duration !== 'number' || !isFinite(duration)) return 'N/A';
+			const totalMinutes = duration / 60000;
 			if (totalMinutes > 60) {
 				const hours = Math.floor(totalMinutes / 60);
 				const minutes = Math.round(totalMinutes % 60);
@@ -308,8 +551,8 @@ function init(config) {
 					icon: 'fa-check-circle' 
 				};
 				case 'mixed': return { 
-					bg: 'bg-blue-100 dark:bg-blue-900/30', 
-					text: 'text-blue-700 dark:text-blue-300', 
+					bg: 'bg-orange-100 dark:bg-orange-900/30', 
+					text: 'text-orange-700 dark:text-orange-300', 
 					icon: 'fa-exchange-alt' 
 				};
 				default: return { 
@@ -320,6 +563,22 @@ function init(config) {
 			}
 		},
 		
+		/**
+		 * Get chart color for connection type
+		 * 
+		 * @param {string} type - Connection type
+		 * @returns {string} Hex color
+		 */
+		getTypeChartColor: (type) => {
+			switch ((type || 'unknown').toLowerCase()) {
+				case 'attack': return '#ef4444';
+				case 'legit': return '#22c55e';
+				case 'mixed': return '#f97316';
+				case 'unknown': return '#94a3b8';
+				default: return '#a855f7';
+			}
+		},
+		
 		/**
 		 * Get color scheme for session type
 		 * 
@@ -352,6 +611,39 @@ function init(config) {
 			}
 		},
 		
+		/**
+		 * Get color scheme and level name for a risk score
+		 * 
+		 * @param {number} score - Risk score, 0–100
+		 * @returns {Object} Color configuration object with the level label
+		 */
+		getRiskColor: (score) => {
+			if (score >= 75) return {
+				bg: 'bg-danger-100 dark:bg-danger-900/30',
+				text: 'text-danger-700 dark:text-danger-300',
+				bar: 'bg-danger-500',
+				label: 'Critical'
+			};
+			if (score >= 50) return {
+				bg: 'bg-orange-100 dark:bg-orange-900/30',
+				text: 'text-orange-700 dark:text-orange-300',
+				bar: 'bg-orange-500',
+				label: 'High'
+			};
+			if (score >= 25) return {
+				bg: 'bg-yellow-100 dark:bg-yellow-900/30',
+				text: 'text-yellow-700 dark:text-yellow-300',
+				bar: 'bg-yellow-500',
+				label: 'Medium'
+			};
+			return {
+				bg: 'bg-gray-100 dark:bg-gray-800',
+				text: 'text-gray-700 dark:text-gray-300',
+				bar: 'bg-gray-400',
+				label: 'Low'
+			};
+		},
+		
 		/**
 		 * Copy text to clipboard with visual feedback
 		 * 
@@ -569,1914 +861,6212 @@ function init(config) {
 	/**
 	 * Parse data from PowerShell template
 	 */
-	function parseData() {
+	async function parseData() {
+		const source = 'Embedded report data';
+		const dataJson = window.TEMPLATE_VARS.DATA_JSON;
+		let result;
+		
 		try {
-			// Parse the data from PowerShell
-			const jsonData = window.parsePowerShellJSON(window.TEMPLATE_VARS.DATA_JSON);
-			
-			APP_STATE.data = jsonData;
-			APP_STATE.addrData = jsonData.AddrData || [];
-			APP_STATE.sessionData = jsonData.SessionData || [];
-			APP_STATE.propData = jsonData.PropData || [];
-			APP_STATE.databaseStats = jsonData.DatabaseStats || {};
+			if (!dataJson || dataJson.startsWith('{{')) {
+				const diagnostics = ReportSchema.createDiagnostics(source);
+				ReportSchema.addIssue(diagnostics, 'error', {
+					section: 'DATA_JSON',
+					message: 'Report data could not be read: the {{DATA_JSON}} placeholder was not replaced by the generator'
+				});
+				diagnostics.fatal = true;
+				result = { data: null, diagnostics };
+			} else {
+				// Parse the data from PowerShell
+				result = await DataPipeline.request('open', { text: dataJson, format: 'powershell', source });
+			}
 			
-			DEBUG && console.log('📊 Data parsed:', {
-				addrData: APP_STATE.addrData.length,
-				sessionData: APP_STATE.sessionData.length,
-				propData: APP_STATE.propData.length
-			});
+			setDiagnostics(result.diagnostics);
+			if (result.diagnostics.fatal) {
+				DEBUG && console.error('❌ Error parsing data:', result.diagnostics.issues);
+				Utils.showNotification(`Report data is invalid: ${Utils.escapeHtml(ReportSchema.summarize(result.diagnostics))}`, 'error');
+				result = { data: ReportSchema.emptyReport(), ...(await DataPipeline.request('load', { data: ReportSchema.emptyReport() })) };
+			}
 		} catch (error) {
+			// The pipeline failed: show an empty dashboard, in the pipeline too when it still answers
 			DEBUG && console.error('❌ Error parsing data:', error);
-			Utils.showNotification('Error parsing data', 'error');
+			Utils.showNotification(`Error parsing data: ${Utils.escapeHtml(error.message)}`, 'error');
+			result = await DataPipeline.request('load', { data: ReportSchema.emptyReport() })
+				.then(loaded => ({ data: ReportSchema.emptyReport(), ...loaded }))
+				.catch(() => ({ data: ReportSchema.emptyReport(), addrData: [], sessionData: [] }));
 		}
+		
+		setData(result);
 	}
 	
 	/**
-	 * Apply filter to connection data
+	 * Store the schema check result of the displayed data and show it
 	 * 
-	 * @param {string} filterType - Filter type (all, attack, legit)
+	 * @param {Object} diagnostics - Diagnostics from ReportSchema
+	 * @param {Object} options - { keepDismissed } keeps a dismissed panel hidden
 	 */
-	function applyFilter(filterType) {
-		DEBUG && console.log('🔍 Applying filter:', filterType);
-		APP_STATE.currentFilter = filterType;
-		switch(filterType) {
-			case 'attack':
-				APP_STATE.filteredAddrData = APP_STATE.addrData.filter(item => 
-					item.ConnectionType && item.ConnectionType.toLowerCase() === 'attack'
-				);
-				break;
-			case 'legit':
-				APP_STATE.filteredAddrData = APP_STATE.addrData.filter(item => 
-					item.ConnectionType && item.ConnectionType.toLowerCase() === 'legit'
-				);
-				break;
-			default:
-				APP_STATE.filteredAddrData = [...APP_STATE.addrData];
-		}
-		APP_STATE.currentPage = 1;
-		applySort();
+	function setDiagnostics(diagnostics, options = {}) {
+		const { keepDismissed = false } = options;
+		APP_STATE.diagnostics = diagnostics;
+		APP_STATE.diagnosticsDismissed = keepDismissed && APP_STATE.diagnosticsDismissed;
+		updateDiagnosticsPanel();
 	}
 	
-/**
- * Apply sorting to filtered data
- * 
- * @param {string} field - Field to sort by
- */
-function applySort(field = APP_STATE.currentSort.field) {
-    DEBUG && console.log('📊 Applying sort:', field, 'current direction:', APP_STATE.currentSort.direction);
-    
-    // If clicking on same field, toggle direction
-    // If clicking on different field, set to descending
-    if (APP_STATE.currentSort.field === field) {
-        APP_STATE.currentSort.direction = APP_STATE.currentSort.direction === 'asc' ? 'desc' : 'asc';
-    } else {
-        APP_STATE.currentSort.field = field;
-        APP_STATE.currentSort.direction = 'desc'; // Changed from 'asc' to 'desc'
-    }
-    
-    DEBUG && console.log('📊 New sort state:', APP_STATE.currentSort);
-    
-    APP_STATE.filteredAddrData.sort((a, b) => {
-        let aVal, bVal;
-        
-        switch (field) {
-            case 'ip':
-                aVal = (a.IP || '').toLowerCase();
-                bVal = (b.IP || '').toLowerCase();
-                break;
-            case 'type':
-                aVal = (a.ConnectionType || '').toLowerCase();
-                bVal = (b.ConnectionType || '').toLowerCase();
-                break;
-            case 'fails':
-                aVal = parseInt(a.FailCount) || 0;
-                bVal = parseInt(b.FailCount) || 0;
-                break;
-            case 'first':
-                aVal = a.FirstLocal ? new Date(a.FirstLocal).getTime() : 0;
-                bVal = b.FirstLocal ? new Date(b.FirstLocal).getTime() : 0;
-                break;
-            case 'last':
-                aVal = a.LastLocal ? new Date(a.LastLocal).getTime() : 0;
-                bVal = b.LastLocal ? new Date(b.LastLocal).getTime() : 0;
-                break;
-            case 'users':
-                // Sort by number of users attempted
-                const aUsers = Array.isArray(a.UserNames) ? a.UserNames.length : 0;
-                const bUsers = Array.isArray(b.UserNames) ? b.UserNames.length : 0;
-                aVal = aUsers;
-                bVal = bUsers;
-                break;
-            default:
-                aVal = a[field] || '';
-                bVal = b[field] || '';
-        }
-        
-        // For ascending order
-        if (APP_STATE.currentSort.direction === 'asc') {
-            if (typeof aVal === 'string' && typeof bVal === 'string') {
-                return aVal.localeCompare(bVal);
-            }
-            return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-        } 
-        // For descending order (default)
-        else {
-            if (typeof aVal === 'string' && typeof bVal === 'string') {
-                return bVal.localeCompare(aVal);
-            }
-            return bVal < aVal ? -1 : bVal > aVal ? 1 : 0;
-        }
-    });
-    
-    // Save sort preference
-    SettingsManager.saveSortPreference();
-    
-    // Update sort icons in ALL headers
-    document.querySelectorAll('.sortable').forEach(header => {
-        const icon = header.querySelector('i');
-        if (icon) {
-            if (header.dataset.sort === APP_STATE.currentSort.field) {
-                icon.className = `fas fa-sort-${APP_STATE.currentSort.direction === 'asc' ? 'up' : 'down'} ml-1`;
-            } else {
-                icon.className = 'fas fa-sort ml-1';
-            }
-        }
-    });
-    
-    updateConnectionsTable();
-}
-	
 	/**
-	 * Search connection data
+	 * Store a loaded data set in application state
+	 * Shared by the embedded template data, the refreshed sidecar data file and opened reports
 	 * 
-	 * @param {string} query - Search query
+	 * @param {Object} result - Pipeline load result: { data, addrData, sessionData } where
+	 *                          data is the report payload and the records are typed (see RecordNormalizer)
 	 */
-	function searchData(query) {
-		if (!query || !query.trim()) {
-			applyFilter(APP_STATE.currentFilter);
-			return;
-		}
+	function setData(result) {
+		const { data: jsonData, addrData, sessionData } = result;
+		APP_STATE.queryResult = null;
+		APP_STATE.data = jsonData;
+		APP_STATE.addrData = addrData;
+		APP_STATE.sessionData = sessionData;
+		APP_STATE.propData = jsonData.PropData || [];
+		APP_STATE.databaseStats = jsonData.DatabaseStats || {};
 		
-		const searchLower = query.toLowerCase();
-		APP_STATE.filteredAddrData = APP_STATE.addrData.filter(item => {
-			// Search in IP
-			if (item.IP && item.IP.toLowerCase().includes(searchLower)) return true;
-			
-			// Search in Hostname
-			if (item.Hostname && item.Hostname.toLowerCase().includes(searchLower)) return true;
-			
-			// Search in UserNames array
-			if (item.UserNames && Array.isArray(item.UserNames)) {
-				return item.UserNames.some(user => 
-					user && user.toLowerCase().includes(searchLower)
-				);
+		// Collect source servers of fleet data sets and the servers each IP failed against
+		const servers = new Set();
+		APP_STATE.attackServersByIp = new Map();
+		APP_STATE.failCountByIp = new Map();
+		APP_STATE.addrData.forEach(item => {
+			APP_STATE.failCountByIp.set(item.IP, (APP_STATE.failCountByIp.get(item.IP) || 0) + (item.FailCount || 0));
+			if (!item.Server) return;
+			servers.add(item.Server);
+			if (item.FailCount > 0) {
+				if (!APP_STATE.attackServersByIp.has(item.IP)) {
+					APP_STATE.attackServersByIp.set(item.IP, new Set());
+				}
+				APP_STATE.attackServersByIp.get(item.IP).add(item.Server);
 			}
-			
-			return false;
 		});
+		APP_STATE.sessionData.forEach(session => {
+			if (session.Server) servers.add(session.Server);
+		});
+		APP_STATE.servers = [...servers].sort((a, b) => a.localeCompare(b));
+		if (!APP_STATE.servers.includes(APP_STATE.currentServer)) {
+			APP_STATE.currentServer = 'all';
+		}
 		
-		APP_STATE.currentPage = 1;
-		updateConnectionsTable();
+		DEBUG && console.log('📊 Data parsed:', {
+			addrData: APP_STATE.addrData.length,
+			sessionData: APP_STATE.sessionData.length,
+			propData: APP_STATE.propData.length,
+			servers: APP_STATE.servers.length
+		});
 	}
 	
 	/**
-	 * Calculate and display statistics
+	 * Get the end of the date range chip, the timeline counts back from it
+	 * 
+	 * @returns {Date} Range end, now when the range is open-ended
 	 */
-	function calculateStats() {
-		const total = APP_STATE.addrData.length;
-		const attacks = APP_STATE.addrData.filter(item => 
-			item.ConnectionType && item.ConnectionType.toLowerCase() === 'attack'
-		).length;
-		const legit = APP_STATE.addrData.filter(item => 
-			item.ConnectionType && item.ConnectionType.toLowerCase() === 'legit'
-		).length;
-		
-		const totalFails = APP_STATE.addrData.reduce((sum, item) => 
-			sum + (parseInt(item.FailCount) || 0), 0
-		);
-		
-		const totalSuccess = APP_STATE.addrData.reduce((sum, item) => 
-			sum + (parseInt(item.SuccessCount) || 0), 0
-		);
-		
-		const failRate = totalSuccess + totalFails > 0 ? 
-			((totalFails / (totalFails + totalSuccess)) * 100).toFixed(1) : 0;
-		
-		// Update DOM elements
-		DOM.attackCount.textContent = attacks.toLocaleString();
-		DOM.legitCount.textContent = legit.toLocaleString();
-		DOM.failTotal.textContent = totalFails.toLocaleString();
-		DOM.failRate.textContent = `${failRate}%`;
-		
-		// Update progress bars
-		DOM.attackProgress.style.width = total > 0 ? `${(attacks / total) * 100}%` : '0%';
-		DOM.legitProgress.style.width = total > 0 ? `${(legit / total) * 100}%` : '0%';
+	function getDateRangeEnd() {
+		const dateFilter = APP_STATE.filters.find(filter => filter.kind === 'date');
+		if (!dateFilter) return new Date();
 		
-		// Update active sessions count
-		const activeSessions = APP_STATE.sessionData.filter(session => 
-			!session.EndTime || session.EndTime === 'null' || session.EndTime === 'undefined'
-		).length;
-		DOM.activeCount.textContent = activeSessions.toLocaleString();
+		try {
+			const { to } = ConnectionFilter.dateRange(dateFilter.value);
+			return Number.isFinite(to) && to < Date.now() ? new Date(to) : new Date();
+		} catch (error) {
+			return new Date();
+		}
 	}
-
-/**
- * Update period button styles based on current theme
- */
-function updatePeriodButtonStyles() {
-// Add event listeners for timeline period buttons
-document.querySelectorAll('.period-btn').forEach(btn => {
-    btn.addEventListener('click', function() {
-        const period = this.dataset.period;
-        
-        // Remove active class from all period buttons
-        document.querySelectorAll('.period-btn').forEach(b => {
-            b.classList.remove('active', 'bg-primary-500', 'text-white', 
-                               'dark:bg-primary-600', 'border-primary-500');
-            b.classList.add('text-gray-800', 'dark:text-white', 'border-transparent');
-        });
-        
-        // Add active styling based on current theme
-        this.classList.remove('text-gray-800', 'dark:text-white', 'border-transparent');
-        this.classList.add('active');
-        
-        if (APP_STATE.theme === 'dark') {
-            this.classList.add('bg-primary-600', 'text-white', 'border-primary-500');
-        } else {
-            this.classList.add('bg-primary-500', 'text-white', 'border-primary-500');
-        }
-        
-        // Update period and refresh chart
-        APP_STATE.currentTimelinePeriod = period;
-        updateCharts();
-        
-        DEBUG && console.log('📅 Timeline period changed to:', period);
-        
-        // Save preference
-        const currentSettings = JSON.parse(localStorage.getItem('rdpmon-settings') || '{}');
-        currentSettings.timelinePeriod = period;
-        localStorage.setItem('rdpmon-settings', JSON.stringify(currentSettings));
-    });
-});
-
-// Load saved timeline period preference
-const savedSettings = localStorage.getItem('rdpmon-settings');
-if (savedSettings) {
-    try {
-        const parsed = JSON.parse(savedSettings);
-        if (parsed.timelinePeriod) {
-            APP_STATE.currentTimelinePeriod = parsed.timelinePeriod;
-            
-            // Update button styling based on saved preference
-            const savedBtn = document.querySelector(`[data-period="${parsed.timelinePeriod}"]`);
-            if (savedBtn) {
-                document.querySelectorAll('.period-btn').forEach(b => {
-                    b.classList.remove('active', 'bg-primary-500', 'text-white', 
-                                      'dark:bg-primary-600', 'border-primary-500');
-                    b.classList.add('text-gray-800', 'dark:text-white', 'border-transparent');
-                });
-                
-                savedBtn.classList.remove('text-gray-800', 'dark:text-white', 'border-transparent');
-                savedBtn.classList.add('active');
-                
-                if (APP_STATE.theme === 'dark') {
-                    savedBtn.classList.add('bg-primary-600', 'text-white', 'border-primary-500');
-                } else {
-                    savedBtn.classList.add('bg-primary-500', 'text-white', 'border-primary-500');
-                }
-            }
-        }
-    } catch (e) {
-        DEBUG && console.error('Error loading timeline period:', e);
-    }
-}    
-    DEBUG && console.log('🎨 Period button styles updated for theme:', APP_STATE.theme);
-}
 	
 	/**
-	 * Update metrics display
+	 * Get servers an IP failed to log on to, when it attacked more than one host
+	 * 
+	 * @param {string} ip - IP address
+	 * @returns {string[]|null} Sorted server names, or null for single-host IPs
 	 */
-	function updateMetrics() {
-		// Update database metrics
-		DOM.totalAddrRecords.textContent = APP_STATE.addrData.length.toLocaleString();
-		DOM.totalSessionRecords.textContent = APP_STATE.sessionData.length.toLocaleString();
-		
-		// Count unique IPs
-		const uniqueIPs = new Set(APP_STATE.addrData.map(item => item.IP).filter(ip => ip));
-		DOM.uniqueIps.textContent = uniqueIPs.size.toLocaleString();
-		
-		// Update database change times
-		const lastAddrChange = APP_STATE.databaseStats.LastAddrChange;
-		const lastSessionChange = APP_STATE.databaseStats.LastSessionChange;
-		
-		DOM.lastAddrChange.textContent = lastAddrChange ? Utils.formatDate(lastAddrChange) : 'N/A';
-		DOM.lastSessionChange.textContent = lastSessionChange ? Utils.formatDate(lastSessionChange) : 'N/A';
-		
-		// Update other metrics
-		DOM.reportGenerated.textContent = window.TEMPLATE_VARS.GENERATION_TIME;
-		DOM.autoRefreshStatus.textContent = `${window.TEMPLATE_VARS.AUTO_REFRESH_INTERVAL}s`;
-		DOM.dbPath.textContent = (window.TEMPLATE_VARS.DATABASE_PATH || '').substring(0, 50) + '...';
-		
-		// Update total records in header
-		DOM.totalRecords.textContent = APP_STATE.addrData.length.toLocaleString();
-		
-		// Update session count
-		DOM.sessionCount.textContent = APP_STATE.sessionData.length.toLocaleString();
-		
-		// Update generation time
-		if (DOM.generationTime) {
-			DOM.generationTime.textContent = window.TEMPLATE_VARS.GENERATION_TIME;
-		}
+	function getCrossHostServers(ip) {
+		const servers = APP_STATE.attackServersByIp.get(ip);
+		return servers && servers.size > 1 ? [...servers].sort((a, b) => a.localeCompare(b)) : null;
 	}
 	
 	/**
-	 * UI Management Functions
+	 * Display names of the risk score factors (see RiskScore)
 	 */
+	const RISK_FACTOR_LABELS = {
+		fails: 'Failed attempts',
+		rate: 'Attempt rate',
+		users: 'Usernames tried',
+		success: 'Success after failures',
+		recency: 'Recent activity'
+	};
 	
 	/**
-	 * Initialize tab navigation
+	 * Get the risk factor weights of the settings, completed with the defaults
+	 * Completed once per settings change
+	 * 
+	 * @returns {Object} Weights by factor (see RiskScore)
 	 */
-	function initTabs() {
-		DEBUG && console.log('📑 Initializing tabs...');
-		// Set active tab
-		const activeTab = APP_STATE.currentTab || 'connections';
-		switchTab(activeTab);
+	function getRiskWeights() {
+		const cache = APP_STATE.riskCache;
+		const source = APP_STATE.settings.riskWeights || null;
+		if (!cache.weights || cache.source !== source) {
+			cache.source = source;
+			cache.weights = RiskScore.weights(source || {});
+			cache.scores = new WeakMap();
+		}
+		return cache.weights;
 	}
 	
 	/**
-	 * Initialize chart.js charts
+	 * Get the risk score of a connection record with the weights of the settings
+	 * Scored once per record until the next query or weights change
+	 * 
+	 * @param {Object} item - Connection record
+	 * @returns {number} Risk score, 0–100
 	 */
-	function initCharts() {
-		DEBUG && console.log('📈 Initializing charts...');
-		
-		if (APP_STATE.addrData.length === 0) {
-			DEBUG && console.log('📈 No data available for charts');
-			return;
-		}
+	function getRiskScore(item) {
+		const weights = getRiskWeights();
+		const { scores } = APP_STATE.riskCache;
+		if (!scores.has(item)) scores.set(item, RiskScore.score(item, weights));
+		return scores.get(item);
+	}
+	
+	/**
+	 * Render the risk score badge of a connection record
+	 * The tooltip lists the factors behind the score
+	 * 
+	 * @param {Object} item - Connection record
+	 * @returns {string} Badge HTML
+	 */
+	function renderRiskBadge(item) {
+		const score = getRiskScore(item);
+		const colors = Utils.getRiskColor(score);
+		const factors = RiskScore.factors(item);
+		const title = Object.keys(RiskScore.defaultWeights)
+			.map(factor => `${RISK_FACTOR_LABELS[factor]}: ${Math.round(factors[factor] * 100)}%`)
+			.join(', ');
 		
-		try {
-			// Destroy existing charts to prevent canvas reuse error
-			if (APP_STATE.charts.timeline) {
-				APP_STATE.charts.timeline.destroy();
-				APP_STATE.charts.timeline = null;
-			}
-			if (APP_STATE.charts.distribution) {
-				APP_STATE.charts.distribution.destroy();
-				APP_STATE.charts.distribution = null;
+		return `
+			<span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold ${colors.bg} ${colors.text}" title="${colors.label} risk. ${Utils.escapeHtml(title)}">
+				<i class="fas fa-tachometer-alt mr-1"></i>${score}
+			</span>
+		`;
+	}
+	
+	/**
+	 * Apply filter to connection data
+	 * The type filter buttons set the type chip of the filter pipeline
+	 * 
+	 * @param {string} filterType - Filter type (all, attack, legit, mixed, unknown)
+	 */
+	function applyFilter(filterType) {
+		DEBUG && console.log('🔍 Applying filter:', filterType);
+		setFilter('type', filterType === 'all' ? null : filterType);
+	}
+	
+	/**
+	 * Set the chip of a single-valued filter kind (type, search, date, fails)
+	 * An empty value removes the chip
+	 * 
+	 * @param {string} kind - Filter kind
+	 * @param {*} value - Filter value
+	 */
+	function setFilter(kind, value) {
+		APP_STATE.filters = APP_STATE.filters.filter(filter => filter.kind !== kind);
+		if (value !== null && value !== undefined && value !== '') {
+			APP_STATE.filters.push({ kind, value });
+		}
+		applyFilters();
+	}
+	
+	/**
+	 * Add a chip of a filter kind that can repeat (user, subnet, domain: any of the values match)
+	 * 
+	 * @param {string} kind - Filter kind
+	 * @param {string} value - Filter value
+	 */
+	function addFilter(kind, value) {
+		if (!APP_STATE.filters.some(filter => filter.kind === kind && filter.value === value)) {
+			APP_STATE.filters.push({ kind, value });
+		}
+		applyFilters();
+	}
+	
+	/**
+	 * Remove one filter chip
+	 * 
+	 * @param {number} index - Chip index in APP_STATE.filters
+	 */
+	function removeFilter(index) {
+		DEBUG && console.log('🔍 Removing filter:', APP_STATE.filters[index]);
+		APP_STATE.filters.splice(index, 1);
+		applyFilters();
+	}
+	
+	/**
+	 * Remove every filter chip
+	 */
+	function clearFilters() {
+		APP_STATE.filters = [];
+		applyFilters();
+	}
+	
+	/**
+	 * Re-query after the filter chips changed and refresh every view of the filtered set
+	 * (table, KPI cards and charts)
+	 */
+	async function applyFilters() {
+		APP_STATE.currentPage = 1;
+		syncFilterControls();
+		renderFilterChips();
+		
+		try {
+			if (!(await runQuery())) return;
+		} catch (error) {
+			// Put back the chips the table, KPI cards and charts still show
+			DEBUG && console.error('❌ Error querying data:', error);
+			Utils.showNotification(`Cannot apply the filters: ${Utils.escapeHtml(error.message)}`, 'error');
+			APP_STATE.filters = APP_STATE.queryFilters.map(filter => ({ ...filter }));
+			syncFilterControls();
+			renderFilterChips();
+			return;
+		}
+		
+		calculateStats();
+		updateFacetPanel();
+		updateConnectionsTable({ resetScroll: true });
+		updateCompromisePanel();
+		updateSessionsTable();
+		updateCampaigns();
+		AccountView.update();
+		updateHeatmap();
+		if (APP_STATE.charts.timeline) {
+			updateCharts();
+		}
+	}
+	
+	/**
+	 * Reflect the type, search and date chips in the filter buttons, the search box
+	 * and the date range selector
+	 */
+	function syncFilterControls() {
+		const typeFilter = APP_STATE.filters.find(filter => filter.kind === 'type');
+		APP_STATE.currentFilter = typeFilter ? typeFilter.value : 'all';
+		DOM.filterAll.classList.toggle('tab-active', APP_STATE.currentFilter === 'all');
+		DOM.filterAttack.classList.toggle('tab-active', APP_STATE.currentFilter === 'attack');
+		DOM.filterLegit.classList.toggle('tab-active', APP_STATE.currentFilter === 'legit');
+		DOM.filterMixed.classList.toggle('tab-active', APP_STATE.currentFilter === 'mixed');
+		DOM.filterUnknown.classList.toggle('tab-active', APP_STATE.currentFilter === 'unknown');
+		
+		const searchFilter = APP_STATE.filters.find(filter => filter.kind === 'search');
+		const searchText = searchFilter ? searchFilter.value : '';
+		if (DOM.tableSearch && DOM.tableSearch.value.trim() !== searchText) {
+			DOM.tableSearch.value = searchText;
+		}
+		
+		if (DOM.dateRange) {
+			const dateFilter = APP_STATE.filters.find(filter => filter.kind === 'date');
+			DOM.dateRange.value = !dateFilter ? 'all' : dateFilter.value.preset || 'custom';
+		}
+	}
+	
+	/**
+	 * Apply the date range selector: a preset sets the date chip, custom opens
+	 * the add-filter form at its date fields
+	 */
+	function applyDateRange() {
+		const range = DOM.dateRange.value;
+		DEBUG && console.log('📅 Date range:', range);
+		
+		if (range !== 'custom') {
+			setFilter('date', range === 'all' ? null : { preset: range });
+			return;
+		}
+		
+		// Start the custom range from the current chip
+		const dateFilter = APP_STATE.filters.find(filter => filter.kind === 'date');
+		const toInput = (time) => {
+			if (!Number.isFinite(time)) return '';
+			const date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+			return date.toISOString().slice(0, 16);
+		};
+		let bounds = { from: -Infinity, to: Infinity };
+		if (dateFilter) {
+			try {
+				bounds = ConnectionFilter.dateRange(dateFilter.value);
+			} catch (error) {
+				// Unknown preset: start from an empty range
 			}
-			
-			// Timeline Chart
-			const timelineCtx = DOM.timelineChart.getContext('2d');
-			APP_STATE.charts.timeline = new Chart(timelineCtx, {
-				type: 'line',
-				data: {
-					labels: [],
-					datasets: [{
-						label: 'Failed Attempts',
-						data: [],
-						borderColor: 'rgb(239, 68, 68)',
-						backgroundColor: 'rgba(239, 68, 68, 0.1)',
-						tension: 0.4,
-						fill: true,
-						borderWidth: 2
-					}, {
-						label: 'Successful Logins',
-						data: [],
-						borderColor: 'rgb(34, 197, 94)',
-						backgroundColor: 'rgba(34, 197, 94, 0.1)',
-						tension: 0.4,
-						fill: true,
-						borderWidth: 2
-					}]
-				},
-				options: {
-					responsive: true,
-					maintainAspectRatio: false,
-					interaction: {
-						intersect: false,
-						mode: 'index'
-					},
-					plugins: {
-						legend: {
-							position: 'top',
-							labels: {
-								color: APP_STATE.theme === 'dark' ? '#e2e8f0' : '#475569',
-								font: { size: 12 }
-							}
-						},
-						tooltip: {
-							mode: 'index',
-							intersect: false,
-							backgroundColor: APP_STATE.theme === 'dark' ? 'rgba(30, 41, 59, 0.9)' : 'rgba(255, 255, 255, 0.9)',
-							titleColor: APP_STATE.theme === 'dark' ? '#e2e8f0' : '#475569',
-							bodyColor: APP_STATE.theme === 'dark' ? '#e2e8f0' : '#475569',
-							borderColor: APP_STATE.theme === 'dark' ? 'rgba(51, 65, 85, 0.3)' : 'rgba(203, 213, 225, 0.3)',
-							borderWidth: 1
-						}
-					},
-					scales: {
-						x: {
-							grid: {
-								color: APP_STATE.theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
-								drawBorder: false
-							},
-							ticks: {
-								color: APP_STATE.theme === 'dark' ? '#94a3b8' : '#64748b',
-								maxRotation: 0
-							}
-						},
-						y: {
-							beginAtZero: true,
-							grid: {
-								color: APP_STATE.theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
-								drawBorder: false
-							},
-							ticks: {
-								color: APP_STATE.theme === 'dark' ? '#94a3b8' : '#64748b',
-								precision: 0
-							}
-						}
-					}
+		}
+		
+		DOM.filterAddKind.value = 'date';
+		DOM.filterAddForm.classList.remove('hidden');
+		updateFilterForm();
+		document.getElementById('filter-date-from').value = toInput(bounds.from);
+		document.getElementById('filter-date-to').value = toInput(bounds.to);
+		document.getElementById('filter-date-from').focus();
+		
+		// The selector shows the applied range until the form is submitted
+		syncFilterControls();
+	}
+	
+	/**
+	 * Describe a filter chip
+	 * 
+	 * @param {Object} filter - { kind, value }
+	 * @returns {{icon: string, label: string}} Chip icon and label
+	 */
+	function describeFilter(filter) {
+		const { kind, value } = filter;
+		const isSet = (bound) => bound !== null && bound !== undefined;
+		
+		switch (kind) {
+			case 'type':
+				return { icon: 'fa-tag', label: `Type: ${value.charAt(0).toUpperCase()}${value.slice(1)}` };
+			case 'search':
+				return { icon: 'fa-search', label: `Search: ${value}` };
+			case 'date':
+				if (value.preset) {
+					const presetLabels = { '1h': 'hour', '24h': '24 hours', '7d': '7 days', '30d': '30 days' };
+					return { icon: 'fa-calendar-alt', label: `Seen: last ${presetLabels[value.preset] || value.preset}` };
 				}
-			});
-			
-			// Distribution Chart
-			const distributionCtx = DOM.distributionChart.getContext('2d');
-			APP_STATE.charts.distribution = new Chart(distributionCtx, {
-				type: 'doughnut',
-				data: {
-					labels: [],
-					datasets: [{
-						data: [],
-						backgroundColor: [
-							'rgba(239, 68, 68, 0.8)',
-							'rgba(34, 197, 94, 0.8)',
-							'rgba(59, 130, 246, 0.8)',
-							'rgba(168, 85, 247, 0.8)',
-							'rgba(245, 158, 11, 0.8)',
-							'rgba(14, 165, 233, 0.8)',
-							'rgba(236, 72, 153, 0.8)',
-							'rgba(20, 184, 166, 0.8)'
-						],
-						borderColor: APP_STATE.theme === 'dark' ? 'rgba(30, 41, 59, 0.8)' : 'rgba(255, 255, 255, 0.8)',
-						borderWidth: 2,
-						hoverOffset: 15
-					}]
-				},
-				options: {
-					responsive: true,
-					maintainAspectRatio: false,
-					cutout: '60%',
-					plugins: {
-						legend: { display: false },
-						tooltip: {
-							callbacks: {
-								label: function(context) {
-									const label = context.label || '';
-									const value = context.raw || 0;
-									const total = context.dataset.data.reduce((a, b) => a + b, 0);
-									const percentage = Math.round((value / total) * 100);
-									return `${label}: ${value} (${percentage}%)`;
-								}
-							}
-						}
-					}
+				return {
+					icon: 'fa-calendar-alt',
+					label: `Seen: ${isSet(value.from) ? Utils.formatDate(new Date(value.from)) : 'any time'} – ${isSet(value.to) ? Utils.formatDate(new Date(value.to)) : 'now'}`
+				};
+			case 'fails':
+				return {
+					icon: 'fa-times-circle',
+					label: isSet(value.min) && isSet(value.max) ? `Failed: ${value.min}–${value.max}` :
+						isSet(value.min) ? `Failed ≥ ${value.min}` : `Failed ≤ ${value.max}`
+				};
+			case 'user':
+				return { icon: 'fa-user', label: `User: ${value}` };
+			case 'subnet':
+				return { icon: 'fa-network-wired', label: `Subnet: ${value}` };
+			case 'domain':
+				return { icon: 'fa-globe', label: `Domain: ${value}` };
+			default:
+				return { icon: 'fa-filter', label: kind };
+		}
+	}
+	
+	/**
+	 * Render the removable filter chips above the connections table
+	 */
+	function renderFilterChips() {
+		if (!DOM.filterChips) return;
+		
+		const chips = APP_STATE.filters.map((filter, index) => {
+			const { icon, label } = describeFilter(filter);
+			return `
+				<span class="inline-flex items-center pl-3 pr-1 py-1 rounded-full text-xs font-medium bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300">
+					<i class="fas ${icon} mr-1"></i>${Utils.escapeHtml(label)}
+					<button class="ml-1 px-1.5 rounded-full hover:bg-primary-200 dark:hover:bg-primary-800 remove-filter-btn"
+							data-filter-index="${index}" title="Remove filter" aria-label="Remove filter ${Utils.escapeHtml(label)}">
+						<i class="fas fa-times"></i>
+					</button>
+				</span>
+			`;
+		});
+		
+		if (chips.length > 1) {
+			chips.push(`
+				<button id="clear-filters-btn" class="text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 underline">
+					Clear all
+				</button>
+			`);
+		}
+		
+		DOM.filterChips.innerHTML = chips.length ? chips.join('') :
+			'<span class="text-xs text-gray-500 dark:text-gray-400">No filters, showing all connections</span>';
+	}
+	
+	/**
+	 * Show the fields of the selected kind in the add-filter form
+	 */
+	function updateFilterForm() {
+		const kind = DOM.filterAddKind.value;
+		DOM.filterAddForm.querySelectorAll('[data-filter-fields]').forEach(fields => {
+			fields.classList.toggle('hidden', fields.dataset.filterFields !== kind);
+		});
+		DOM.filterAddError.classList.add('hidden');
+	}
+	
+	/**
+	 * Validate the add-filter form and add its chip
+	 */
+	function submitFilterForm() {
+		const kind = DOM.filterAddKind.value;
+		const field = (id) => document.getElementById(id).value.trim();
+		const showError = (message) => {
+			DOM.filterAddError.textContent = message;
+			DOM.filterAddError.classList.remove('hidden');
+		};
+		
+		switch (kind) {
+			case 'date': {
+				const from = field('filter-date-from') ? new Date(field('filter-date-from')).getTime() : null;
+				const to = field('filter-date-to') ? new Date(field('filter-date-to')).getTime() : null;
+				if (from === null && to === null) return showError('Enter a start or an end time');
+				if (from !== null && to !== null && from > to) return showError('The start must be before the end');
+				setFilter('date', { from, to });
+				break;
+			}
+			case 'fails': {
+				const min = field('filter-fails-min') === '' ? null : parseInt(field('filter-fails-min'), 10);
+				const max = field('filter-fails-max') === '' ? null : parseInt(field('filter-fails-max'), 10);
+				if (min === null && max === null) return showError('Enter a minimum or a maximum');
+				if ([min, max].some(bound => bound !== null && (isNaN(bound) || bound < 0))) return showError('Counts must be whole numbers of 0 or more');
+				if (min !== null && max !== null && min > max) return showError('The minimum must not exceed the maximum');
+				setFilter('fails', { min, max });
+				break;
+			}
+			case 'user': {
+				const user = field('filter-user');
+				if (!user) return showError('Enter a username (wildcards * and ? allowed)');
+				addFilter('user', user);
+				break;
+			}
+			case 'subnet': {
+				const subnet = field('filter-subnet');
+				if (!subnet) return showError('Enter a subnet such as 185.220.0.0/16 or 10.0.*');
+				try {
+					SearchQuery.ipMatcher(subnet.toLowerCase());
+				} catch (error) {
+					return showError(error.message);
 				}
-			});
-			
-			// Initialize charts with data
-			updateCharts();
-			
-			// Add event listeners for timeline period buttons
-			document.querySelectorAll('.timeline-period').forEach(btn => {
-				btn.addEventListener('click', function() {
-					document.querySelectorAll('.timeline-period').forEach(b => b.classList.remove('active'));
-					this.classList.add('active');
-					APP_STATE.currentTimelinePeriod = this.dataset.period;
-					updateCharts();
-				});
-			});
-			
-			// Add event listener for distribution limit selector
-if (DOM.distributionLimit) {
-    DOM.distributionLimit.addEventListener('change', function() {
-        const value = parseInt(this.value) || 0;
-        DEBUG && console.log('📊 Distribution limit changed to:', value);
-        APP_STATE.chartDistributionLimit = value;
-        APP_STATE.settings.chartItemsLimit = value; // Сохраняем в настройки
-        updateCharts();
-    });
-}
-			
-			DEBUG && console.log('✅ Charts initialized successfully');
-		} catch (error) {
-			DEBUG && console.error('❌ Error initializing charts:', error);
-			Utils.showNotification('Error initializing charts', 'error');
+				addFilter('subnet', subnet);
+				break;
+			}
+			case 'domain': {
+				const domain = field('filter-domain').replace(/^\*?\./, '');
+				if (!domain) return showError('Enter a domain such as example.com');
+				addFilter('domain', domain);
+				break;
+			}
 		}
+		
+		DOM.filterAddForm.querySelectorAll('input').forEach(input => { input.value = ''; });
+		DOM.filterAddForm.classList.add('hidden');
+	}
+	
+	/**
+	 * Run the current server, filter chips and sort through the data pipeline
+	 * Results of a query overtaken by a newer one are dropped
+	 * 
+	 * @returns {Promise<boolean>} True when this query's result is now current
+	 */
+	async function runQuery() {
+		const queryId = ++APP_STATE.queryId;
+		const filters = APP_STATE.filters.map(filter => ({ ...filter }));
+		const result = await DataPipeline.request('query', {
+			server: APP_STATE.currentServer,
+			filters,
+			sort: APP_STATE.currentSort,
+			riskWeights: getRiskWeights()
+		});
+		
+		if (queryId !== APP_STATE.queryId) return false;
+		
+		APP_STATE.queryResult = result;
+		APP_STATE.queryFilters = filters;
+		APP_STATE.riskCache.scores = new WeakMap();
+		APP_STATE.filteredAddrData = Array.from(result.indices, index => APP_STATE.addrData[index]);
+		updateSearchErrors(result.searchErrors);
+		return true;
+	}
+	
+	/**
+	 * Show search terms the query language could not use below the search box
+	 * 
+	 * @param {Array<{term: string, message: string}>} errors - Skipped terms
+	 */
+	function updateSearchErrors(errors) {
+		if (!DOM.searchErrors) return;
+		const hasErrors = errors && errors.length > 0;
+		
+		DOM.searchErrors.classList.toggle('hidden', !hasErrors);
+		DOM.tableSearch.classList.toggle('ring-2', hasErrors);
+		DOM.tableSearch.classList.toggle('ring-danger-500', hasErrors);
+		DOM.tableSearch.setAttribute('aria-invalid', hasErrors ? 'true' : 'false');
+		DOM.searchErrors.innerHTML = hasErrors ? errors.map(error => `
+			<div><i class="fas fa-triangle-exclamation mr-1"></i><code class="font-semibold">${Utils.escapeHtml(error.term)}</code> ignored: ${Utils.escapeHtml(error.message)}</div>
+		`).join('') : '';
+	}
+	
+	/**
+	 * Re-run the pipeline query and re-render the connections table
+	 */
+	async function requeryTable() {
+		try {
+			if (!(await runQuery())) return;
+		} catch (error) {
+			DEBUG && console.error('❌ Error querying data:', error);
+			Utils.showNotification(`Cannot update the connections: ${Utils.escapeHtml(error.message)}`, 'error');
+			return;
+		}
+		updateConnectionsTable({ resetScroll: true });
 	}
 	
 /**
- * Update charts with current data and apply distribution limit
- * Handles both timeline and distribution charts with proper limit management
+ * Most sort keys a shift-click can combine
  */
-function updateCharts() {
-    // Safety check: ensure charts are initialized
-    if (!APP_STATE.charts.timeline || !APP_STATE.charts.distribution) {
-        DEBUG && console.warn('⚠️ Charts not initialized, skipping update');
-        return;
-    }
-    
-    // Check if there's data to display
-    if (APP_STATE.addrData.length === 0) {
-        DEBUG && console.warn('⚠️ No data available for charts');
-        return;
-    }
-    
-    try {
-// ------------------------------------------------------------
-// TIMELINE CHART UPDATE
-// ------------------------------------------------------------
+const maxSortKeys = 3;
 
-// Update timeline based on selected period
-let days;
-let labelFormat;
-switch(APP_STATE.currentTimelinePeriod) {
-    case 'day': 
-        days = 1; 
-        labelFormat = 'hour';
-        break;
-    case 'week': 
-        days = 7; 
-        labelFormat = 'weekday';
-        break;
-    case 'month': 
-        days = 30; 
-        labelFormat = 'monthDay';
-        break;
-    case 'year': 
-        days = 365; 
-        labelFormat = 'month';
-        break;
-    default: 
-        days = 30;
-        labelFormat = 'monthDay';
+/**
+ * Validate a sort spec from settings or a link
+ * Accepts the single { field, direction } object older versions saved
+ * 
+ * @param {Array|Object} sort - Sort keys by priority
+ * @returns {Array<{field: string, direction: string}>} Valid keys, the default sort when none are
+ */
+function normalizeSort(sort) {
+    const keys = (Array.isArray(sort) ? sort : [sort])
+        .filter(key => key && typeof key.field === 'string' && key.field)
+        .map(key => ({ field: key.field, direction: key.direction === 'asc' ? 'asc' : 'desc' }))
+        .filter((key, index, all) => all.findIndex(other => other.field === key.field) === index)
+        .slice(0, maxSortKeys);
+    
+    return keys.length > 0 ? keys : [{ field: 'last', direction: 'desc' }];
 }
 
-const today = new Date();
-const labels = [];
-const failData = [];
-const successData = [];
+/**
+ * Get the sort after a header click
+ * A click sorts by one field (clicking the primary field again toggles its direction);
+ * a shift-click adds the field as the next sort key or toggles a key already in the sort
+ * 
+ * @param {Array<{field: string, direction: string}>} sort - Current sort keys
+ * @param {string} field - Clicked field
+ * @param {boolean} add - Add a sort key instead of replacing the sort
+ * @returns {Array<{field: string, direction: string}>} New sort keys
+ */
+function nextSort(sort, field, add) {
+    const toggle = (key) => ({ field: key.field, direction: key.direction === 'asc' ? 'desc' : 'asc' });
+    const existing = sort.findIndex(key => key.field === field);
+    
+    if (add) {
+        // A full sort replaces its last key
+        return existing >= 0 ?
+            sort.map((key, index) => index === existing ? toggle(key) : key) :
+            [...sort.slice(0, maxSortKeys - 1), { field, direction: 'desc' }];
+    }
+    return existing === 0 ? [toggle(sort[0])] : [{ field, direction: 'desc' }];
+}
 
-// Generate data for the selected time period
-for (let i = days - 1; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
+/**
+ * Apply sorting to filtered data
+ * 
+ * @param {string} field - Field to sort by
+ * @param {Object} [options] - { add } add a sort key instead of replacing the sort (see nextSort)
+ */
+function applySort(field = APP_STATE.currentSort[0].field, { add = false } = {}) {
+    DEBUG && console.log('📊 Applying sort:', field, add ? '(add key)' : '', 'current:', APP_STATE.currentSort);
     
-    // Format label based on time period with year when needed
-    let label;
-    const currentYear = today.getFullYear();
-    const dateYear = date.getFullYear();
+    APP_STATE.currentSort = nextSort(APP_STATE.currentSort, field, add);
     
-    switch(labelFormat) {
-        case 'hour':
-            // For single day: show hours with minutes
-            label = date.toLocaleTimeString([], { 
-                hour: '2-digit', 
-                minute: '2-digit',
-                hour12: false 
-            });
-            break;
-        case 'weekday':
-            // For week: show weekday abbreviation and day
-            // Add year if different from current year
-            const weekdayLabel = date.toLocaleDateString('en-US', { 
-                weekday: 'short', 
-                day: 'numeric' 
-            });
-            label = dateYear !== currentYear ? 
-                `${weekdayLabel} ${dateYear}` : 
-                weekdayLabel;
-            break;
-        case 'monthDay':
-            // For month: show month abbreviation and day
-            // Add year if different from current year
-            const monthDayLabel = date.toLocaleDateString('en-US', { 
-                month: 'short', 
-                day: 'numeric' 
-            });
-            label = dateYear !== currentYear ? 
-                `${monthDayLabel} ${dateYear}` : 
-                monthDayLabel;
-            break;
-        case 'month':
-            // For year: show month abbreviation
-            // Always show year for year view
-            const monthLabel = date.toLocaleDateString('en-US', { 
-                month: 'short' 
-            });
-            label = `${monthLabel} ${dateYear}`;
-            break;
-    }
+    DEBUG && console.log('📊 New sort state:', APP_STATE.currentSort);
     
-    labels.push(label);
+    // Save sort preference
+    SettingsManager.saveSortPreference();
     
-    // For year view, aggregate by month
-    let dayData;
-    if (APP_STATE.currentTimelinePeriod === 'year') {
-        // Get start and end of month for aggregation
-        const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
-        const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0);
-        monthEnd.setHours(23, 59, 59, 999);
-        
-        dayData = APP_STATE.addrData.filter(item => {
-            if (!item.LastLocal) return false;
-            const itemDate = new Date(item.LastLocal);
-            return itemDate >= monthStart && itemDate <= monthEnd;
-        });
-    } else {
-        // For day/week/month: filter by exact date
-        const dateStr = date.toISOString().split('T')[0];
-        dayData = APP_STATE.addrData.filter(item => {
-            if (!item.LastLocal) return false;
-            const itemDate = new Date(item.LastLocal);
-            return itemDate.toISOString().split('T')[0] === dateStr;
-        });
-    }
+    updateSortIndicators();
     
-    // Calculate metrics
-    failData.push(dayData.reduce((sum, item) => sum + (parseInt(item.FailCount) || 0), 0));
-    successData.push(dayData.reduce((sum, item) => sum + (parseInt(item.SuccessCount) || 0), 0));
+    requeryTable();
 }
 
-// Update timeline chart data
-APP_STATE.charts.timeline.data.labels = labels;
-APP_STATE.charts.timeline.data.datasets[0].data = failData;
-APP_STATE.charts.timeline.data.datasets[1].data = successData;
-
-// Update chart title based on period
-let chartTitle = 'Activity Timeline';
-if (APP_STATE.currentTimelinePeriod === 'year') {
-    chartTitle = `${today.getFullYear()} Activity Timeline`;
-} else if (APP_STATE.currentTimelinePeriod === 'month') {
-    chartTitle = `${today.toLocaleDateString('en-US', { month: 'long' })} Activity Timeline`;
+/**
+ * Update sort icons in the sortable headers of a table
+ * With several sort keys each sorted header shows its priority number
+ * 
+ * @param {string} [table='connections'] - 'connections' or 'sessions'
+ */
+function updateSortIndicators(table = 'connections') {
+    const sort = table === 'sessions' ? APP_STATE.sessionView.sort : APP_STATE.currentSort;
+    const body = table === 'sessions' ? DOM.sessionsTable : DOM.dataTable;
+    const multiple = sort.length > 1;
+    
+    body.closest('table').querySelectorAll('.sortable').forEach(header => {
+        const rank = sort.findIndex(key => key.field === header.dataset.sort);
+        const key = sort[rank];
+        const icon = header.querySelector('i');
+        if (icon) {
+            icon.className = key ? `fas fa-sort-${key.direction === 'asc' ? 'up' : 'down'} ml-1` : 'fas fa-sort ml-1';
+        }
+        
+        header.querySelector('.sort-rank')?.remove();
+        if (key && multiple) {
+            header.insertAdjacentHTML('beforeend', `<span class="sort-rank ml-0.5 text-primary-500">${rank + 1}</span>`);
+        }
+        
+        if (key) {
+            header.setAttribute('aria-sort', key.direction === 'asc' ? 'ascending' : 'descending');
+        } else {
+            header.removeAttribute('aria-sort');
+        }
+    });
 }
+	
+	/**
+	 * Search connection data
+	 * The query combines with the type filter buttons; see SearchQuery for the syntax
+	 * 
+	 * @param {string} query - Search query
+	 */
+	function searchData(query) {
+		DEBUG && console.log('🔍 Searching:', query);
+		setFilter('search', query.trim());
+	}
+	
+	/**
+	 * Display KPI statistics of the latest pipeline query
+	 */
+	function calculateStats() {
+		// Aggregated by the data pipeline for the selected server
+		const stats = APP_STATE.queryResult ? APP_STATE.queryResult.stats : {};
+		const total = stats.total || 0;
+		const attacks = stats.attacks || 0;
+		const legit = stats.legit || 0;
+		const mixed = stats.mixed || 0;
+		const unknown = stats.unknown || 0;
+		const totalFails = stats.totalFails || 0;
+		const totalSuccess = stats.totalSuccess || 0;
+		
+		const failRate = totalSuccess + totalFails > 0 ? 
+			((totalFails / (totalFails + totalSuccess)) * 100).toFixed(1) : 0;
+		
+		// Update DOM elements
+		DOM.attackCount.textContent = attacks.toLocaleString();
+		DOM.legitCount.textContent = legit.toLocaleString();
+		DOM.mixedCount.textContent = mixed.toLocaleString();
+		DOM.unknownCount.textContent = unknown.toLocaleString();
+		
+		// Mixed IPs (failures followed by a success) are investigated first
+		DOM.mixedCard.classList.toggle('mixed-alert', mixed > 0);
+		DOM.mixedBadge.classList.toggle('hidden', mixed === 0);
+		DOM.failTotal.textContent = totalFails.toLocaleString();
+		DOM.failRate.textContent = `${failRate}%`;
+		
+		// Update progress bars
+		DOM.attackProgress.style.width = total > 0 ? `${(attacks / total) * 100}%` : '0%';
+		DOM.legitProgress.style.width = total > 0 ? `${(legit / total) * 100}%` : '0%';
+		DOM.mixedProgress.style.width = total > 0 ? `${(mixed / total) * 100}%` : '0%';
+		DOM.unknownProgress.style.width = total > 0 ? `${(unknown / total) * 100}%` : '0%';
+		
+		// Update active sessions count
+		const activeSessions = stats.activeSessions || 0;
+		DOM.activeCount.textContent = activeSessions.toLocaleString();
+	}
+	
+	/**
+	 * Facet groups of the facet panel, in display order
+	 * Each maps a facet value to the filter chip a click adds
+	 */
+	const FACET_GROUPS = [
+		{ facet: 'type', title: 'Connection type', icon: 'fa-tag', kind: 'type' },
+		{ facet: 'user', title: 'Attempted username', icon: 'fa-user', kind: 'user' },
+		{ facet: 'subnet24', title: 'Subnet /24', icon: 'fa-network-wired', kind: 'subnet' },
+		{ facet: 'subnet16', title: 'Subnet /16', icon: 'fa-network-wired', kind: 'subnet' },
+		{ facet: 'domain', title: 'Hostname domain', icon: 'fa-globe', kind: 'domain' },
+		{ facet: 'fails', title: 'Failed attempts', icon: 'fa-times-circle', kind: 'fails' }
+	];
+	
+	/**
+	 * Check whether a facet value is applied as a filter chip
+	 * 
+	 * @param {string} kind - Filter kind of the facet
+	 * @param {*} value - Facet value ({min, max} for fails)
+	 * @returns {number} Chip index in APP_STATE.filters, -1 when not applied
+	 */
+	function findFacetFilter(kind, value) {
+		return APP_STATE.filters.findIndex(filter => {
+			if (filter.kind !== kind) return false;
+			if (kind === 'fails') return filter.value.min === value.min && filter.value.max === value.max;
+			return String(filter.value).toLowerCase() === String(value).toLowerCase();
+		});
+	}
+	
+	/**
+	 * Render the facet panel from the facets of the latest pipeline query
+	 */
+	function updateFacetPanel() {
+		if (!DOM.facetGroups || DOM.facetPanel.classList.contains('hidden')) return;
+		
+		const facets = APP_STATE.queryResult ? APP_STATE.queryResult.facets : null;
+		if (!facets) {
+			DOM.facetGroups.innerHTML = '';
+			return;
+		}
+		
+		const failLabel = ({ min, max }) => max === null ? `${min}+` : min === max ? `${min}` : `${min}–${max}`;
+		const typeLabel = (type) => `${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+		
+		DOM.facetGroups.innerHTML = FACET_GROUPS.map(group => {
+			const values = (facets[group.facet] || []).filter(entry => group.facet !== 'fails' || entry.count > 0);
+			const largest = Math.max(1, ...values.map(entry => entry.count));
+			const distinct = facets.distinct && facets.distinct[group.facet];
+			const more = distinct > values.length ? `<span class="text-gray-400">top ${values.length} of ${distinct.toLocaleString()}</span>` : '';
+			
+			const rows = values.map(entry => {
+				const value = group.facet === 'fails' ? { min: entry.min, max: entry.max } : entry.value;
+				const label = group.facet === 'fails' ? failLabel(entry) : group.facet === 'type' ? typeLabel(entry.value) : entry.value;
+				const active = findFacetFilter(group.kind, value) >= 0;
+				return `
+					<li>
+						<button class="facet-value w-full text-left px-2 py-1 rounded-lg text-xs hover:bg-gray-100 dark:hover:bg-gray-800 ${active ? 'facet-active' : ''}"
+								data-facet="${group.facet}" data-value="${Utils.escapeHtml(JSON.stringify(value))}" aria-pressed="${active}"
+								title="${active ? 'Remove filter' : 'Filter by'} ${Utils.escapeHtml(label)}">
+							<span class="flex justify-between gap-2">
+								<span class="truncate font-mono text-gray-800 dark:text-gray-200">${Utils.escapeHtml(label)}</span>
+								<span class="text-gray-500 dark:text-gray-400">${entry.count.toLocaleString()}</span>
+							</span>
+							<span class="facet-bar block h-1 mt-1 rounded-full bg-primary-500/60" style="width: ${(entry.count / largest) * 100}%"></span>
+						</button>
+					</li>
+				`;
+			}).join('');
+			
+			return `
+				<details class="facet-group" data-facet="${group.facet}" ${APP_STATE.collapsedFacets.has(group.facet) ? '' : 'open'}>
+					<summary class="cursor-pointer text-xs font-medium text-gray-600 dark:text-gray-300 uppercase tracking-wider py-1">
+						<i class="fas ${group.icon} mr-1"></i>${group.title}
+					</summary>
+					<ul class="mt-1 space-y-0.5">
+						${rows || '<li class="px-2 py-1 text-xs text-gray-500 dark:text-gray-400">No values</li>'}
+					</ul>
+					${more ? `<p class="px-2 mt-1 text-xs">${more}</p>` : ''}
+				</details>
+			`;
+		}).join('');
+	}
+	
+	/**
+	 * Apply a facet value click: add its filter chip, or remove the chip when already applied
+	 * 
+	 * @param {string} facet - Facet name (type, user, subnet24, subnet16, domain, fails)
+	 * @param {*} value - Facet value ({min, max} for fails)
+	 */
+	function toggleFacetFilter(facet, value) {
+		const group = FACET_GROUPS.find(entry => entry.facet === facet);
+		if (!group) return;
+		
+		const index = findFacetFilter(group.kind, value);
+		DEBUG && console.log('🧭 Facet:', facet, value, index >= 0 ? 'removed' : 'added');
+		if (index >= 0) {
+			removeFilter(index);
+		} else if (group.kind === 'type' || group.kind === 'fails') {
+			setFilter(group.kind, value);
+		} else {
+			addFilter(group.kind, value);
+		}
+	}
+	
+	/**
+	 * Show or hide the facet panel from the showFacets setting
+	 */
+	function applyFacetVisibility() {
+		if (!DOM.facetPanel) return;
+		const visible = APP_STATE.settings.showFacets !== false;
+		DOM.facetPanel.classList.toggle('hidden', !visible);
+		DOM.facetToggle?.setAttribute('aria-expanded', String(visible));
+		DOM.facetToggle?.classList.toggle('tab-active', visible);
+		updateFacetPanel();
+	}
 
-// Update chart title if plugin exists
-if (APP_STATE.charts.timeline.options.plugins.title) {
-    APP_STATE.charts.timeline.options.plugins.title.text = chartTitle;
+/**
+ * Highlight the button of a timeline period
+ * 
+ * @param {string} period - Timeline period (day, week, month, year)
+ */
+function markPeriodButton(period) {
+    const activeBtn = document.querySelector(`.period-btn[data-period="${period}"]`);
+    if (!activeBtn) return;
+    
+    // Remove active class from all period buttons
+    document.querySelectorAll('.period-btn').forEach(b => {
+        b.classList.remove('active', 'bg-primary-500', 'text-white', 
+                           'dark:bg-primary-600', 'border-primary-500', 'bg-primary-600');
+        b.classList.add('text-gray-800', 'dark:text-white', 'border-transparent');
+    });
+    
+    // Add active styling based on current theme
+    activeBtn.classList.remove('text-gray-800', 'dark:text-white', 'border-transparent');
+    activeBtn.classList.add('active');
+    
+    if (APP_STATE.theme === 'dark') {
+        activeBtn.classList.add('bg-primary-600', 'text-white', 'border-primary-500');
+    } else {
+        activeBtn.classList.add('bg-primary-500', 'text-white', 'border-primary-500');
+    }
 }
 
-APP_STATE.charts.timeline.update();
-        
-        DEBUG && console.log('📈 Timeline chart updated:', {
-            period: APP_STATE.currentTimelinePeriod,
-            days: days,
-            dataPoints: labels.length
-        });
+/**
+ * Update period button styles based on current theme
+ */
+function updatePeriodButtonStyles() {
+// Add event listeners for timeline period buttons
+document.querySelectorAll('.period-btn').forEach(btn => {
+    btn.addEventListener('click', function() {
+        const period = this.dataset.period;
+        markPeriodButton(period);
         
-        // ------------------------------------------------------------
-        // DISTRIBUTION CHART UPDATE
-        // ------------------------------------------------------------
-        
-        // Calculate type statistics from connection data
-        const typeStats = {};
-        APP_STATE.addrData.forEach(item => {
-            const type = item.ConnectionType?.toLowerCase() || 'unknown';
-            typeStats[type] = (typeStats[type] || 0) + 1;
-        });
-        
-        DEBUG && console.log('📊 Distribution chart statistics:', {
-            rawStats: typeStats,
-            chartLimit: APP_STATE.chartDistributionLimit,
-            uniqueTypes: Object.keys(typeStats).length
-        });
-        
-        // Convert to sorted array of objects for easier manipulation
-        let sortedTypes = Object.entries(typeStats)
-            .sort((a, b) => b[1] - a[1]) // Sort by count descending
-            .map(([type, count]) => ({
-                type: type.charAt(0).toUpperCase() + type.slice(1), // Capitalize type name
-                count,
-                originalType: type // Keep original for reference
-            }));
-        
-        DEBUG && console.log('📊 Types sorted by frequency:', sortedTypes);
-        
-        // Apply distribution limit based on user selection
-        let finalTypes = [];
-        
-        if (APP_STATE.chartDistributionLimit === 0) {
-            // Case 1: Show all types (limit = 0 or "All")
-            finalTypes = [...sortedTypes];
-            DEBUG && console.log('📊 Showing all types (limit = 0)');
-            
-        } else if (sortedTypes.length <= APP_STATE.chartDistributionLimit) {
-            // Case 2: Fewer types than limit, show all
-            finalTypes = [...sortedTypes];
-            DEBUG && console.log(`📊 Showing all ${sortedTypes.length} types (less than limit ${APP_STATE.chartDistributionLimit})`);
-            
-        } else {
-            // Case 3: More types than limit, apply limit and add "Other" category
-            const visibleTypes = sortedTypes.slice(0, APP_STATE.chartDistributionLimit);
-            const hiddenTypes = sortedTypes.slice(APP_STATE.chartDistributionLimit);
-            
-            // Calculate total count of hidden types
-            const otherCount = hiddenTypes.reduce((sum, item) => sum + item.count, 0);
-            
-            // Prepare final array with visible types
-            finalTypes = [...visibleTypes];
-            
-            // Add "Other" category if there are hidden types with data
-            if (otherCount > 0) {
-                finalTypes.push({
-                    type: 'Other',
-                    count: otherCount,
-                    originalType: 'other',
-                    isAggregated: true
-                });
-                
-                DEBUG && console.log('📊 Applied limit:', {
-                    limit: APP_STATE.chartDistributionLimit,
-                    visible: visibleTypes.length,
-                    hidden: hiddenTypes.length,
-                    otherCount: otherCount
-                });
-            } else {
-                DEBUG && console.log('📊 No data in hidden types, skipping "Other" category');
-            }
-        }
-        
-        // Calculate total for percentage calculations
-        const total = finalTypes.reduce((sum, item) => sum + item.count, 0);
-        
-        // Prepare data for chart.js
-        const labelsData = finalTypes.map(item => item.type);
-        const dataValues = finalTypes.map(item => item.count);
-        
-        DEBUG && console.log('📊 Final chart data:', {
-            labels: labelsData,
-            data: dataValues,
-            total: total,
-            itemCount: finalTypes.length
-        });
-        
-        // Update distribution chart
-        APP_STATE.charts.distribution.data.labels = labelsData;
-        APP_STATE.charts.distribution.data.datasets[0].data = dataValues;
-        
-        // Update chart visualization
-        APP_STATE.charts.distribution.update();
+        // Update period and refresh chart
+        APP_STATE.currentTimelinePeriod = period;
+        updateCharts();
+        UrlState.update();
         
-        // ------------------------------------------------------------
-        // UPDATE DISTRIBUTION LEGEND
-        // ------------------------------------------------------------
+        DEBUG && console.log('📅 Timeline period changed to:', period);
         
-        if (DOM.distributionLegend) {
-            let legendHtml = '<div class="flex flex-wrap gap-2 justify-center">';
-            
-            finalTypes.forEach((item, index) => {
-                // Calculate percentage
-                const percentage = total > 0 ? Math.round((item.count / total) * 100) : 0;
-                
-                // Get color from chart configuration
-                const color = APP_STATE.charts.distribution.data.datasets[0].backgroundColor[
-                    Math.min(index, APP_STATE.charts.distribution.data.datasets[0].backgroundColor.length - 1)
-                ];
-                
-                // Build legend item
-                legendHtml += `
-                    <div class="flex items-center px-3 py-1 rounded-full text-xs" 
-                         style="background: ${color}22; border: 1px solid ${color}44"
-                         title="${item.isAggregated ? 'Aggregated category' : item.originalType}">
-                        <div class="w-3 h-3 rounded-full mr-2" style="background: ${color}"></div>
-                        <span class="font-medium text-gray-800 dark:text-white">${item.type}</span>
-                        <span class="ml-2 text-gray-600 dark:text-gray-300">
-                            ${item.count.toLocaleString()} (${percentage}%)
-                        </span>
-                    </div>
-                `;
-            });
-            
-            legendHtml += '</div>';
-            DOM.distributionLegend.innerHTML = legendHtml;
+        // Save preference
+        SettingsManager.storeSettings({ timelinePeriod: period });
+    });
+});
+
+// Load saved timeline period preference
+const savedSettings = localStorage.getItem('rdpmon-settings');
+if (savedSettings) {
+    try {
+        const parsed = JSON.parse(savedSettings);
+        if (parsed.timelinePeriod) {
+            APP_STATE.currentTimelinePeriod = parsed.timelinePeriod;
             
-            DEBUG && console.log('📊 Legend updated with', finalTypes.length, 'items');
+            // Update button styling based on saved preference
+            markPeriodButton(parsed.timelinePeriod);
         }
-        
-        // ------------------------------------------------------------
-        // CHART THEME ADJUSTMENT
-        // ------------------------------------------------------------
-        
-        // Update chart colors based on current theme
-        const isDarkTheme = APP_STATE.theme === 'dark';
-        
-        // Update timeline chart theme
-        APP_STATE.charts.timeline.options.plugins.tooltip.backgroundColor = isDarkTheme 
-            ? 'rgba(30, 41, 59, 0.9)' 
-            : 'rgba(255, 255, 255, 0.9)';
+    } catch (e) {
+        DEBUG && console.error('Error loading timeline period:', e);
+    }
+}    
+    DEBUG && console.log('🎨 Period button styles updated for theme:', APP_STATE.theme);
+}
+	
+	/**
+	 * Update metrics display
+	 */
+	function updateMetrics() {
+		// Update database metrics
+		DOM.totalAddrRecords.textContent = APP_STATE.addrData.length.toLocaleString();
+		DOM.totalSessionRecords.textContent = APP_STATE.sessionData.length.toLocaleString();
+		
+		// Count unique IPs
+		const uniqueIPs = new Set(APP_STATE.addrData.map(item => item.IP).filter(ip => ip));
+		DOM.uniqueIps.textContent = uniqueIPs.size.toLocaleString();
+		
+		// Update database change times
+		const lastAddrChange = APP_STATE.databaseStats.LastAddrChange;
+		const lastSessionChange = APP_STATE.databaseStats.LastSessionChange;
+		
+		DOM.lastAddrChange.textContent = lastAddrChange ? Utils.formatDate(lastAddrChange) : 'N/A';
+		DOM.lastSessionChange.textContent = lastSessionChange ? Utils.formatDate(lastSessionChange) : 'N/A';
+		
+		// Prefer the generation time of the loaded data over the one baked into the template
+		const generationTime = (APP_STATE.data && APP_STATE.data.ReportInfo && APP_STATE.data.ReportInfo.GenerationTime) ||
+			(APP_STATE.data && APP_STATE.data.ExportTime && Utils.formatDate(APP_STATE.data.ExportTime)) ||
+			window.TEMPLATE_VARS.GENERATION_TIME;
+		
+		// Update other metrics
+		DOM.reportGenerated.textContent = generationTime;
+		DOM.autoRefreshStatus.textContent = `${window.TEMPLATE_VARS.AUTO_REFRESH_INTERVAL}s`;
+		DOM.dbPath.textContent = (window.TEMPLATE_VARS.DATABASE_PATH || '').substring(0, 50) + '...';
+		
+		// Update total records in header
+		DOM.totalRecords.textContent = APP_STATE.addrData.length.toLocaleString();
+		
+		// Update generation time
+		if (DOM.generationTime) {
+			DOM.generationTime.textContent = generationTime;
+		}
+	}
+	
+	/**
+	 * Update the report diagnostics panel
+	 * Lists schema problems of the displayed data with record index and field
+	 */
+	function updateDiagnosticsPanel() {
+		if (!DOM.diagnosticsPanel) return;
+		
+		const diagnostics = APP_STATE.diagnostics;
+		const issueCount = diagnostics ? diagnostics.issues.length + diagnostics.omitted : 0;
+		const visible = issueCount > 0 && !APP_STATE.diagnosticsDismissed;
+		DOM.diagnosticsPanel.classList.toggle('hidden', !visible);
+		if (!visible) return;
+		
+		const errors = diagnostics.issues.filter(issue => issue.severity === 'error').length;
+		const warnings = diagnostics.issues.length - errors;
+		let version = diagnostics.version ? `(schema v${diagnostics.version})` : '';
+		if (diagnostics.migratedFrom) {
+			version = `(schema v${diagnostics.migratedFrom} migrated to v${ReportSchema.currentVersion})`;
+		}
+		
+		DOM.diagnosticsPanel.classList.toggle('border-danger-500', errors > 0);
+		DOM.diagnosticsPanel.classList.toggle('border-yellow-500', errors === 0);
+		DOM.diagnosticsSummary.innerHTML = `
+			<span class="font-medium text-gray-800 dark:text-white">${Utils.escapeHtml(diagnostics.source || 'Report data')}</span>
+			<span class="text-gray-500 dark:text-gray-400">${version}</span>:
+			${diagnostics.fatal ? '<span class="font-semibold text-danger-600 dark:text-danger-400">report could not be loaded,</span>' : ''}
+			<span class="text-danger-600 dark:text-danger-400">${errors.toLocaleString()} error${errors === 1 ? '' : 's'}</span>,
+			<span class="text-yellow-700 dark:text-yellow-300">${warnings.toLocaleString()} warning${warnings === 1 ? '' : 's'}</span>
+			${diagnostics.omitted > 0 ? `<span class="text-gray-500 dark:text-gray-400">(+${diagnostics.omitted.toLocaleString()} not listed)</span>` : ''}
+		`;
+		
+		DOM.diagnosticsList.innerHTML = diagnostics.issues.map(issue => `
+			<tr>
+				<td class="px-4 py-2 whitespace-nowrap">
+					${issue.severity === 'error' ?
+						'<span class="text-danger-600 dark:text-danger-400"><i class="fas fa-times-circle mr-1"></i>Error</span>' :
+						'<span class="text-yellow-700 dark:text-yellow-300"><i class="fas fa-exclamation-triangle mr-1"></i>Warning</span>'}
+				</td>
+				<td class="px-4 py-2 whitespace-nowrap font-mono text-xs text-gray-800 dark:text-white">
+					${issue.source ? `<span class="text-gray-500 dark:text-gray-400">${Utils.escapeHtml(issue.source)}:</span> ` : ''}${Utils.escapeHtml(ReportSchema.formatLocation(issue))}
+				</td>
+				<td class="px-4 py-2 text-gray-700 dark:text-gray-300">${Utils.escapeHtml(issue.message)}</td>
+				<td class="px-4 py-2 font-mono text-xs text-gray-500 dark:text-gray-400">${issue.value !== undefined ? Utils.escapeHtml(issue.value) : ''}</td>
+			</tr>
+		`).join('');
+		
+		// Fatal problems are shown expanded, warnings start collapsed
+		if (diagnostics.fatal) {
+			DOM.diagnosticsList.closest('.diagnostics-details').classList.remove('hidden');
+		}
+	}
+	
+	/**
+	 * Update fleet server filter and per-server breakdown
+	 * Hidden unless the data set holds records from more than one server
+	 */
+	function updateFleetView() {
+		const isFleet = APP_STATE.servers.length > 1;
+		
+		if (DOM.serverFilter) {
+			DOM.serverFilter.classList.toggle('hidden', !isFleet);
+			DOM.serverFilter.innerHTML = `<option value="all">All servers (${APP_STATE.servers.length})</option>` +
+				APP_STATE.servers.map(server => 
+					`<option value="${Utils.escapeHtml(server)}">${Utils.escapeHtml(server)}</option>`
+				).join('');
+			DOM.serverFilter.value = APP_STATE.currentServer;
+		}
+		
+		if (!DOM.fleetBreakdown) return;
+		DOM.fleetBreakdown.classList.toggle('hidden', !isFleet);
+		if (!isFleet) return;
+		
+		const crossHostIps = [...APP_STATE.attackServersByIp.keys()].filter(ip => getCrossHostServers(ip));
+		DOM.fleetServerCount.textContent = APP_STATE.servers.length.toLocaleString();
+		DOM.crossHostCount.textContent = crossHostIps.length.toLocaleString();
+		
+		DOM.fleetBreakdownTable.innerHTML = APP_STATE.servers.map(server => {
+			const records = APP_STATE.addrData.filter(item => item.Server === server);
+			const sessions = APP_STATE.sessionData.filter(session => session.Server === server);
+			const countType = (type) => records.filter(item => (item.ConnectionType || '').toLowerCase() === type).length;
+			const fails = records.reduce((sum, item) => sum + item.FailCount, 0);
+			const crossHost = records.filter(item => getCrossHostServers(item.IP)).length;
+			const selected = server === APP_STATE.currentServer;
+			
+			return `
+				<tr class="fleet-server-row cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800/50 ${selected ? 'bg-primary-50 dark:bg-primary-900/20' : ''}" data-server="${Utils.escapeHtml(server)}">
+					<td class="px-4 py-2 font-medium text-gray-900 dark:text-white"><i class="fas fa-server mr-2 text-gray-400"></i>${Utils.escapeHtml(server)}</td>
+					<td class="px-4 py-2 text-gray-900 dark:text-white">${records.length.toLocaleString()}</td>
+					<td class="px-4 py-2 text-danger-600 dark:text-danger-400">${countType('attack').toLocaleString()}</td>
+					<td class="px-4 py-2 text-success-600 dark:text-success-400">${countType('legit').toLocaleString()}</td>
+					<td class="px-4 py-2 text-gray-900 dark:text-white">${fails.toLocaleString()}</td>
+					<td class="px-4 py-2 text-gray-900 dark:text-white">${sessions.filter(session => session.IsActive).length.toLocaleString()}</td>
+					<td class="px-4 py-2 text-gray-900 dark:text-white">${crossHost.toLocaleString()}</td>
+				</tr>
+			`;
+		}).join('');
+		
+		DOM.fleetBreakdownTable.querySelectorAll('.fleet-server-row').forEach(row => {
+			row.addEventListener('click', () => {
+				const server = row.dataset.server;
+				selectServer(APP_STATE.currentServer === server ? 'all' : server);
+			});
+		});
+	}
+	
+	/**
+	 * Update the possible compromise panel above the KPI cards
+	 * Lists IPs of the selected server and date range that logged on after many failed attempts
+	 * or opened a session while classified as attacking; hidden when there are none
+	 * Detection runs in the pipeline again only when the data set, server or date range changed
+	 */
+	async function updateCompromisePanel() {
+		if (!DOM.compromisePanel) return;
+		
+		const dateFilter = APP_STATE.filters.find(filter => filter.kind === 'date');
+		const key = JSON.stringify([APP_STATE.currentServer, dateFilter ? dateFilter.value : null]);
+		const scope = APP_STATE.compromiseScope;
+		const data = APP_STATE.addrData;
+		if (scope && scope.data === data && scope.key === key) return;
+		
+		const compromisesId = ++APP_STATE.compromisesId;
+		let incidents;
+		try {
+			incidents = await DataPipeline.request('compromises', {
+				server: APP_STATE.currentServer,
+				filters: dateFilter ? [dateFilter] : []
+			});
+		} catch (error) {
+			DEBUG && console.error('❌ Error detecting compromises:', error);
+			if (compromisesId === APP_STATE.compromisesId) {
+				Utils.showNotification(`Cannot check for compromised IPs: ${Utils.escapeHtml(error.message)}`, 'error');
+			}
+			return;
+		}
+		if (compromisesId !== APP_STATE.compromisesId) return;
+		
+		APP_STATE.compromiseScope = { data, key };
+		APP_STATE.compromises = incidents;
+		
+		DOM.compromisePanel.classList.toggle('hidden', incidents.length === 0);
+		if (incidents.length === 0) return;
+		
+		const afterFailures = incidents.filter(incident => incident.afterFailures).length;
+		const attackingSessions = incidents.filter(incident => incident.attackingSession).length;
+		DOM.compromiseSummary.textContent = `${incidents.length.toLocaleString()} ${incidents.length === 1 ? 'IP' : 'IPs'} to investigate: ` + [
+			afterFailures > 0 && `${afterFailures.toLocaleString()} logged on after failed attempts`,
+			attackingSessions > 0 && `${attackingSessions.toLocaleString()} opened sessions while classified as Attack or Mixed`
+		].filter(Boolean).join(', ');
+		
+		DOM.compromiseList.innerHTML = incidents.map(incident => {
+			const attempted = incident.attempted.slice(0, 3).join(', ') + (incident.attempted.length > 3 ? '…' : '');
+			const lastSeen = incident.lastSeen !== null ? Utils.formatDate(new Date(incident.lastSeen)) : 'unknown';
+			
+			return `
+				<tr>
+					<td class="px-4 py-2 whitespace-nowrap">
+						<button class="compromise-ip-btn font-mono font-medium text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 hover:underline" data-ip="${Utils.escapeHtml(incident.ip)}" title="Show connection details">
+							${Utils.escapeHtml(incident.ip)}
+						</button>
+						${incident.servers.length > 0 ? `<div class="text-xs text-gray-500 dark:text-gray-400"><i class="fas fa-server mr-1"></i>${Utils.escapeHtml(incident.servers.join(', '))}</div>` : ''}
+					</td>
+					<td class="px-4 py-2 text-gray-900 dark:text-white">
+						${incident.accounts.length > 0 ?
+							`<span class="font-medium">${Utils.escapeHtml(incident.accounts.join(', '))}</span>` :
+							`<span class="text-gray-500 dark:text-gray-400" title="No session is recorded for this IP, the succeeding account is one of the attempted usernames">Unknown (tried ${Utils.escapeHtml(attempted || 'no usernames')})</span>`}
+					</td>
+					<td class="px-4 py-2 whitespace-nowrap text-gray-900 dark:text-white">
+						${incident.firstSuccess !== null ?
+							Utils.formatDate(new Date(incident.firstSuccess)) :
+							`<span class="text-gray-500 dark:text-gray-400" title="The report counts successful logons without their time">Not recorded (last seen ${lastSeen})</span>`}
+					</td>
+					<td class="px-4 py-2 whitespace-nowrap font-medium text-danger-600 dark:text-danger-400">${incident.fails.toLocaleString()}</td>
+					<td class="px-4 py-2 whitespace-nowrap">
+						${incident.evidence === 'session' ?
+							`<span class="px-2 py-0.5 bg-danger-100 dark:bg-danger-900/30 text-danger-700 dark:text-danger-300 rounded text-xs font-semibold"><i class="fas fa-desktop mr-1"></i>${incident.sessions} ${incident.sessions === 1 ? 'session' : 'sessions'}</span>` :
+							`<span class="px-2 py-0.5 bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-300 rounded text-xs font-semibold"><i class="fas fa-sign-in-alt mr-1"></i>${incident.successes} successful ${incident.successes === 1 ? 'logon' : 'logons'}</span>`}
+					</td>
+				</tr>
+			`;
+		}).join('');
+	}
+	
+	/**
+	 * Render the weekly activity heatmap of the filtered connections: one row per weekday,
+	 * one cell per hour, shaded by the cell's share of the busiest cell
+	 */
+	function updateHeatmap() {
+		const result = APP_STATE.queryResult;
+		if (!DOM.activityHeatmap || !result) return;
+		
+		const { traffic, metric } = APP_STATE.heatmapView;
+		const cells = result.heatmap[traffic][metric];
+		const max = Math.max(...cells);
+		const color = traffic === 'attack' ? '239, 68, 68' : '34, 197, 94';
+		const unit = metric === 'ips' ?
+			(count) => `${count.toLocaleString()} ${count === 1 ? 'IP' : 'IPs'}` :
+			(count) => `${count.toLocaleString()} ${traffic === 'attack' ? 'failed' : 'successful'} ${count === 1 ? 'logon' : 'logons'}`;
+		const hour = (h) => String(h).padStart(2, '0');
+		
+		const header = `
+			<thead>
+				<tr>
+					<th></th>
+					${Array.from({ length: 24 }, (_, h) => `<th class="font-normal text-gray-500 dark:text-gray-400">${h % 3 === 0 ? hour(h) : ''}</th>`).join('')}
+				</tr>
+			</thead>
+		`;
+		const rows = ActivityHeatmap.weekdays.map((weekday, day) => `
+			<tr>
+				<th class="pr-2 text-left font-medium text-gray-600 dark:text-gray-300">${weekday}</th>
+				${Array.from({ length: 24 }, (_, h) => {
+					const count = cells[day * 24 + h];
+					const style = count > 0 ? ` style="background-color: rgba(${color}, ${(0.15 + 0.85 * count / max).toFixed(2)})"` : '';
+					return `<td class="heatmap-cell"${style} title="${weekday} ${hour(h)}:00–${hour((h + 1) % 24)}:00: ${unit(count)}"></td>`;
+				}).join('')}
+			</tr>
+		`).join('');
+		DOM.activityHeatmap.innerHTML = header + `<tbody>${rows}</tbody>`;
+		
+		if (max === 0) {
+			DOM.heatmapInfo.textContent = `No ${traffic} activity`;
+			return;
+		}
+		const peak = cells.indexOf(max);
+		DOM.heatmapInfo.textContent = `Peak: ${ActivityHeatmap.weekdays[Math.floor(peak / 24)]} ${hour(peak % 24)}:00 (${unit(max)})`;
+	}
+	
+	/**
+	 * Detect campaigns for the selected server and date range and show them in the campaigns panel
+	 * Detection runs again only when the data set, server or date range changed
+	 */
+	async function updateCampaigns() {
+		if (!DOM.campaignsList) return;
+		
+		const dateFilter = APP_STATE.filters.find(filter => filter.kind === 'date');
+		const key = JSON.stringify([APP_STATE.currentServer, dateFilter ? dateFilter.value : null]);
+		const scope = APP_STATE.campaignScope;
+		const data = APP_STATE.addrData;
+		if (scope && scope.data === data && scope.key === key) return;
+		
+		const campaignsId = ++APP_STATE.campaignsId;
+		let campaigns;
+		try {
+			campaigns = await DataPipeline.request('campaigns', {
+				server: APP_STATE.currentServer,
+				filters: dateFilter ? [dateFilter] : []
+			});
+		} catch (error) {
+			DEBUG && console.error('❌ Error detecting campaigns:', error);
+			if (campaignsId === APP_STATE.campaignsId) {
+				Utils.showNotification(`Cannot detect campaigns: ${Utils.escapeHtml(error.message)}`, 'error');
+			}
+			return;
+		}
+		if (campaignsId !== APP_STATE.campaignsId) return;
+		
+		// Cached only after a successful detection, so a failed one runs again on the next update
+		APP_STATE.campaignScope = { data, key };
+		APP_STATE.campaigns = campaigns;
+		DEBUG && console.log('🕸️ Campaigns detected:', campaigns.length);
+		renderCampaigns();
+	}
+	
+	/**
+	 * Render the campaigns panel: one expandable entry per campaign with its
+	 * targeted accounts (click to filter by one) and member IPs (click for details)
+	 */
+	function renderCampaigns() {
+		const campaigns = APP_STATE.campaigns;
+		DOM.campaignCount.textContent = campaigns.length.toLocaleString();
+		
+		if (campaigns.length === 0) {
+			DOM.campaignsList.innerHTML = `
+				<div class="px-5 py-8 text-center text-gray-500 dark:text-gray-400">
+					<i class="fas fa-users-viewfinder text-3xl mb-2"></i>
+					<p class="font-medium">No campaigns detected</p>
+				</div>
+			`;
+			return;
+		}
+		
+		DOM.campaignsList.innerHTML = campaigns.map(campaign => {
+			const id = campaign.ips[0].ip;
+			const spraying = campaign.kind === 'spraying';
+			const accounts = campaign.accounts.slice(0, 5).map(account => Utils.escapeHtml(account.user)).join(', ');
+			
+			return `
+				<details class="campaign" data-campaign="${Utils.escapeHtml(id)}" ${APP_STATE.openCampaigns.has(id) ? 'open' : ''}>
+					<summary class="cursor-pointer px-5 py-3 flex flex-wrap items-center gap-x-4 gap-y-1 hover:bg-gray-50 dark:hover:bg-gray-800/50">
+						<span class="px-2 py-0.5 rounded-full text-xs font-semibold ${spraying ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'bg-danger-100 dark:bg-danger-900/30 text-danger-700 dark:text-danger-300'}">
+							<i class="fas ${spraying ? 'fa-spray-can' : 'fa-network-wired'} mr-1"></i>${spraying ? 'Password spraying' : 'Distributed brute force'}
+						</span>
+						<span class="text-sm font-medium text-gray-900 dark:text-white">${campaign.ips.length.toLocaleString()} IPs · ${campaign.accounts.length.toLocaleString()} accounts · ${campaign.fails.toLocaleString()} failed</span>
+						<span class="text-sm text-gray-600 dark:text-gray-300 truncate max-w-md" title="${Utils.escapeHtml(campaign.accounts.map(account => account.user).join(', '))}">
+							<i class="fas fa-user mr-1 text-gray-400"></i>${accounts}${campaign.accounts.length > 5 ? ` (+${campaign.accounts.length - 5} more)` : ''}
+						</span>
+						<span class="text-xs text-gray-500 dark:text-gray-400 ml-auto">
+							${Utils.formatDate(new Date(campaign.start))} – ${Utils.formatDate(new Date(campaign.end))} (${Utils.formatDuration(campaign.end - campaign.start)})
+						</span>
+					</summary>
+					<div class="px-5 pb-4 grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+						<div>
+							<p class="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-2">Targeted accounts</p>
+							<div class="flex flex-wrap gap-1">
+								${campaign.accounts.map(account => `
+									<button class="campaign-user-btn px-2 py-0.5 glass-card rounded text-xs text-gray-800 dark:text-white hover:bg-gray-100 dark:hover:bg-gray-800" data-user="${Utils.escapeHtml(account.user)}" title="Filter by this username">
+										${Utils.escapeHtml(account.user)} <span class="text-gray-500 dark:text-gray-400">${account.ips}</span>
+									</button>
+								`).join('')}
+							</div>
+						</div>
+						<div>
+							<p class="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-2">Member IPs</p>
+							<div class="flex flex-wrap gap-1 max-h-40 overflow-y-auto">
+								${campaign.ips.map(member => `
+									<button class="campaign-ip-btn px-2 py-0.5 glass-card rounded text-xs font-mono text-primary-600 dark:text-primary-400 hover:bg-gray-100 dark:hover:bg-gray-800" data-ip="${Utils.escapeHtml(member.ip)}" title="${Utils.escapeHtml(member.users.join(', '))}">
+										${Utils.escapeHtml(member.ip)} <span class="text-danger-600 dark:text-danger-400">${member.fails}</span>
+									</button>
+								`).join('')}
+							</div>
+						</div>
+					</div>
+				</details>
+			`;
+		}).join('');
+	}
+	
+	/**
+	 * Scope the dashboard to one server of a fleet data set
+	 * 
+	 * @param {string} server - Server name or 'all'
+	 */
+	function selectServer(server) {
+		DEBUG && console.log('🖥️ Server filter:', server);
+		APP_STATE.currentServer = server;
+		APP_STATE.currentPage = 1;
+		refreshView();
+	}
+	
+	/**
+	 * UI Management Functions
+	 */
+	
+	/**
+	 * Initialize tab navigation
+	 */
+	function initTabs() {
+		DEBUG && console.log('📑 Initializing tabs...');
+		// Set active tab
+		const activeTab = APP_STATE.currentTab || 'connections';
+		switchTab(activeTab);
+	}
+	
+	/**
+	 * Initialize chart.js charts
+	 */
+	function initCharts() {
+		DEBUG && console.log('📈 Initializing charts...');
+		
+		if (APP_STATE.addrData.length === 0) {
+			DEBUG && console.log('📈 No data available for charts');
+			return;
+		}
+		
+		try {
+			// Destroy existing charts to prevent canvas reuse error
+			if (APP_STATE.charts.timeline) {
+				APP_STATE.charts.timeline.destroy();
+				APP_STATE.charts.timeline = null;
+			}
+			if (APP_STATE.charts.distribution) {
+				APP_STATE.charts.distribution.destroy();
+				APP_STATE.charts.distribution = null;
+			}
+			
+			// Timeline Chart
+			const timelineCtx = DOM.timelineChart.getContext('2d');
+			APP_STATE.charts.timeline = new Chart(timelineCtx, {
+				type: 'line',
+				data: {
+					labels: [],
+					datasets: [{
+						label: 'Failed Attempts',
+						data: [],
+						borderColor: 'rgb(239, 68, 68)',
+						backgroundColor: 'rgba(239, 68, 68, 0.1)',
+						tension: 0.4,
+						fill: true,
+						borderWidth: 2
+					}, {
+						label: 'Successful Logins',
+						data: [],
+						borderColor: 'rgb(34, 197, 94)',
+						backgroundColor: 'rgba(34, 197, 94, 0.1)',
+						tension: 0.4,
+						fill: true,
+						borderWidth: 2
+					},
+					// IPs last seen per period, one series per connection type (toggle in the legend);
+					// Mixed is shown by default
+					...ReportSchema.connectionTypes.map(type => ({
+						label: `${type} IPs`,
+						data: [],
+						borderColor: Utils.getTypeChartColor(type),
+						backgroundColor: Utils.getTypeChartColor(type),
+						borderDash: type === 'Mixed' ? [] : [4, 4],
+						tension: 0.4,
+						fill: false,
+						borderWidth: type === 'Mixed' ? 3 : 1.5,
+						pointRadius: type === 'Mixed' ? 3 : 2,
+						yAxisID: 'ips',
+						hidden: type !== 'Mixed'
+					}))]
+				},
+				options: {
+					responsive: true,
+					maintainAspectRatio: false,
+					interaction: {
+						intersect: false,
+						mode: 'index'
+					},
+					plugins: {
+						legend: {
+							position: 'top',
+							labels: {
+								color: APP_STATE.theme === 'dark' ? '#e2e8f0' : '#475569',
+								font: { size: 12 }
+							}
+						},
+						tooltip: {
+							mode: 'index',
+							intersect: false,
+							backgroundColor: APP_STATE.theme === 'dark' ? 'rgba(30, 41, 59, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+							titleColor: APP_STATE.theme === 'dark' ? '#e2e8f0' : '#475569',
+							bodyColor: APP_STATE.theme === 'dark' ? '#e2e8f0' : '#475569',
+							borderColor: APP_STATE.theme === 'dark' ? 'rgba(51, 65, 85, 0.3)' : 'rgba(203, 213, 225, 0.3)',
+							borderWidth: 1
+						}
+					},
+					scales: {
+						x: {
+							grid: {
+								color: APP_STATE.theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+								drawBorder: false
+							},
+							ticks: {
+								color: APP_STATE.theme === 'dark' ? '#94a3b8' : '#64748b',
+								maxRotation: 0
+							}
+						},
+						y: {
+							beginAtZero: true,
+							grid: {
+								color: APP_STATE.theme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+								drawBorder: false
+							},
+							ticks: {
+								color: APP_STATE.theme === 'dark' ? '#94a3b8' : '#64748b',
+								precision: 0
+							}
+						},
+						ips: {
+							position: 'right',
+							beginAtZero: true,
+							grid: {
+								drawOnChartArea: false
+							},
+							title: {
+								display: true,
+								text: 'IPs',
+								color: APP_STATE.theme === 'dark' ? '#94a3b8' : '#64748b'
+							},
+							ticks: {
+								color: APP_STATE.theme === 'dark' ? '#94a3b8' : '#64748b',
+								precision: 0
+							}
+						}
+					}
+				}
+			});
+			
+			// Distribution Chart
+			const distributionCtx = DOM.distributionChart.getContext('2d');
+			APP_STATE.charts.distribution = new Chart(distributionCtx, {
+				type: 'doughnut',
+				data: {
+					labels: [],
+					datasets: [{
+						data: [],
+						backgroundColor: [
+							'rgba(239, 68, 68, 0.8)',
+							'rgba(34, 197, 94, 0.8)',
+							'rgba(59, 130, 246, 0.8)',
+							'rgba(168, 85, 247, 0.8)',
+							'rgba(245, 158, 11, 0.8)',
+							'rgba(14, 165, 233, 0.8)',
+							'rgba(236, 72, 153, 0.8)',
+							'rgba(20, 184, 166, 0.8)'
+						],
+						borderColor: APP_STATE.theme === 'dark' ? 'rgba(30, 41, 59, 0.8)' : 'rgba(255, 255, 255, 0.8)',
+						borderWidth: 2,
+						hoverOffset: 15
+					}]
+				},
+				options: {
+					responsive: true,
+					maintainAspectRatio: false,
+					cutout: '60%',
+					plugins: {
+						legend: { display: false },
+						tooltip: {
+							callbacks: {
+								label: function(context) {
+									const label = context.label || '';
+									const value = context.raw || 0;
+									const total = context.dataset.data.reduce((a, b) => a + b, 0);
+									const percentage = Math.round((value / total) * 100);
+									return `${label}: ${value} (${percentage}%)`;
+								}
+							}
+						}
+					}
+				}
+			});
+			
+			// Initialize charts with data
+			updateCharts();
+			
+			// Add event listeners for timeline period buttons
+			document.querySelectorAll('.timeline-period').forEach(btn => {
+				btn.addEventListener('click', function() {
+					document.querySelectorAll('.timeline-period').forEach(b => b.classList.remove('active'));
+					this.classList.add('active');
+					APP_STATE.currentTimelinePeriod = this.dataset.period;
+					updateCharts();
+				});
+			});
+			
+			// Add event listener for distribution limit selector
+if (DOM.distributionLimit) {
+    DOM.distributionLimit.addEventListener('change', function() {
+        const value = parseInt(this.value) || 0;
+        DEBUG && console.log('📊 Distribution limit changed to:', value);
+        APP_STATE.chartDistributionLimit = value;
+        APP_STATE.settings.chartItemsLimit = value; // Сохраняем в настройки
+        updateCharts();
+    });
+}
+			
+			DEBUG && console.log('✅ Charts initialized successfully');
+		} catch (error) {
+			DEBUG && console.error('❌ Error initializing charts:', error);
+			Utils.showNotification('Error initializing charts', 'error');
+		}
+	}
+	
+/**
+ * Update charts with current data and apply distribution limit
+ * Handles both timeline and distribution charts with proper limit management
+ */
+function updateCharts() {
+    // Safety check: ensure charts are initialized
+    if (!APP_STATE.charts.timeline || !APP_STATE.charts.distribution) {
+        DEBUG && console.warn('⚠️ Charts not initialized, skipping update');
+        return;
+    }
+    
+    // Timeline buckets and type counts are pre-aggregated by the data pipeline,
+    // so switching the period only reads the buckets
+    const result = APP_STATE.queryResult;
+    
+    // Check if there's data to display (an empty filter result still clears the charts)
+    if (!result || APP_STATE.addrData.length === 0) {
+        DEBUG && console.warn('⚠️ No data available for charts');
+        return;
+    }
+    
+    try {
+// ------------------------------------------------------------
+// TIMELINE CHART UPDATE
+// ------------------------------------------------------------
+
+// Update timeline based on selected period
+let days;
+let labelFormat;
+switch(APP_STATE.currentTimelinePeriod) {
+    case 'day': 
+        days = 1; 
+        labelFormat = 'hour';
+        break;
+    case 'week': 
+        days = 7; 
+        labelFormat = 'weekday';
+        break;
+    case 'month': 
+        days = 30; 
+        labelFormat = 'monthDay';
+        break;
+    case 'year': 
+        days = 365; 
+        labelFormat = 'month';
+        break;
+    default: 
+        days = 30;
+        labelFormat = 'monthDay';
+}
+
+// Count back from the end of the date range (now when it is open-ended)
+const today = getDateRangeEnd();
+const labels = [];
+const failData = [];
+const successData = [];
+const typeData = ReportSchema.connectionTypes.map(() => []);
+
+// Generate data for the selected time period
+for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(today);
+    date.setDate(date.getDate() - i);
+    
+    // Format label based on time period with year when needed
+    let label;
+    const currentYear = new Date().getFullYear();
+    const dateYear = date.getFullYear();
+    
+    switch(labelFormat) {
+        case 'hour':
+            // For single day: show hours with minutes
+            label = date.toLocaleTimeString([], { 
+                hour: '2-digit', 
+                minute: '2-digit',
+                hour12: false 
+            });
+            break;
+        case 'weekday':
+            // For week: show weekday abbreviation and day
+            // Add year if different from current year
+            const weekdayLabel = date.toLocaleDateString('en-US', { 
+                weekday: 'short', 
+                day: 'numeric' 
+            });
+            label = dateYear !== currentYear ? 
+                `${weekdayLabel} ${dateYear}` : 
+                weekdayLabel;
+            break;
+        case 'monthDay':
+            // For month: show month abbreviation and day
+            // Add year if different from current year
+            const monthDayLabel = date.toLocaleDateString('en-US', { 
+                month: 'short', 
+                day: 'numeric' 
+            });
+            label = dateYear !== currentYear ? 
+                `${monthDayLabel} ${dateYear}` : 
+                monthDayLabel;
+            break;
+        case 'month':
+            // For year: show month abbreviation
+            // Always show year for year view
+            const monthLabel = date.toLocaleDateString('en-US', { 
+                month: 'short' 
+            });
+            label = `${monthLabel} ${dateYear}`;
+            break;
+    }
+    
+    labels.push(label);
+    
+    // For year view, aggregate by month
+    let bucket;
+    if (APP_STATE.currentTimelinePeriod === 'year') {
+        bucket = result.buckets.months[`${date.getFullYear()}-${date.getMonth() + 1}`];
+    } else {
+        // For day/week/month: look up the exact date
+        bucket = result.buckets.days[date.toISOString().split('T')[0]];
+    }
+    
+    // Calculate metrics
+    failData.push(bucket ? bucket[0] : 0);
+    successData.push(bucket ? bucket[1] : 0);
+    typeData.forEach((series, typeIndex) => series.push(bucket ? bucket[2 + typeIndex] : 0));
+}
+
+// Update timeline chart data
+APP_STATE.charts.timeline.data.labels = labels;
+APP_STATE.charts.timeline.data.datasets[0].data = failData;
+APP_STATE.charts.timeline.data.datasets[1].data = successData;
+typeData.forEach((series, typeIndex) => {
+    APP_STATE.charts.timeline.data.datasets[2 + typeIndex].data = series;
+});
+
+// Update chart title based on period
+let chartTitle = 'Activity Timeline';
+if (APP_STATE.currentTimelinePeriod === 'year') {
+    chartTitle = `${today.getFullYear()} Activity Timeline`;
+} else if (APP_STATE.currentTimelinePeriod === 'month') {
+    chartTitle = `${today.toLocaleDateString('en-US', { month: 'long' })} Activity Timeline`;
+}
+
+// Update chart title if plugin exists
+if (APP_STATE.charts.timeline.options.plugins.title) {
+    APP_STATE.charts.timeline.options.plugins.title.text = chartTitle;
+}
+
+APP_STATE.charts.timeline.update();
+        
+        DEBUG && console.log('📈 Timeline chart updated:', {
+            period: APP_STATE.currentTimelinePeriod,
+            days: days,
+            dataPoints: labels.length
+        });
+        
+        // ------------------------------------------------------------
+        // DISTRIBUTION CHART UPDATE
+        // ------------------------------------------------------------
+        
+        // Type statistics of the connection data
+        const typeStats = result.types;
+        
+        DEBUG && console.log('📊 Distribution chart statistics:', {
+            rawStats: typeStats,
+            chartLimit: APP_STATE.chartDistributionLimit,
+            uniqueTypes: Object.keys(typeStats).length
+        });
+        
+        // Convert to sorted array of objects for easier manipulation
+        let sortedTypes = Object.entries(typeStats)
+            .sort((a, b) => b[1] - a[1]) // Sort by count descending
+            .map(([type, count]) => ({
+                type: type.charAt(0).toUpperCase() + type.slice(1), // Capitalize type name
+                count,
+                originalType: type // Keep original for reference
+            }));
+        
+        DEBUG && console.log('📊 Types sorted by frequency:', sortedTypes);
+        
+        // Apply distribution limit based on user selection
+        let finalTypes = [];
+        
+        if (APP_STATE.chartDistributionLimit === 0) {
+            // Case 1: Show all types (limit = 0 or "All")
+            finalTypes = [...sortedTypes];
+            DEBUG && console.log('📊 Showing all types (limit = 0)');
+            
+        } else if (sortedTypes.length <= APP_STATE.chartDistributionLimit) {
+            // Case 2: Fewer types than limit, show all
+            finalTypes = [...sortedTypes];
+            DEBUG && console.log(`📊 Showing all ${sortedTypes.length} types (less than limit ${APP_STATE.chartDistributionLimit})`);
+            
+        } else {
+            // Case 3: More types than limit, apply limit and add "Other" category
+            const visibleTypes = sortedTypes.slice(0, APP_STATE.chartDistributionLimit);
+            const hiddenTypes = sortedTypes.slice(APP_STATE.chartDistributionLimit);
+            
+            // Calculate total count of hidden types
+            const otherCount = hiddenTypes.reduce((sum, item) => sum + item.count, 0);
+            
+            // Prepare final array with visible types
+            finalTypes = [...visibleTypes];
+            
+            // Add "Other" category if there are hidden types with data
+            if (otherCount > 0) {
+                finalTypes.push({
+                    type: 'Other',
+                    count: otherCount,
+                    originalType: 'other',
+                    isAggregated: true
+                });
+                
+                DEBUG && console.log('📊 Applied limit:', {
+                    limit: APP_STATE.chartDistributionLimit,
+                    visible: visibleTypes.length,
+                    hidden: hiddenTypes.length,
+                    otherCount: otherCount
+                });
+            } else {
+                DEBUG && console.log('📊 No data in hidden types, skipping "Other" category');
+            }
+        }
+        
+        // Calculate total for percentage calculations
+        const total = finalTypes.reduce((sum, item) => sum + item.count, 0);
+        
+        // Prepare data for chart.js
+        const labelsData = finalTypes.map(item => item.type);
+        const dataValues = finalTypes.map(item => item.count);
+        
+        DEBUG && console.log('📊 Final chart data:', {
+            labels: labelsData,
+            data: dataValues,
+            total: total,
+            itemCount: finalTypes.length
+        });
+        
+        // Update distribution chart (each connection type keeps its own color)
+        APP_STATE.charts.distribution.data.labels = labelsData;
+        APP_STATE.charts.distribution.data.datasets[0].data = dataValues;
+        APP_STATE.charts.distribution.data.datasets[0].backgroundColor = finalTypes.map(item => `${Utils.getTypeChartColor(item.originalType)}cc`);
+        
+        // Update chart visualization
+        APP_STATE.charts.distribution.update();
+        
+        // ------------------------------------------------------------
+        // UPDATE DISTRIBUTION LEGEND
+        // ------------------------------------------------------------
+        
+        if (DOM.distributionLegend) {
+            let legendHtml = '<div class="flex flex-wrap gap-2 justify-center">';
+            
+            finalTypes.forEach((item, index) => {
+                // Calculate percentage
+                const percentage = total > 0 ? Math.round((item.count / total) * 100) : 0;
+                
+                // Connection type color
+                const color = Utils.getTypeChartColor(item.originalType);
+                
+                // Build legend item
+                legendHtml += `
+                    <div class="flex items-center px-3 py-1 rounded-full text-xs" 
+                         style="background: ${color}22; border: 1px solid ${color}44"
+                         title="${item.isAggregated ? 'Aggregated category' : item.originalType}">
+                        <div class="w-3 h-3 rounded-full mr-2" style="background: ${color}"></div>
+                        <span class="font-medium text-gray-800 dark:text-white">${item.type}</span>
+                        <span class="ml-2 text-gray-600 dark:text-gray-300">
+                            ${item.count.toLocaleString()} (${percentage}%)
+                        </span>
+                    </div>
+                `;
+            });
+            
+            legendHtml += '</div>';
+            DOM.distributionLegend.innerHTML = legendHtml;
+            
+            DEBUG && console.log('📊 Legend updated with', finalTypes.length, 'items');
+        }
+        
+        // ------------------------------------------------------------
+        // CHART THEME ADJUSTMENT
+        // ------------------------------------------------------------
+        
+        // Update chart colors based on current theme
+        const isDarkTheme = APP_STATE.theme === 'dark';
+        
+        // Update timeline chart theme
+        APP_STATE.charts.timeline.options.plugins.tooltip.backgroundColor = isDarkTheme 
+            ? 'rgba(30, 41, 59, 0.9)' 
+            : 'rgba(255, 255, 255, 0.9)';
+            
+        APP_STATE.charts.timeline.options.scales.x.grid.color = isDarkTheme 
+            ? 'rgba(255, 255, 255, 0.1)' 
+            : 'rgba(0, 0, 0, 0.1)';
+            
+        APP_STATE.charts.timeline.options.scales.y.grid.color = isDarkTheme 
+            ? 'rgba(255, 255, 255, 0.1)' 
+            : 'rgba(0, 0, 0, 0.1)';
+        
+        // Trigger theme update
+        APP_STATE.charts.timeline.update();
+        APP_STATE.charts.distribution.update();
+        
+        DEBUG && console.log('✅ All charts updated successfully', {
+            theme: APP_STATE.theme,
+            timelinePeriod: APP_STATE.currentTimelinePeriod,
+            distributionLimit: APP_STATE.chartDistributionLimit,
+            totalConnections: APP_STATE.addrData.length
+        });
+        
+    } catch (error) {
+        DEBUG && console.error('❌ Error updating charts:', {
+            error: error.message,
+            stack: error.stack,
+            currentLimit: APP_STATE.chartDistributionLimit,
+            dataLength: APP_STATE.addrData.length
+        });
+        
+        // Show user-friendly error notification
+        if (!error.handled) {
+            Utils.showNotification('Error updating charts. Please refresh the page.', 'error');
+            error.handled = true;
+        }
+    }
+}
+	
+	/**
+	 * Virtual Scrolling Table
+	 * Renders only the rows in view (plus an overscan margin) between two spacer rows,
+	 * so tables stay smooth with 100k records. The scrolling container keeps the header
+	 * sticky and handles keyboard navigation: arrows, Page Up/Down and Home/End move the
+	 * active row, Enter activates it
+	 */
+	const VirtualTable = {
+		// Rows rendered above and below the viewport
+		overscan: 10,
+		
+		/**
+		 * Create a virtual table on a tbody inside a scrolling container
+		 * 
+		 * @param {Object} options - Table options:
+		 *   body        {HTMLElement} tbody receiving the rows
+		 *   container   {HTMLElement} Scrolling container around the table
+		 *   columns     {number|Function} Column count (spacer and empty rows), or a function returning it
+		 *   rowHeight   {number} Estimated row height in px, replaced by the measured height
+		 *   renderRow   {Function} (item, index) => HTMLTableRowElement
+		 *   renderEmpty {Function} () => HTMLTableRowElement shown when there are no rows
+		 *   onActivate  {Function} (item) => void, called on Enter
+		 *   onEdge      {Function} (direction) => boolean, called when moving past the first/last row;
+		 *               returns true when it loaded the adjacent rows (pagination)
+		 *   onRange     {Function} (first, last, total) => void, visible row range after each render
+		 * @returns {Object} Table instance
+		 */
+		create: (options) => {
+			const { body, container } = options;
+			const table = body.closest('table');
+			
+			const instance = {
+				rows: [],
+				activeIndex: -1,
+				rowHeight: options.rowHeight || 48,
+				range: null,
+				frame: null,
+				
+				/**
+				 * Replace the table rows
+				 * 
+				 * @param {Array} rows - Records to display
+				 * @param {Object} [settings] - { resetScroll } scroll back to the first row
+				 */
+				setRows: (rows, { resetScroll = false } = {}) => {
+					instance.rows = rows;
+					if (resetScroll) {
+						container.scrollTop = 0;
+						instance.activeIndex = -1;
+					} else {
+						instance.activeIndex = Math.min(instance.activeIndex, rows.length - 1);
+					}
+					table.setAttribute('aria-rowcount', rows.length + 1);
+					instance.render(true);
+				},
+				
+				/**
+				 * Header height, so row offsets are measured below the sticky header
+				 */
+				headerHeight: () => (table.tHead ? table.tHead.offsetHeight : 0),
+				
+				/**
+				 * Height of the visible row area
+				 */
+				viewportHeight: () => {
+					const height = container.clientHeight - instance.headerHeight();
+					return height > 0 ? height : instance.rowHeight * 20;
+				},
+				
+				/**
+				 * Render the rows of the current scroll window
+				 * 
+				 * @param {boolean} force - Render even when the window did not change
+				 */
+				render: (force = false) => {
+					const total = instance.rows.length;
+					const overscan = VirtualTable.overscan;
+					const scrollTop = container.scrollTop;
+					const visibleFirst = Math.min(total, Math.floor(scrollTop / instance.rowHeight));
+					const visibleLast = Math.min(total, Math.ceil((scrollTop + instance.viewportHeight()) / instance.rowHeight));
+					const first = Math.max(0, visibleFirst - overscan);
+					const last = Math.min(total, visibleLast + overscan);
+					
+					if (options.onRange) options.onRange(visibleFirst, visibleLast, total);
+					if (!force && instance.range && instance.range[0] === first && instance.range[1] === last) return;
+					instance.range = [first, last];
+					
+					body.innerHTML = '';
+					if (total === 0) {
+						body.appendChild(options.renderEmpty());
+						return;
+					}
+					
+					const fragment = document.createDocumentFragment();
+					const spacer = (height) => {
+						const row = document.createElement('tr');
+						row.className = 'virtual-spacer';
+						row.setAttribute('aria-hidden', 'true');
+						const columns = typeof options.columns === 'function' ? options.columns() : options.columns;
+						row.innerHTML = `<td colspan="${columns}" style="height: ${height}px"></td>`;
+						return row;
+					};
+					
+					if (first > 0) fragment.appendChild(spacer(first * instance.rowHeight));
+					for (let i = first; i < last; i++) {
+						const row = options.renderRow(instance.rows[i], i);
+						row.dataset.rowIndex = i;
+						row.setAttribute('aria-rowindex', i + 2);
+						if (i === instance.activeIndex) {
+							row.classList.add('row-active');
+							row.setAttribute('aria-selected', 'true');
+						}
+						fragment.appendChild(row);
+					}
+					if (last < total) fragment.appendChild(spacer((total - last) * instance.rowHeight));
+					body.appendChild(fragment);
+					
+					// Density settings change the row height; re-render once with the measured height
+					const sample = body.querySelector('tr[data-row-index]');
+					const measured = sample ? sample.offsetHeight : 0;
+					if (measured && Math.abs(measured - instance.rowHeight) > 1) {
+						instance.rowHeight = measured;
+						instance.render(true);
+					}
+				},
+				
+				/**
+				 * Make a row active and scroll it into view
+				 * 
+				 * @param {number} index - Row index
+				 */
+				focusRow: (index) => {
+					if (instance.rows.length === 0) return;
+					instance.activeIndex = Math.max(0, Math.min(instance.rows.length - 1, index));
+					
+					const rowTop = instance.activeIndex * instance.rowHeight;
+					const viewport = instance.viewportHeight();
+					if (rowTop < container.scrollTop) {
+						container.scrollTop = rowTop;
+					} else if (rowTop + instance.rowHeight > container.scrollTop + viewport) {
+						container.scrollTop = rowTop + instance.rowHeight - viewport;
+					}
+					instance.render(true);
+				},
+				
+				/**
+				 * Keyboard navigation of the focused table
+				 * 
+				 * @param {KeyboardEvent} event - Key event on the container
+				 */
+				handleKey: (event) => {
+					// Leave keys of buttons and inputs inside rows alone
+					if (event.target !== container) return;
+					
+					const pageRows = Math.max(1, Math.floor(instance.viewportHeight() / instance.rowHeight) - 1);
+					const current = instance.activeIndex;
+					let next;
+					switch (event.key) {
+						case 'ArrowDown': next = current + 1; break;
+						case 'ArrowUp': next = current - 1; break;
+						case 'PageDown': next = current + pageRows; break;
+						case 'PageUp': next = current - pageRows; break;
+						case 'Home': next = 0; break;
+						case 'End': next = instance.rows.length - 1; break;
+						case 'Enter':
+							if (current >= 0 && options.onActivate) {
+								event.preventDefault();
+								options.onActivate(instance.rows[current]);
+							}
+							return;
+						default:
+							return;
+					}
+					event.preventDefault();
+					
+					// Moving past either end turns the page in pagination mode
+					if (options.onEdge && current >= 0) {
+						if (next >= instance.rows.length && options.onEdge(1)) {
+							instance.focusRow(0);
+							return;
+						}
+						if (next < 0 && options.onEdge(-1)) {
+							instance.focusRow(instance.rows.length - 1);
+							return;
+						}
+					}
+					instance.focusRow(next);
+				}
+			};
+			
+			container.setAttribute('tabindex', '0');
+			table.setAttribute('role', 'grid');
+			
+			container.addEventListener('scroll', () => {
+				if (instance.frame) return;
+				instance.frame = requestAnimationFrame(() => {
+					instance.frame = null;
+					instance.render();
+				});
+			});
+			container.addEventListener('keydown', instance.handleKey);
+			
+			// Clicking a row makes it the keyboard navigation start
+			body.addEventListener('click', (e) => {
+				const row = e.target.closest('tr[data-row-index]');
+				if (!row) return;
+				body.querySelectorAll('.row-active').forEach(active => {
+					active.classList.remove('row-active');
+					active.removeAttribute('aria-selected');
+				});
+				instance.activeIndex = parseInt(row.dataset.rowIndex, 10);
+				row.classList.add('row-active');
+				row.setAttribute('aria-selected', 'true');
+			});
+			
+			return instance;
+		}
+	};
+	
+	/**
+	 * Create the virtual tables of the connections and sessions tabs
+	 */
+	function initTables() {
+		APP_STATE.tables.connections = VirtualTable.create({
+			body: DOM.dataTable,
+			container: DOM.dataTable.closest('.virtual-scroll'),
+			columns: () => TableColumns.count('connections'),
+			rowHeight: 57,
+			renderRow: renderConnectionRow,
+			renderEmpty: renderConnectionsEmptyRow,
+			onActivate: (item) => showDetails(item.IP),
+			onEdge: (direction) => {
+				if (APP_STATE.settings.tableMode === 'scroll') return false;
+				const totalPages = Math.ceil(APP_STATE.filteredAddrData.length / APP_STATE.pageSize);
+				const page = APP_STATE.currentPage + direction;
+				if (page < 1 || page > totalPages) return false;
+				APP_STATE.currentPage = page;
+				updateConnectionsTable({ resetScroll: true });
+				return true;
+			},
+			onRange: (first, last, total) => {
+				if (APP_STATE.settings.tableMode !== 'scroll') return;
+				DOM.pageInfo.textContent = total ?
+					`Rows ${(first + 1).toLocaleString()}–${last.toLocaleString()} of ${total.toLocaleString()}` :
+					'No rows';
+			}
+		});
+		
+		APP_STATE.tables.sessions = VirtualTable.create({
+			body: DOM.sessionsTable,
+			container: DOM.sessionsTable.closest('.virtual-scroll'),
+			columns: () => TableColumns.count('sessions'),
+			rowHeight: 53,
+			renderRow: renderSessionRow,
+			onActivate: (item) => APP_STATE.failCountByIp.has(item.IP) && showDetails(item.IP),
+			renderEmpty: () => {
+				const row = document.createElement('tr');
+				row.innerHTML = `
+					<td colspan="${TableColumns.count('sessions')}" class="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+						<i class="fas fa-desktop text-3xl mb-2"></i>
+						<p class="font-medium">${APP_STATE.sessionData.length ? 'No sessions match the search and filters' : 'No session data available'}</p>
+					</td>
+				`;
+				return row;
+			},
+			onEdge: (direction) => {
+				if (APP_STATE.settings.tableMode === 'scroll') return false;
+				const totalPages = Math.ceil(APP_STATE.filteredSessionData.length / APP_STATE.pageSize);
+				const page = APP_STATE.sessionView.page + direction;
+				if (page < 1 || page > totalPages) return false;
+				APP_STATE.sessionView.page = page;
+				renderSessionsTable({ resetScroll: true });
+				return true;
+			}
+		});
+	}
+	
+	/**
+	 * Table Columns Module
+	 * Column sets of the connections and sessions tables. The layout (order, visibility,
+	 * width) is kept in APP_STATE.settings.columnLayout; headers and rows render from it
+	 */
+	const TableColumns = {
+		// Narrowest width a column can be resized to, in px
+		minWidth: 60,
+		
+		// Column being dragged in a column chooser: { table, id }
+		dragging: null,
+		
+		// Column being resized: { table, id, header, startX, startWidth, width }
+		resizing: null,
+		
+		// When the last resize ended: the click that ends a drag does not sort
+		resizedAt: 0,
+		
+		/**
+		 * Column definitions by table, in default order
+		 *   id         {string} Layout key
+		 *   label      {string} Header and chooser label
+		 *   sort       {string} Sort field of the table (sortable header)
+		 *   hidden     {boolean} Hidden until enabled in the chooser
+		 *   locked     {boolean} Cannot be hidden
+		 *   responsive {string} Classes hiding a default column on narrow screens
+		 *   render     {Function} (item) => inner HTML of the cell
+		 *   cellClass  {string} Classes of the cell
+		 */
+		definitions: {
+			connections: [
+				{
+					id: 'ip',
+					label: 'IP Address',
+					sort: 'ip',
+					locked: true,
+					cellClass: 'whitespace-nowrap',
+					render: (item) => {
+						const escapedIP = Utils.escapeHtml(item.IP || '');
+						const escapedHostname = Utils.escapeHtml(item.Hostname || '');
+						
+						// Fleet mode: source server and cross-host attacker flag
+						const crossHostServers = getCrossHostServers(item.IP);
+						const serverBadge = item.Server ? `
+							<span class="ml-1 px-1.5 py-0.5 bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300 rounded text-[10px] font-medium">
+								<i class="fas fa-server mr-1"></i>${Utils.escapeHtml(item.Server)}
+							</span>` : '';
+						const crossHostBadge = crossHostServers ? `
+							<span class="ml-1 px-1.5 py-0.5 bg-danger-100 dark:bg-danger-900/30 text-danger-700 dark:text-danger-300 rounded text-[10px] font-semibold"
+								  title="Failed logons on: ${Utils.escapeHtml(crossHostServers.join(', '))}">
+								<i class="fas fa-project-diagram mr-1"></i>${crossHostServers.length} hosts
+							</span>` : '';
+						
+						return `
+							<div class="flex items-center">
+								<div class="ml-4">
+									<div class="text-sm font-medium text-gray-900 dark:text-white">${escapedIP || 'Unknown'}</div>
+									<div class="text-xs text-gray-500 dark:text-gray-400">${escapedHostname || 'Not resolved'}${serverBadge}${crossHostBadge}</div>
+								</div>
+								<div class="ml-2 flex space-x-1">
+									<button class="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 copy-ip-btn" 
+											title="Copy IP" data-ip="${escapedIP}">
+										<i class="fas fa-copy"></i>
+									</button>
+									<button class="p-1 text-blue-500 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 abuseipdb-check-btn" 
+											title="Check on AbuseIPDB" data-ip="${escapedIP}">
+										<i class="fas fa-search"></i>
+									</button>
+									<button class="p-1 text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 abuseipdb-report-btn" 
+											title="Report to AbuseIPDB" data-ip="${escapedIP}">
+										<i class="fas fa-flag"></i>
+									</button>
+								</div>
+							</div>
+						`;
+					}
+				},
+				{
+					id: 'type',
+					label: 'Status',
+					sort: 'type',
+					cellClass: 'whitespace-nowrap',
+					render: (item) => {
+						const typeColors = Utils.getTypeColor(item.ConnectionType);
+						return `
+							<span class="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${typeColors.bg} ${typeColors.text}">
+								<i class="fas ${typeColors.icon} mr-1"></i>
+								${Utils.escapeHtml(item.ConnectionType || '') || 'Unknown'}
+							</span>
+						`;
+					}
+				},
+				{
+					id: 'risk',
+					label: 'Risk',
+					sort: 'risk',
+					cellClass: 'whitespace-nowrap',
+					render: (item) => renderRiskBadge(item)
+				},
+				{
+					id: 'fails',
+					label: 'Failed',
+					sort: 'fails',
+					cellClass: 'whitespace-nowrap',
+					render: (item) => `
+						<div class="flex items-center">
+							<div class="w-24 bg-gray-200 dark:bg-gray-700 rounded-full h-2 mr-3">
+								<div class="h-2 rounded-full bg-danger-500" style="width: ${Math.min(item.FailCount * 2, 100)}%"></div>
+							</div>
+							<span class="text-sm font-medium text-gray-900 dark:text-white">${item.FailCount}</span>
+						</div>
+					`
+				},
+				{
+					id: 'success',
+					label: 'Successful',
+					sort: 'success',
+					responsive: 'hidden lg:table-cell',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => `${item.SuccessCount}`
+				},
+				{
+					id: 'attempts',
+					label: 'Total Attempts',
+					sort: 'attempts',
+					hidden: true,
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => `${item.TotalAttempts}`
+				},
+				{
+					id: 'first',
+					label: 'First Seen',
+					sort: 'first',
+					responsive: 'hidden md:table-cell',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => Utils.formatDate(item.FirstLocal)
+				},
+				{
+					id: 'last',
+					label: 'Last Seen',
+					sort: 'last',
+					responsive: 'hidden md:table-cell',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => `<div class="flex items-center">${Utils.formatDate(item.LastLocal)}</div>`
+				},
+				{
+					id: 'ongoing',
+					label: 'Ongoing',
+					sort: 'ongoing',
+					hidden: true,
+					cellClass: 'whitespace-nowrap text-sm',
+					render: (item) => item.IsOngoing ?
+						'<span class="text-success-600 dark:text-success-400"><i class="fas fa-circle text-[8px] mr-1"></i>Yes</span>' :
+						'<span class="text-gray-500 dark:text-gray-400">No</span>'
+				},
+				{
+					id: 'records',
+					label: 'Raw Records',
+					sort: 'records',
+					hidden: true,
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => `${item.RawRecords}`
+				},
+				{
+					id: 'users',
+					label: 'Users',
+					sort: 'users',
+					responsive: 'hidden xl:table-cell',
+					render: (item) => {
+						const usernames = item.UserNames;
+						return `
+							<div class="text-sm text-gray-900 dark:text-white max-w-xs truncate" title="${Utils.escapeHtml(usernames.join(', '))}">
+								${Utils.escapeHtml(usernames.slice(0, 3).join(', '))}${usernames.length > 3 ? '...' : ''}
+							</div>
+						`;
+					}
+				},
+				{
+					id: 'allUsers',
+					label: 'All Usernames',
+					hidden: true,
+					render: (item) => `
+						<div class="text-sm text-gray-900 dark:text-white truncate" title="${Utils.escapeHtml(item.UserNames.join(', '))}">
+							${Utils.escapeHtml(item.UserNames.join(', ')) || '<span class="text-gray-400">None</span>'}
+						</div>
+					`
+				},
+				{
+					id: 'actions',
+					label: 'Actions',
+					locked: true,
+					cellClass: 'whitespace-nowrap text-sm font-medium',
+					render: (item) => {
+						const escapedIP = Utils.escapeHtml(item.IP || '');
+						return `
+							<button class="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-3 view-details-btn" 
+									data-ip="${escapedIP}" title="View details">
+								<i class="fas fa-eye"></i>
+							</button>
+							<button class="text-danger-600 hover:text-danger-900 dark:text-danger-400 dark:hover:text-danger-300 block-ip-btn" 
+									data-ip="${escapedIP}" title="Block IP">
+								<i class="fas fa-ban"></i>
+							</button>
+						`;
+					}
+				}
+			],
+			sessions: [
+				{
+					id: 'sessionId',
+					label: 'Session ID',
+					locked: true,
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => item.SessionId ?
+						`<span title="${Utils.escapeHtml(String(item.SessionId))}">${Utils.escapeHtml(item.SessionId.toString().substring(0, 8))}...</span>` :
+						'N/A'
+				},
+				{
+					id: 'user',
+					label: 'User',
+					sort: 'user',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => Utils.escapeHtml(item.User || 'Unknown')
+				},
+				{
+					id: 'ip',
+					label: 'IP Address',
+					sort: 'ip',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => {
+						// IPs with a connection record open its details; a badge flags IPs that also failed to log on
+						const failCount = APP_STATE.failCountByIp.get(item.IP);
+						const ip = failCount === undefined ?
+							Utils.escapeHtml(item.IP || 'Local') :
+							`<button class="session-ip-btn text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 hover:underline" data-ip="${Utils.escapeHtml(item.IP)}" title="Show connection details">${Utils.escapeHtml(item.IP)}</button>`;
+						return `
+						${ip}
+						${failCount > 0 ? `<span class="ml-1 px-1.5 py-0.5 bg-danger-100 dark:bg-danger-900/30 text-danger-700 dark:text-danger-300 rounded text-xs font-semibold" title="${failCount} failed logon attempts from this IP"><i class="fas fa-exclamation-triangle mr-1"></i>${failCount} failed</span>` : ''}
+						${item.Server ? `<div class="text-xs text-gray-500 dark:text-gray-400"><i class="fas fa-server mr-1"></i>${Utils.escapeHtml(item.Server)}</div>` : ''}
+					`;
+					}
+				},
+				{
+					id: 'start',
+					label: 'Start Time',
+					sort: 'start',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => Utils.formatDate(item.StartTime)
+				},
+				{
+					id: 'end',
+					label: 'End Time',
+					sort: 'end',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => item.IsActive ? 'Active' : Utils.formatDate(item.EndTime)
+				},
+				{
+					id: 'duration',
+					label: 'Duration',
+					sort: 'duration',
+					cellClass: 'whitespace-nowrap text-sm text-gray-900 dark:text-white',
+					render: (item) => Utils.formatSessionDuration(item.Duration)
+				},
+				{
+					id: 'type',
+					label: 'Type',
+					cellClass: 'whitespace-nowrap',
+					render: (item) => {
+						const typeColors = Utils.getSessionTypeColor(item.SessionType);
+						return `
+							<span class="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${typeColors.bg} ${typeColors.text}">
+								${Utils.escapeHtml(item.SessionType || 'Unknown')}
+							</span>
+						`;
+					}
+				},
+				{
+					id: 'flags',
+					label: 'Flags',
+					hidden: true,
+					cellClass: 'whitespace-nowrap text-sm font-mono text-gray-900 dark:text-white',
+					render: (item) => item.Flags === null || item.Flags === undefined ? '—' : Utils.escapeHtml(String(item.Flags))
+				},
+				{
+					id: 'wtsSessionId',
+					label: 'WTS Session',
+					hidden: true,
+					cellClass: 'whitespace-nowrap text-sm font-mono text-gray-900 dark:text-white',
+					render: (item) => item.WtsSessionId === null || item.WtsSessionId === undefined ? '—' : Utils.escapeHtml(String(item.WtsSessionId))
+				}
+			]
+		},
+		
+		// Cell padding by table
+		padding: {
+			connections: 'px-4 py-3',
+			sessions: 'px-6 py-4'
+		},
+		
+		/**
+		 * Get the column layout of a table
+		 * Saved entries keep their order, columns added since are appended
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 * @returns {Array<{id: string, visible: boolean, width: number|null}>} Layout
+		 */
+		layout: (table) => {
+			const definitions = TableColumns.definitions[table];
+			const saved = ((APP_STATE.settings.columnLayout || {})[table] || [])
+				.filter(entry => entry && definitions.some(column => column.id === entry.id));
+			
+			const layout = saved
+				.filter((entry, index) => saved.findIndex(other => other.id === entry.id) === index)
+				.map(entry => ({
+					id: entry.id,
+					visible: entry.visible !== false,
+					width: entry.width > 0 ? Math.max(TableColumns.minWidth, Math.round(entry.width)) : null
+				}));
+			
+			definitions.forEach(column => {
+				if (!layout.some(entry => entry.id === column.id)) {
+					layout.push({ id: column.id, visible: !column.hidden, width: null });
+				}
+			});
+			
+			// Locked columns are always shown
+			layout.forEach(entry => {
+				if (definitions.find(column => column.id === entry.id).locked) entry.visible = true;
+			});
+			
+			return layout;
+		},
+		
+		/**
+		 * Get the visible columns of a table in layout order
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 * @returns {Array<Object>} Column definitions with their width
+		 */
+		visible: (table) => TableColumns.layout(table)
+			.filter(entry => entry.visible)
+			.map(entry => ({ ...TableColumns.definitions[table].find(column => column.id === entry.id), width: entry.width })),
+		
+		/**
+		 * Count the visible columns of a table (spacer and empty rows)
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 * @returns {number} Column count
+		 */
+		count: (table) => TableColumns.layout(table).filter(entry => entry.visible).length,
+		
+		/**
+		 * Save a table's layout and re-render the table
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 * @param {Array|null} layout - New layout, null restores the default
+		 */
+		setLayout: (table, layout) => {
+			APP_STATE.settings.columnLayout = { ...(APP_STATE.settings.columnLayout || {}), [table]: layout };
+			if (!layout) delete APP_STATE.settings.columnLayout[table];
+			SettingsManager.saveColumnLayout();
+			TableColumns.render(table);
+		},
+		
+		/**
+		 * Width style of a resized column
+		 * 
+		 * @param {Object} column - Visible column
+		 * @param {boolean} header - Header cell (fixes the width) or body cell (caps it)
+		 * @returns {string} style attribute, empty without a width
+		 */
+		widthStyle: (column, header) => {
+			if (!column.width) return '';
+			return header ?
+				` style="width: ${column.width}px; min-width: ${column.width}px; max-width: ${column.width}px"` :
+				` style="max-width: ${column.width}px"`;
+		},
+		
+		/**
+		 * Render the cells of one row
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 * @param {Object} item - Record
+		 * @returns {string} Cells HTML
+		 */
+		renderCells: (table, item) => TableColumns.visible(table).map(column => `
+			<td class="${TableColumns.padding[table]} ${column.cellClass || ''} ${column.responsive || ''} ${column.width ? 'overflow-hidden text-ellipsis' : ''}"${TableColumns.widthStyle(column, false)}>
+				${column.render(item)}
+			</td>
+		`).join(''),
+		
+		/**
+		 * Render a table's header row
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 */
+		renderHeader: (table) => {
+			const body = table === 'connections' ? DOM.dataTable : DOM.sessionsTable;
+			const headerRow = body.closest('table').querySelector('thead tr');
+			
+			headerRow.innerHTML = TableColumns.visible(table).map(column => `
+				<th class="relative ${TableColumns.padding[table].replace('py-4', 'py-3')} text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider ${column.sort ? 'cursor-pointer sortable' : ''} ${column.responsive || ''}"
+					${column.sort ? `data-sort="${column.sort}" title="Click to sort, Shift+click to add a sort key"` : ''} data-column="${column.id}"${TableColumns.widthStyle(column, true)}>
+					${column.label}${column.sort ? ' <i class="fas fa-sort ml-1"></i>' : ''}
+					<span class="col-resizer" data-table="${table}" data-column="${column.id}" title="Drag to resize, double-click to fit" aria-hidden="true"></span>
+				</th>
+			`).join('');
+			
+			updateSortIndicators(table);
+		},
+		
+		/**
+		 * Render a table's column chooser list
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 */
+		renderChooser: (table) => {
+			const list = document.querySelector(`.columns-list[data-table="${table}"]`);
+			if (!list) return;
+			
+			const definitions = TableColumns.definitions[table];
+			list.innerHTML = TableColumns.layout(table).map(entry => {
+				const column = definitions.find(definition => definition.id === entry.id);
+				return `
+					<li class="flex items-center px-2 py-1.5 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 cursor-move text-sm text-gray-800 dark:text-white"
+						draggable="true" data-column="${column.id}">
+						<i class="fas fa-grip-vertical mr-2 text-gray-400"></i>
+						<label class="flex items-center flex-1 cursor-move">
+							<input type="checkbox" class="column-visible mr-2 accent-primary-500" data-column="${column.id}"
+								   ${entry.visible ? 'checked' : ''} ${column.locked ? 'disabled' : ''}
+								   title="${column.locked ? 'Always shown' : 'Show or hide; Alt+Up/Down moves the column'}">
+							${column.label}
+						</label>
+						${entry.width ? '<i class="fas fa-arrows-left-right text-xs text-gray-400" title="Resized"></i>' : ''}
+					</li>
+				`;
+			}).join('');
+		},
+		
+		/**
+		 * Re-render a table with its current layout
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 */
+		render: (table) => {
+			TableColumns.renderHeader(table);
+			TableColumns.renderChooser(table);
+			APP_STATE.tables[table]?.render(true);
+		},
+		
+		/**
+		 * Move a column before or after another one
+		 * 
+		 * @param {string} table - 'connections' or 'sessions'
+		 * @param {string} id - Column to move
+		 * @param {string} targetId - Column it is dropped on
+		 * @param {boolean} after - Place after the target instead of before
+		 */
+		move: (table, id, targetId, after) => {
+			if (id === targetId) return;
+			const layout = TableColumns.layout(table);
+			const moved = layout.splice(layout.findIndex(entry => entry.id === id), 1)[0];
+			const targetIndex = layout.findIndex(entry => entry.id === targetId);
+			layout.splice(after ? targetIndex + 1 : targetIndex, 0, moved);
+			TableColumns.setLayout(table, layout);
+		},
+		
+		/**
+		 * Initialize column chooser, drag reordering and resize handles
+		 */
+		initEventListeners: () => {
+			document.querySelectorAll('.columns-btn').forEach(button => {
+				const table = button.dataset.table;
+				const panel = document.querySelector(`.columns-panel[data-table="${table}"]`);
+				if (!panel) return;
+				
+				button.addEventListener('click', (e) => {
+					e.stopPropagation();
+					panel.classList.toggle('hidden');
+					button.setAttribute('aria-expanded', String(!panel.classList.contains('hidden')));
+				});
+				
+				// Clicks outside the panel close it
+				document.addEventListener('click', (e) => {
+					if (!panel.classList.contains('hidden') && !panel.contains(e.target)) {
+						panel.classList.add('hidden');
+						button.setAttribute('aria-expanded', 'false');
+					}
+				});
+				panel.addEventListener('keydown', (e) => {
+					if (e.key === 'Escape') {
+						panel.classList.add('hidden');
+						button.focus();
+					}
+				});
+				
+				panel.querySelector('.columns-reset')?.addEventListener('click', () => {
+					DEBUG && console.log('🧱 Column layout reset:', table);
+					TableColumns.setLayout(table, null);
+				});
+				
+				const list = panel.querySelector('.columns-list');
+				list.addEventListener('change', (e) => {
+					const checkbox = e.target.closest('.column-visible');
+					if (!checkbox) return;
+					const layout = TableColumns.layout(table);
+					layout.find(entry => entry.id === checkbox.dataset.column).visible = checkbox.checked;
+					TableColumns.setLayout(table, layout);
+				});
+				
+				// Keyboard reordering: Alt+Up / Alt+Down on a column's checkbox
+				list.addEventListener('keydown', (e) => {
+					const checkbox = e.target.closest('.column-visible');
+					if (!checkbox || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+					e.preventDefault();
+					const layout = TableColumns.layout(table);
+					const index = layout.findIndex(entry => entry.id === checkbox.dataset.column);
+					const target = layout[index + (e.key === 'ArrowUp' ? -1 : 1)];
+					if (!target) return;
+					TableColumns.move(table, checkbox.dataset.column, target.id, e.key === 'ArrowDown');
+					list.querySelector(`.column-visible[data-column="${checkbox.dataset.column}"]`)?.focus();
+				});
+				
+				// Drag reordering
+				list.addEventListener('dragstart', (e) => {
+					const item = e.target.closest('li[data-column]');
+					if (!item) return;
+					TableColumns.dragging = { table, id: item.dataset.column };
+					item.classList.add('opacity-50');
+					if (e.dataTransfer) {
+						e.dataTransfer.effectAllowed = 'move';
+						e.dataTransfer.setData('text/plain', item.dataset.column);
+					}
+				});
+				list.addEventListener('dragover', (e) => {
+					if (!TableColumns.dragging || TableColumns.dragging.table !== table) return;
+					e.preventDefault();
+				});
+				list.addEventListener('drop', (e) => {
+					const item = e.target.closest('li[data-column]');
+					const dragging = TableColumns.dragging;
+					TableColumns.dragging = null;
+					if (!item || !dragging || dragging.table !== table) return;
+					e.preventDefault();
+					
+					// Dropped on the lower half: place after the target
+					const rect = item.getBoundingClientRect();
+					const after = e.clientY > rect.top + rect.height / 2;
+					DEBUG && console.log('🧱 Column moved:', dragging.id, after ? 'after' : 'before', item.dataset.column);
+					TableColumns.move(table, dragging.id, item.dataset.column, after);
+				});
+				list.addEventListener('dragend', () => {
+					TableColumns.dragging = null;
+					list.querySelectorAll('.opacity-50').forEach(item => item.classList.remove('opacity-50'));
+				});
+			});
+			
+			// Resize handles on the header cells (headers re-render, so listen on the document)
+			document.addEventListener('mousedown', (e) => {
+				const handle = e.target.closest('.col-resizer');
+				if (!handle) return;
+				e.preventDefault();
+				e.stopPropagation();
+				const header = handle.closest('th');
+				TableColumns.resizing = {
+					table: handle.dataset.table,
+					id: handle.dataset.column,
+					header,
+					startX: e.clientX,
+					startWidth: header.offsetWidth
+				};
+				document.body.classList.add('col-resizing');
+			});
+			document.addEventListener('mousemove', (e) => {
+				const resizing = TableColumns.resizing;
+				if (!resizing) return;
+				const width = Math.max(TableColumns.minWidth, resizing.startWidth + e.clientX - resizing.startX);
+				resizing.header.style.width = `${width}px`;
+				resizing.header.style.minWidth = `${width}px`;
+				resizing.header.style.maxWidth = `${width}px`;
+				resizing.width = width;
+			});
+			document.addEventListener('mouseup', () => {
+				const resizing = TableColumns.resizing;
+				if (!resizing) return;
+				TableColumns.resizing = null;
+				document.body.classList.remove('col-resizing');
+				if (!resizing.width) return;
+				TableColumns.resizedAt = Date.now();
+				
+				const layout = TableColumns.layout(resizing.table);
+				layout.find(entry => entry.id === resizing.id).width = resizing.width;
+				TableColumns.setLayout(resizing.table, layout);
+			});
+			document.addEventListener('dblclick', (e) => {
+				const handle = e.target.closest('.col-resizer');
+				if (!handle) return;
+				const layout = TableColumns.layout(handle.dataset.table);
+				layout.find(entry => entry.id === handle.dataset.column).width = null;
+				TableColumns.setLayout(handle.dataset.table, layout);
+			});
+			
+			// Sorting: header cells re-render, so the click is delegated from the header row
+			DOM.dataTable.closest('table').querySelector('thead').addEventListener('click', (e) => {
+				const header = e.target.closest('.sortable');
+				if (!header || e.target.closest('.col-resizer') || Date.now() - TableColumns.resizedAt < 300) return;
+				const sortField = header.dataset.sort;
+				DEBUG && console.log('📊 Sort header clicked:', sortField, e.shiftKey ? '(shift)' : '');
+				if (sortField) {
+					applySort(sortField, { add: e.shiftKey });
+				}
+			});
+			DOM.sessionsTable.closest('table').querySelector('thead').addEventListener('click', (e) => {
+				const header = e.target.closest('.sortable');
+				if (!header || e.target.closest('.col-resizer') || Date.now() - TableColumns.resizedAt < 300) return;
+				applySessionSort(header.dataset.sort, { add: e.shiftKey });
+			});
+		}
+	};
+	
+	/**
+	 * Update connections table with current data
+	 * Pagination mode shows one page; infinite scroll mode streams every matching row
+	 * through the virtual table
+	 * 
+	 * @param {Object} [options] - { resetScroll } scroll back to the first row (new query)
+	 */
+	function updateConnectionsTable({ resetScroll = false } = {}) {
+		DEBUG && console.log('📋 Updating connections table...');
+		if (!APP_STATE.tables.connections) return;
+		
+		const infinite = APP_STATE.settings.tableMode === 'scroll';
+		const startIndex = (APP_STATE.currentPage - 1) * APP_STATE.pageSize;
+		const endIndex = startIndex + APP_STATE.pageSize;
+		const rows = infinite ? APP_STATE.filteredAddrData : APP_STATE.filteredAddrData.slice(startIndex, endIndex);
+		const totalPages = Math.ceil(APP_STATE.filteredAddrData.length / APP_STATE.pageSize);
+		
+		// Apply table density setting before rendering, so rows are measured at their final height
+		SettingsManager.applyTableDensity();
+		
+		APP_STATE.tables.connections.setRows(rows, { resetScroll });
+		
+		// Update pagination info
+		DOM.tableCount.textContent = APP_STATE.filteredAddrData.length.toLocaleString();
+		DOM.prevPage.classList.toggle('hidden', infinite);
+		DOM.nextPage.classList.toggle('hidden', infinite);
+		if (!infinite) {
+			DOM.pageInfo.textContent = `Page ${APP_STATE.currentPage} of ${totalPages || 1}`;
+		}
+		DOM.prevPage.disabled = APP_STATE.currentPage === 1;
+		DOM.nextPage.disabled = APP_STATE.currentPage === totalPages || totalPages === 0;
+		updateTableModeToggle();
+		
+		DEBUG && console.log(`✅ Table updated: ${APP_STATE.filteredAddrData.length} items, ${infinite ? 'infinite scroll' : `page ${APP_STATE.currentPage}/${totalPages}`}`);
+		
+		// Filters, sort and page all end here
+		UrlState.update();
+	}
+	
+	/**
+	 * Switch the connections table between pagination and infinite scroll
+	 * 
+	 * @param {string} mode - 'pages' or 'scroll'
+	 */
+	function setTableMode(mode) {
+		DEBUG && console.log('📜 Table mode:', mode);
+		APP_STATE.settings.tableMode = mode === 'scroll' ? 'scroll' : 'pages';
+		if (DOM.tableModeSelect) DOM.tableModeSelect.value = APP_STATE.settings.tableMode;
+		APP_STATE.currentPage = 1;
+		APP_STATE.sessionView.page = 1;
+		updateConnectionsTable({ resetScroll: true });
+		renderSessionsTable({ resetScroll: true });
+		SettingsManager.saveSettingsImmediately();
+	}
+	
+	/**
+	 * Show the mode the table navigation toggle switches to
+	 */
+	function updateTableModeToggle() {
+		if (!DOM.tableModeToggle) return;
+		const infinite = APP_STATE.settings.tableMode === 'scroll';
+		DOM.tableModeToggle.innerHTML = infinite ?
+			'<i class="fas fa-list-ol mr-1"></i>Pages' :
+			'<i class="fas fa-infinity mr-1"></i>Infinite scroll';
+		DOM.tableModeToggle.title = infinite ? 'Switch to pagination' : 'Switch to infinite scroll';
+	}
+	
+	/**
+	 * Row shown when the connections table has nothing to display
+	 * 
+	 * @returns {HTMLTableRowElement} Empty state row
+	 */
+	function renderConnectionsEmptyRow() {
+		const row = document.createElement('tr');
+		// An unreadable report explains itself instead of looking like an empty one
+		const loadFailed = APP_STATE.diagnostics && APP_STATE.diagnostics.fatal && APP_STATE.addrData.length === 0;
+		row.innerHTML = loadFailed ? `
+			<td colspan="${TableColumns.count('connections')}" class="px-6 py-8 text-center text-danger-600 dark:text-danger-400">
+				<i class="fas fa-file-circle-exclamation text-3xl mb-2"></i>
+				<p class="font-medium">Report data could not be loaded</p>
+				<p class="text-sm mt-1">${Utils.escapeHtml(ReportSchema.summarize(APP_STATE.diagnostics))}</p>
+			</td>
+		` : `
+			<td colspan="${TableColumns.count('connections')}" class="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+				<i class="fas fa-inbox text-3xl mb-2"></i>
+				<p class="font-medium">No data to display</p>
+				<p class="text-sm mt-1">Try changing your filter or search criteria</p>
+			</td>
+		`;
+		return row;
+	}
+	
+	/**
+	 * Render one connections table row
+	 * 
+	 * @param {Object} item - Connection record
+	 * @returns {HTMLTableRowElement} Table row
+	 */
+	function renderConnectionRow(item) {
+		const row = document.createElement('tr');
+		row.className = 'hover:bg-gray-50 dark:hover:bg-gray-800/50 transition-colors';
+		
+		// Highlight records added or changed by the last data refresh
+		const change = APP_STATE.changedAddrKeys.get(item.IP);
+		if (change) {
+			row.classList.add(`row-${change}`);
+		}
+		
+		// Mixed IPs (failures followed by a success) stand out
+		if (item.ConnectionType.toLowerCase() === 'mixed') {
+			row.classList.add('row-mixed');
+		}
+		
+		// Add glow effect for IPs at or above the risk alert threshold
+		if (getRiskScore(item) >= APP_STATE.settings.riskAlertThreshold) {
+			row.classList.add('attack-glow');
+		}
+		
+		// Cells follow the column layout (see TableColumns)
+		row.innerHTML = TableColumns.renderCells('connections', item);
+		
+		return row;
+	}
+	
+	/**
+	 * Handle clicks on the action buttons of the connections table
+	 * Delegated from the table body, since the virtual table re-creates rows while scrolling
+	 * 
+	 * @param {MouseEvent} e - Click event
+	 */
+	function handleConnectionsTableClick(e) {
+		const button = e.target.closest('button[data-ip]');
+		if (!button) return;
+		const ip = button.getAttribute('data-ip');
+		
+		if (button.classList.contains('copy-ip-btn')) {
+			DEBUG && console.log('📋 Copy IP button clicked:', ip);
+			Utils.copyToClipboard(ip.replace(/"/g, ''));
+		} else if (button.classList.contains('abuseipdb-check-btn')) {
+			DEBUG && console.log('🔍 AbuseIPDB check button clicked:', ip);
+			Utils.openAbuseIPDBCheck(ip);
+		} else if (button.classList.contains('abuseipdb-report-btn')) {
+			DEBUG && console.log('🚩 AbuseIPDB report button clicked:', ip);
+			reportToAbuseIPDB(ip);
+		} else if (button.classList.contains('view-details-btn')) {
+			DEBUG && console.log('👁️ View details button clicked:', ip);
+			showDetails(ip);
+		} else if (button.classList.contains('block-ip-btn')) {
+			DEBUG && console.log('🚫 Block IP button clicked:', ip);
+			blockIP(ip);
+		}
+	}
+	
+	/**
+	 * Open the AbuseIPDB report form with a description of the connection record
+	 * 
+	 * @param {string} ip - IP address
+	 */
+	function reportToAbuseIPDB(ip) {
+		const item = APP_STATE.addrData.find(d => d.IP === ip);
+		
+		if (item) {
+			const usernames = item.UserNames;
+			const attackDescription = `RDP Attack Report\n\n` +
+				`IP Address: ${item.IP}\n` +
+				`Hostname: ${item.Hostname || 'Not resolved'}\n` +
+				`Connection Type: ${item.ConnectionType}\n` +
+				`Failed Attempts: ${item.FailCount}\n` +
+				`Successful Logins: ${item.SuccessCount}\n` +
+				`First Seen: ${Utils.formatDate(item.FirstLocal)}\n` +
+				`Last Seen: ${Utils.formatDate(item.LastLocal)}\n` +
+				`Usernames Attempted: ${usernames.join(', ') || 'None'}\n` +
+				`Duration: ${Utils.formatDuration(item.Duration)}\n\n` +
+				`This attack was detected by RDP Monitor security system.`;
+			
+			Utils.openAbuseIPDBReport(ip, attackDescription);
+		} else {
+			Utils.openAbuseIPDBReport(ip, 'RDP attack detected by RDP Monitor security system.');
+		}
+	}
+	
+	/**
+	 * Update sessions table with current data
+	 * The data pipeline filters and sorts the sessions; the result of an outdated request is dropped
+	 * 
+	 * @param {Object} [options] - { resetScroll } scroll back to the first row
+	 */
+	async function updateSessionsTable({ resetScroll = false } = {}) {
+		if (!APP_STATE.tables.sessions) return;
+		
+		const view = APP_STATE.sessionView;
+		updateSessionTypeOptions();
+		
+		const sessionsId = ++APP_STATE.sessionsId;
+		let result;
+		try {
+			result = await DataPipeline.request('sessions', {
+				server: APP_STATE.currentServer,
+				filters: APP_STATE.filters.map(filter => ({ ...filter })),
+				search: view.search,
+				type: view.type,
+				status: view.status,
+				sort: view.sort
+			});
+		} catch (error) {
+			DEBUG && console.error('❌ Error querying sessions:', error);
+			if (sessionsId === APP_STATE.sessionsId) {
+				Utils.showNotification(`Cannot update the sessions: ${Utils.escapeHtml(error.message)}`, 'error');
+			}
+			return;
+		}
+		if (sessionsId !== APP_STATE.sessionsId) return;
+		
+		APP_STATE.filteredSessionData = Array.from(result.indices, index => APP_STATE.sessionData[index]);
+		APP_STATE.scopedSessionCount = result.total;
+		renderSessionsTable({ resetScroll });
+	}
+	
+	/**
+	 * Render the current page of the sessions table's matches and its timeline
+	 * 
+	 * @param {Object} [options] - { resetScroll } scroll back to the first row
+	 */
+	function renderSessionsTable({ resetScroll = false } = {}) {
+		const view = APP_STATE.sessionView;
+		const infinite = APP_STATE.settings.tableMode === 'scroll';
+		const total = APP_STATE.filteredSessionData.length;
+		const totalPages = Math.ceil(total / APP_STATE.pageSize);
+		
+		// A narrower result keeps the page in range
+		view.page = Math.min(Math.max(1, view.page), totalPages || 1);
+		const startIndex = (view.page - 1) * APP_STATE.pageSize;
+		const rows = infinite ? APP_STATE.filteredSessionData :
+			APP_STATE.filteredSessionData.slice(startIndex, startIndex + APP_STATE.pageSize);
+		
+		APP_STATE.tables.sessions.setRows(rows, { resetScroll });
+		
+		if (DOM.sessionMatchCount) {
+			DOM.sessionMatchCount.textContent = total.toLocaleString();
+			DOM.sessionCount.textContent = APP_STATE.scopedSessionCount.toLocaleString();
+			DOM.sessionPageInfo.textContent = infinite ?
+				`${total.toLocaleString()} sessions` :
+				`Page ${view.page} of ${totalPages || 1}`;
+			DOM.sessionPrevPage.classList.toggle('hidden', infinite);
+			DOM.sessionNextPage.classList.toggle('hidden', infinite);
+			DOM.sessionPrevPage.disabled = view.page === 1;
+			DOM.sessionNextPage.disabled = view.page >= totalPages;
+		}
+		
+		// The timeline draws on a visible canvas only; switchTab renders it later
+		if (!DOM.sessionsTab.classList.contains('hidden')) {
+			SessionTimeline.render();
+		}
+	}
+	
+	/**
+	 * List the session types of the data set in the session type filter
+	 * A selected type that is no longer in the data stays listed
+	 */
+	function updateSessionTypeOptions() {
+		if (!DOM.sessionTypeFilter) return;
+		
+		const types = new Set(APP_STATE.sessionData.map(session => session.SessionType || 'Unknown'));
+		if (APP_STATE.sessionView.type !== 'all') types.add(APP_STATE.sessionView.type);
+		const options = ['all', ...[...types].sort((a, b) => a.localeCompare(b))];
+		
+		const current = Array.from(DOM.sessionTypeFilter.options, option => option.value);
+		if (current.join('\n') !== options.join('\n')) {
+			DOM.sessionTypeFilter.innerHTML = options.map(type =>
+				`<option value="${Utils.escapeHtml(type)}">${type === 'all' ? 'All types' : Utils.escapeHtml(type)}</option>`).join('');
+		}
+		DOM.sessionTypeFilter.value = APP_STATE.sessionView.type;
+	}
+	
+	/**
+	 * Change the sessions table search or filters and show the first page
+	 * 
+	 * @param {Object} changes - { search, type, status }
+	 */
+	function setSessionView(changes) {
+		DEBUG && console.log('🖥️ Sessions view:', changes);
+		Object.assign(APP_STATE.sessionView, changes, { page: 1 });
+		updateSessionsTable({ resetScroll: true });
+	}
+	
+	/**
+	 * Sort the sessions table (see nextSort for click and shift-click)
+	 * 
+	 * @param {string} field - Session sort field
+	 * @param {Object} [options] - { add } add a sort key instead of replacing the sort
+	 */
+	function applySessionSort(field, { add = false } = {}) {
+		APP_STATE.sessionView.sort = nextSort(APP_STATE.sessionView.sort, field, add);
+		DEBUG && console.log('📊 Sessions sort:', APP_STATE.sessionView.sort);
+		updateSortIndicators('sessions');
+		updateSessionsTable({ resetScroll: true });
+	}
+	
+	/**
+	 * Render one sessions table row
+	 * 
+	 * @param {Object} item - Session record
+	 * @returns {HTMLTableRowElement} Table row
+	 */
+	function renderSessionRow(item) {
+		const row = document.createElement('tr');
+		row.className = 'hover:bg-gray-50 dark:hover:bg-gray-800/50 transition-colors';
+		
+		const change = APP_STATE.changedSessionKeys.get(String(item.SessionId));
+		if (change) {
+			row.classList.add(`row-${change}`);
+		}
+		
+		row.innerHTML = TableColumns.renderCells('sessions', item);
+		
+		return row;
+	}
+	
+	/**
+	 * Update time display
+	 */
+	function updateTime() {
+		const now = new Date();
+		const timeString = now.toLocaleTimeString([], { 
+			hour: '2-digit', 
+			minute: '2-digit', 
+			second: '2-digit' 
+		});
+		const dateString = now.toLocaleDateString();
+		
+		// Update the time display
+		DOM.lastUpdated.textContent = timeString;
+		
+		// Update the tooltip with full date and time
+		const tooltipContainer = DOM.lastUpdated.closest('.tooltip');
+		if (tooltipContainer) {
+			tooltipContainer.setAttribute('data-tip', `Last update: ${dateString} ${timeString}`);
+		}
+	}
+	
+	/**
+	 * Initialize event listeners
+	 */
+	function initEventListeners() {
+		DEBUG && console.log('🔌 Initializing event listeners...');
+		
+		// Theme toggle - fixed to use SettingsManager.applyTheme()
+		DOM.themeToggle.addEventListener('click', () => {
+			DEBUG && console.log('🎨 Theme toggle clicked');
+			// Toggle theme mode in settings
+			const currentMode = APP_STATE.settings.themeMode;
+			let newMode;
+			
+			if (currentMode === 'auto') {
+				newMode = 'dark';
+			} else if (currentMode === 'dark') {
+				newMode = 'light';
+			} else {
+				newMode = 'auto';
+			}
+			
+			// Update setting
+			APP_STATE.settings.themeMode = newMode;
+			
+			// Update UI buttons
+			document.querySelectorAll('.theme-mode-btn').forEach(btn => {
+				btn.classList.remove('active', 'bg-primary-500', 'text-white');
+				btn.classList.add('text-gray-800', 'dark:text-white');
+				if (btn.dataset.mode === newMode) {
+					btn.classList.remove('text-gray-800', 'dark:text-white');
+					btn.classList.add('active', 'bg-primary-500', 'text-white');
+				}
+			});
+			
+			// Apply theme immediately
+			SettingsManager.applyTheme();
+			
+			// Save settings
+			SettingsManager.saveSettingsImmediately();
+			
+			Utils.showNotification(`Theme changed to ${newMode} mode`);
+		});
+		
+		// Tab navigation
+		document.querySelectorAll('.tab-button').forEach(button => {
+			button.addEventListener('click', (e) => {
+				const tabName = e.currentTarget.getAttribute('data-tab');
+				DEBUG && console.log('📑 Tab clicked:', tabName);
+				switchTab(tabName);
+			});
+		});
+		
+		// Filter buttons (button states follow the type chip, see syncFilterControls)
+		DOM.filterAll.addEventListener('click', () => {
+			DEBUG && console.log('🔍 Filter: all');
+			applyFilter('all');
+		});
+		
+		DOM.filterAttack.addEventListener('click', () => {
+			DEBUG && console.log('🔍 Filter: attack');
+			applyFilter('attack');
+		});
+		
+		DOM.filterLegit.addEventListener('click', () => {
+			DEBUG && console.log('🔍 Filter: legit');
+			applyFilter('legit');
+		});
+		
+		DOM.filterMixed.addEventListener('click', () => {
+			DEBUG && console.log('🔍 Filter: mixed');
+			applyFilter('mixed');
+		});
+		
+		DOM.filterUnknown.addEventListener('click', () => {
+			DEBUG && console.log('🔍 Filter: unknown');
+			applyFilter('unknown');
+		});
+		
+		// Connection type KPI cards filter the same way; clicking the active one clears it
+		document.querySelectorAll('[data-filter-type]').forEach(card => {
+			card.addEventListener('click', () => {
+				const type = card.dataset.filterType;
+				applyFilter(APP_STATE.currentFilter === type ? 'all' : type);
+			});
+		});
+		
+		// Filter chips: remove one or all
+		DOM.filterChips?.addEventListener('click', (e) => {
+			const removeBtn = e.target.closest('.remove-filter-btn');
+			if (removeBtn) {
+				removeFilter(parseInt(removeBtn.dataset.filterIndex, 10));
+			} else if (e.target.closest('#clear-filters-btn')) {
+				clearFilters();
+			}
+		});
+		
+		// Facet panel: show/hide, collapse groups, click a value to filter by it
+		if (DOM.facetPanel) {
+			const toggleFacets = () => {
+				APP_STATE.settings.showFacets = APP_STATE.settings.showFacets === false;
+				SettingsManager.saveFacetPreference();
+				applyFacetVisibility();
+			};
+			DOM.facetToggle?.addEventListener('click', toggleFacets);
+			document.getElementById('facet-close')?.addEventListener('click', toggleFacets);
+			
+			DOM.facetGroups.addEventListener('click', (e) => {
+				const button = e.target.closest('.facet-value');
+				if (button) toggleFacetFilter(button.dataset.facet, JSON.parse(button.dataset.value));
+			});
+			DOM.facetGroups.addEventListener('toggle', (e) => {
+				const group = e.target.closest('.facet-group');
+				if (!group) return;
+				if (group.open) APP_STATE.collapsedFacets.delete(group.dataset.facet);
+				else APP_STATE.collapsedFacets.add(group.dataset.facet);
+			}, true);
+		}
+		
+		// Possible compromise panel: open the details of an IP
+		DOM.compromiseList?.addEventListener('click', (e) => {
+			const button = e.target.closest('.compromise-ip-btn');
+			if (button) showDetails(button.dataset.ip);
+		});
+		
+		// Weekly activity heatmap: switch traffic and cell metric
+		DOM.heatmapTraffic?.addEventListener('change', (e) => {
+			APP_STATE.heatmapView.traffic = e.target.value === 'legit' ? 'legit' : 'attack';
+			updateHeatmap();
+		});
+		DOM.heatmapMetric?.addEventListener('change', (e) => {
+			APP_STATE.heatmapView.metric = e.target.value === 'ips' ? 'ips' : 'attempts';
+			updateHeatmap();
+		});
+		
+		// Campaigns panel: remember expanded campaigns, filter by an account, open a member IP
+		if (DOM.campaignsList) {
+			DOM.campaignsList.addEventListener('click', (e) => {
+				const userButton = e.target.closest('.campaign-user-btn');
+				const ipButton = e.target.closest('.campaign-ip-btn');
+				if (userButton) addFilter('user', userButton.dataset.user);
+				else if (ipButton) showDetails(ipButton.dataset.ip);
+			});
+			DOM.campaignsList.addEventListener('toggle', (e) => {
+				const campaign = e.target.closest('.campaign');
+				if (!campaign) return;
+				if (campaign.open) APP_STATE.openCampaigns.add(campaign.dataset.campaign);
+				else APP_STATE.openCampaigns.delete(campaign.dataset.campaign);
+			}, true);
+		}
+		
+		// Date range presets (custom opens the add-filter form)
+		DOM.dateRange?.addEventListener('change', applyDateRange);
+		
+		// Add-filter form (date range, fail count range, username, subnet)
+		if (DOM.filterAddForm) {
+			DOM.filterAddBtn.addEventListener('click', () => {
+				DOM.filterAddForm.classList.toggle('hidden');
+				updateFilterForm();
+			});
+			DOM.filterAddKind.addEventListener('change', updateFilterForm);
+			document.getElementById('filter-add-apply').addEventListener('click', submitFilterForm);
+			document.getElementById('filter-add-cancel').addEventListener('click', () => {
+				DOM.filterAddForm.classList.add('hidden');
+			});
+			DOM.filterAddForm.addEventListener('keydown', (e) => {
+				if (e.key === 'Enter') submitFilterForm();
+				if (e.key === 'Escape') DOM.filterAddForm.classList.add('hidden');
+			});
+		}
+		renderFilterChips();
+		
+		// Sort headers are rendered from the column layout, see TableColumns.initEventListeners
+		
+		// Search with debounce
+		DOM.tableSearch.addEventListener('input', Utils.debounce((e) => {
+			DEBUG && console.log('🔍 Search input:', e.target.value);
+			searchData(e.target.value);
+		}, 300));
+		
+		// Pagination
+		DOM.prevPage.addEventListener('click', () => {
+			if (APP_STATE.currentPage > 1) {
+				APP_STATE.currentPage--;
+				DEBUG && console.log('⬅️ Previous page:', APP_STATE.currentPage);
+				updateConnectionsTable({ resetScroll: true });
+			}
+		});
+		
+		DOM.nextPage.addEventListener('click', () => {
+			const totalPages = Math.ceil(APP_STATE.filteredAddrData.length / APP_STATE.pageSize);
+			if (APP_STATE.currentPage < totalPages) {
+				APP_STATE.currentPage++;
+				DEBUG && console.log('➡️ Next page:', APP_STATE.currentPage);
+				updateConnectionsTable({ resetScroll: true });
+			}
+		});
+		
+		// Sessions table: search, type and status filters, pagination
+		DOM.sessionSearch?.addEventListener('input', Utils.debounce((e) => {
+			setSessionView({ search: e.target.value.trim() });
+		}, 300));
+		DOM.sessionTypeFilter?.addEventListener('change', (e) => setSessionView({ type: e.target.value }));
+		DOM.sessionStatusFilter?.addEventListener('change', (e) => setSessionView({ status: e.target.value }));
+		DOM.sessionPrevPage?.addEventListener('click', () => {
+			if (APP_STATE.sessionView.page > 1) {
+				APP_STATE.sessionView.page--;
+				renderSessionsTable({ resetScroll: true });
+			}
+		});
+		DOM.sessionNextPage?.addEventListener('click', () => {
+			if (APP_STATE.sessionView.page < Math.ceil(APP_STATE.filteredSessionData.length / APP_STATE.pageSize)) {
+				APP_STATE.sessionView.page++;
+				renderSessionsTable({ resetScroll: true });
+			}
+		});
+		
+		// Switch between pagination and infinite scroll
+		DOM.tableModeToggle?.addEventListener('click', () => {
+			setTableMode(APP_STATE.settings.tableMode === 'scroll' ? 'pages' : 'scroll');
+		});
+		
+		// Row action buttons (delegated: the virtual table re-creates rows while scrolling)
+		DOM.dataTable.addEventListener('click', handleConnectionsTableClick);
+		DOM.sessionsTable.addEventListener('click', (e) => {
+			const button = e.target.closest('.session-ip-btn');
+			if (!button) return;
+			DEBUG && console.log('👁️ Session IP clicked:', button.dataset.ip);
+			showDetails(button.dataset.ip);
+		});
+		
+		// Refresh interval control
+		DOM.refreshInterval.addEventListener('input', (e) => {
+			const value = e.target.value;
+			DOM.intervalValue.textContent = `${value}s`;
+			DOM.footerInterval.textContent = value;
+			APP_STATE.autoRefreshInterval = parseInt(value);
+			DEBUG && console.log('⏱️ Refresh interval changed:', value);
+			restartAutoRefresh();
+		});
+		
+		// Manual refresh button
+		DOM.refreshBtn.addEventListener('click', async () => {
+			DEBUG && console.log('🔄 Manual refresh clicked');
+			if (APP_STATE.loadedFileName) {
+				updateTime();
+				Utils.showNotification(`Showing ${Utils.escapeHtml(APP_STATE.loadedFileName)}; reload the page to return to live data`, 'warning');
+				return;
+			}
+			if (!getDataFileUrl()) {
+				updateTime();
+				Utils.showNotification('No data file is linked to this report', 'warning');
+				return;
+			}
+			
+			DOM.refreshBtn.classList.add('animate-spin');
+			const refreshed = await refreshData({ silent: false });
+			DOM.refreshBtn.classList.remove('animate-spin');
+			
+			if (refreshed) {
+				const changes = [...APP_STATE.changedAddrKeys.values()];
+				const added = changes.filter(change => change === 'new').length;
+				const changed = changes.length - added;
+				Utils.showNotification(`Data refreshed successfully (${added} new, ${changed} changed)`);
+			}
+		});
+		
+		// Export button
+		DOM.exportBtn.addEventListener('click', exportData);
+		
+		// Open exported report (file picker and drag-and-drop)
+		DataLoader.initEventListeners();
+		
+		// Fleet server filter
+		DOM.serverFilter?.addEventListener('change', (e) => selectServer(e.target.value));
+		
+		// Report diagnostics panel
+		DOM.diagnosticsToggle?.addEventListener('click', () => {
+			const details = DOM.diagnosticsList.closest('.diagnostics-details');
+			details.classList.toggle('hidden');
+			DOM.diagnosticsToggle.querySelector('i').className = `fas fa-chevron-${details.classList.contains('hidden') ? 'down' : 'up'} mr-1`;
+		});
+		DOM.diagnosticsDismiss?.addEventListener('click', () => {
+			APP_STATE.diagnosticsDismissed = true;
+			updateDiagnosticsPanel();
+		});
+		
+		// Window resize for responsive charts
+		window.addEventListener('resize', () => {
+			if (APP_STATE.charts.timeline) APP_STATE.charts.timeline.resize();
+			if (APP_STATE.charts.distribution) APP_STATE.charts.distribution.resize();
+		});
+		
+		DEBUG && console.log('✅ Event listeners initialized');
+	}
+	
+	/**
+	 * Switch between application tabs
+	 * 
+	 * @param {string} tabName - Tab to switch to
+	 */
+	function switchTab(tabName) {
+		DEBUG && console.log('🔄 Switching tab to:', tabName);
+		
+		// Update tab styles
+		document.querySelectorAll('.tab-button').forEach(btn => {
+			btn.classList.remove('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
+			btn.classList.add('border-transparent', 'text-gray-500', 'dark:text-gray-400');
+		});
+		
+		// Hide all tab contents
+		DOM.connectionsTab.classList.add('hidden');
+		DOM.sessionsTab.classList.add('hidden');
+		DOM.usernamesTab?.classList.add('hidden');
+		DOM.metricsTab.classList.add('hidden');
+		DOM.settingsTab.classList.add('hidden');
+		DOM.compareTab?.classList.add('hidden');
+		
+		// Show selected tab and update button style
+		switch(tabName) {
+			case 'connections':
+				DOM.tabConnections.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
+				DOM.tabConnections.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
+				DOM.connectionsTab.classList.remove('hidden');
+				break;
+			case 'sessions':
+				DOM.tabSessions.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
+				DOM.tabSessions.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
+				DOM.sessionsTab.classList.remove('hidden');
+				SessionTimeline.render();
+				break;
+			case 'usernames':
+				DOM.tabUsernames.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
+				DOM.tabUsernames.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
+				DOM.usernamesTab.classList.remove('hidden');
+				AccountView.update();
+				break;
+			case 'metrics':
+				DOM.tabMetrics.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
+				DOM.tabMetrics.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
+				DOM.metricsTab.classList.remove('hidden');
+				break;
+			case 'settings':
+				DOM.tabSettings.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
+				DOM.tabSettings.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
+				DOM.settingsTab.classList.remove('hidden');
+				break;
+			case 'compare':
+				DOM.tabCompare.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
+				DOM.tabCompare.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
+				DOM.compareTab.classList.remove('hidden');
+				SnapshotCompare.render();
+				break;
+		}
+		
+		APP_STATE.currentTab = tabName;
+		UrlState.update();
+	}
+	
+	/**
+	 * Start auto-refresh timer
+	 */
+	function startAutoRefresh() {
+		if (APP_STATE.autoRefreshTimer) {
+			clearInterval(APP_STATE.autoRefreshTimer);
+		}
+		
+		APP_STATE.autoRefreshTimer = setInterval(() => {
+			refreshData();
+		}, APP_STATE.autoRefreshInterval * 1000);
+	}
+	
+	/**
+	 * Resolve URL of the sidecar data file written next to the report
+	 * 
+	 * @returns {string|null} Data file URL, or null when the report has none
+	 */
+	function getDataFileUrl() {
+		const dataFile = window.TEMPLATE_VARS && window.TEMPLATE_VARS.DATA_FILE;
+		if (!dataFile || dataFile.startsWith('{{')) return null;
+		return dataFile;
+	}
+	
+	/**
+	 * Reload report data from the sidecar data file and re-render the dashboard
+	 * 
+	 * @param {Object} [options={}] - Refresh options
+	 * @param {boolean} [options.silent=true] - Suppress error notifications (auto-refresh ticks)
+	 * @returns {Promise<boolean>} True when new data was loaded
+	 */
+	async function refreshData(options = {}) {
+		const { silent = true } = options;
+		const dataFileUrl = getDataFileUrl();
+		
+		// A report opened from disk is a fixed snapshot, never overwrite it with live data
+		if (!dataFileUrl || APP_STATE.loadedFileName) {
+			updateTime();
+			return false;
+		}
+		
+		if (APP_STATE.refreshInProgress) {
+			DEBUG && console.log('⏳ Data refresh already in progress, skipping');
+			return false;
+		}
+		
+		APP_STATE.refreshInProgress = true;
+		DEBUG && console.log('🔄 Refreshing data from:', dataFileUrl);
+		
+		try {
+			// Cache-busting query keeps browsers from serving a stale copy
+			const separator = dataFileUrl.includes('?') ? '&' : '?';
+			const response = await fetch(`${dataFileUrl}${separator}_=${Date.now()}`, { cache: 'no-store' });
+			if (!response.ok) {
+				throw new Error(`HTTP ${response.status}`);
+			}
+			const result = await DataPipeline.request('open', {
+				text: await response.text(),
+				format: 'json',
+				source: `Data file ${dataFileUrl}`
+			});
+			const { diagnostics } = result;
+			
+			// Keep showing the last good data when the refreshed file is unusable
+			if (diagnostics.fatal) {
+				setDiagnostics(diagnostics);
+				throw new Error(ReportSchema.summarize(diagnostics));
+			}
+			
+			const previousAddrData = APP_STATE.addrData;
+			const previousSessionData = APP_STATE.sessionData;
+			
+			// Unchanged warnings stay dismissed between refreshes
+			const previousIssues = APP_STATE.diagnostics ? APP_STATE.diagnostics.issues.length : -1;
+			setDiagnostics(diagnostics, { keepDismissed: previousIssues === diagnostics.issues.length });
+			
+			setData(result);
+			
+			APP_STATE.changedAddrKeys = diffRecords(previousAddrData, APP_STATE.addrData,
+				item => item.IP,
+				item => [item.ConnectionType, item.FailCount, item.SuccessCount, item.LastLocal, item.UserNames]);
+			APP_STATE.changedSessionKeys = diffRecords(previousSessionData, APP_STATE.sessionData,
+				item => String(item.SessionId),
+				item => [item.User, item.IP, item.StartTime, item.EndTime, item.SessionType]);
+			
+			await refreshView();
+			updateTime();
+			notifyRiskAlerts(previousAddrData);
+			
+			DEBUG && console.log('✅ Data refreshed:', {
+				changedAddr: APP_STATE.changedAddrKeys.size,
+				changedSessions: APP_STATE.changedSessionKeys.size
+			});
+			return true;
+		} catch (error) {
+			DEBUG && console.error('❌ Error refreshing data:', error);
+			if (!silent) {
+				Utils.showNotification(`Data refresh failed: ${error.message}`, 'error');
+			}
+			return false;
+		} finally {
+			APP_STATE.refreshInProgress = false;
+		}
+	}
+	
+	/**
+	 * Compare two record lists and collect keys of new or changed records
+	 * 
+	 * @param {Array} previous - Records before the refresh
+	 * @param {Array} current - Records after the refresh
+	 * @param {Function} getKey - Returns the identity key of a record
+	 * @param {Function} getSignature - Returns the fields compared for changes
+	 * @returns {Map<string, string>} Record key -> 'new' | 'changed'
+	 */
+	function diffRecords(previous, current, getKey, getSignature) {
+		const previousSignatures = new Map(
+			previous.map(item => [getKey(item), JSON.stringify(getSignature(item))])
+		);
+		const changes = new Map();
+		
+		current.forEach(item => {
+			const key = getKey(item);
+			if (!previousSignatures.has(key)) {
+				changes.set(key, 'new');
+			} else if (previousSignatures.get(key) !== JSON.stringify(getSignature(item))) {
+				changes.set(key, 'changed');
+			}
+		});
+		
+		return changes;
+	}
+	
+	/**
+	 * Alert on IPs whose risk score reached the alert threshold with the last refresh
+	 * Only new and changed records are checked, an IP already above the threshold alerts once
+	 * 
+	 * @param {Array} previous - Connection records before the refresh
+	 */
+	function notifyRiskAlerts(previous) {
+		const threshold = APP_STATE.settings.riskAlertThreshold;
+		const recordKey = item => `${item.Server || ''}|${item.IP}`;
+		const previousScores = new Map(previous
+			.filter(item => APP_STATE.changedAddrKeys.has(item.IP))
+			.map(item => [recordKey(item), getRiskScore(item)]));
+		
+		const alerts = APP_STATE.addrData.filter(item =>
+			APP_STATE.changedAddrKeys.has(item.IP) &&
+			getRiskScore(item) >= threshold &&
+			!(previousScores.get(recordKey(item)) >= threshold));
+		if (alerts.length === 0) return;
+		
+		const ips = [...new Set(alerts.map(item => item.IP))];
+		DEBUG && console.log('🚨 Risk alerts:', ips);
+		Utils.showNotification(
+			`${ips.length} IP${ips.length === 1 ? '' : 's'} reached risk score ${threshold}+: ` +
+			`${Utils.escapeHtml(ips.slice(0, 5).join(', '))}${ips.length > 5 ? ` (+${ips.length - 5} more)` : ''}`,
+			'warning'
+		);
+	}
+	
+	/**
+	 * Re-render every view after the data set changed
+	 * Keeps the current filter, search, sort, page, tab and open details modal
+	 */
+	async function refreshView() {
+		try {
+			if (!(await runQuery())) return;
+		} catch (error) {
+			DEBUG && console.error('❌ Error querying data:', error);
+			Utils.showNotification(`Cannot update the dashboard: ${Utils.escapeHtml(error.message)}`, 'error');
+			return;
+		}
+		
+		// Stay on the current page unless the data shrank below it
+		const totalPages = Math.max(1, Math.ceil(APP_STATE.filteredAddrData.length / APP_STATE.pageSize));
+		APP_STATE.currentPage = Math.min(APP_STATE.currentPage, totalPages);
+		
+		calculateStats();
+		updateFacetPanel();
+		updateMetrics();
+		updateFleetView();
+		updateCompromisePanel();
+		updateConnectionsTable();
+		updateSessionsTable();
+		updateCampaigns();
+		AccountView.update();
+		updateHeatmap();
+		
+		if (APP_STATE.charts.timeline) {
+			updateCharts();
+		} else {
+			initCharts();
+		}
+		
+		if (APP_STATE.currentTab === 'compare') {
+			SnapshotCompare.render();
+		}
+		
+		// Re-render an open details modal with the fresh record
+		const openModal = document.querySelector('.modal-overlay[data-ip]');
+		if (openModal && APP_STATE.addrData.some(d => d.IP === openModal.dataset.ip)) {
+			showDetails(openModal.dataset.ip);
+		}
+	}
+	
+	/**
+	 * Restart auto-refresh with new interval
+	 */
+	function restartAutoRefresh() {
+		startAutoRefresh();
+	}
+
+	/**
+	 * URL State Module
+	 * Mirrors the dashboard state in location.hash so a view can be shared as a link, e.g.
+	 * #tab=connections&type=attack&q=user:admin*&date=24h&sort=type.asc,fails.desc&page=2&period=week&ip=185.220.1.16
+	 * Each change adds a history entry (search edits replace it), back/forward restores the state
+	 */
+	const UrlState = {
+		// Hash written or applied last: navigating to it is not a change
+		current: null,
+		// False until the hash of the page load is applied
+		ready: false,
+		// Set while a hash is applied, so the re-render does not write it back
+		restoring: false,
+		
+		tabs: ['connections', 'sessions', 'usernames', 'metrics', 'settings', 'compare'],
+		periods: ['day', 'week', 'month', 'year'],
+		types: ['attack', 'legit', 'mixed', 'unknown'],
+		
+		/**
+		 * Serialize the dashboard state
+		 * 
+		 * @returns {URLSearchParams} Hash parameters
+		 */
+		serialize: () => {
+			const params = new URLSearchParams();
+			const bound = (value) => value === null || value === undefined ? '' : value;
+			const time = (value) => value === null || value === undefined ? '' : new Date(value).toISOString();
+			
+			params.set('tab', APP_STATE.currentTab);
+			if (APP_STATE.currentServer !== 'all') params.set('server', APP_STATE.currentServer);
+			
+			APP_STATE.filters.forEach(({ kind, value }) => {
+				switch (kind) {
+					case 'type':
+					case 'user':
+					case 'subnet':
+					case 'domain':
+						params.append(kind, value);
+						break;
+					case 'search':
+						params.append('q', value);
+						break;
+					case 'date':
+						params.append('date', value.preset || `${time(value.from)}..${time(value.to)}`);
+						break;
+					case 'fails':
+						params.append('fails', `${bound(value.min)}..${bound(value.max)}`);
+						break;
+				}
+			});
+			
+			params.set('sort', APP_STATE.currentSort.map(key => `${key.field}.${key.direction}`).join(','));
+			if (APP_STATE.currentPage > 1) params.set('page', APP_STATE.currentPage);
+			params.set('period', APP_STATE.currentTimelinePeriod);
+			
+			const openModal = document.querySelector('.modal-overlay[data-ip]');
+			if (openModal) params.set('ip', openModal.dataset.ip);
+			
+			return params;
+		},
+		
+		/**
+		 * Parse a hash into dashboard state, skipping invalid values
+		 * 
+		 * @param {string} hash - location.hash
+		 * @returns {Object} { tab, server, filters, sort, page, period, ip }, missing parts undefined
+		 */
+		parse: (hash) => {
+			const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+			const state = { filters: [] };
+			const range = (text, toValue) => {
+				const parts = String(text).split('..');
+				if (parts.length !== 2) return null;
+				const [min, max] = parts.map(part => part === '' ? null : toValue(part));
+				if ([min, max].some(value => value !== null && isNaN(value))) return null;
+				if (min === null && max === null) return null;
+				return min !== null && max !== null && min > max ? null : { min, max };
+			};
+			
+			if (UrlState.tabs.includes(params.get('tab'))) state.tab = params.get('tab');
+			if (params.get('server')) state.server = params.get('server');
+			
+			params.forEach((value, key) => {
+				switch (key) {
+					case 'type':
+						if (UrlState.types.includes(value)) state.filters.push({ kind: 'type', value });
+						break;
+					case 'q':
+						if (value.trim()) state.filters.push({ kind: 'search', value: value.trim() });
+						break;
+					case 'date': {
+						if (ConnectionFilter.datePresets[value]) {
+							state.filters.push({ kind: 'date', value: { preset: value } });
+							break;
+						}
+						const bounds = range(value, Date.parse);
+						if (bounds) state.filters.push({ kind: 'date', value: { from: bounds.min, to: bounds.max } });
+						break;
+					}
+					case 'fails': {
+						const bounds = range(value, part => /^\d+$/.test(part) ? parseInt(part, 10) : NaN);
+						if (bounds) state.filters.push({ kind: 'fails', value: bounds });
+						break;
+					}
+					case 'user':
+					case 'domain':
+						if (value) state.filters.push({ kind: key, value });
+						break;
+					case 'subnet':
+						try {
+							SearchQuery.ipMatcher(value.toLowerCase());
+							state.filters.push({ kind: 'subnet', value });
+						} catch (error) {
+							DEBUG && console.warn('⚠️ Link subnet skipped:', value, error.message);
+						}
+						break;
+				}
+			});
+			
+			// Single-valued kinds keep their last chip
+			state.filters = state.filters.filter((filter, index) =>
+				ConnectionFilter.anyOf.includes(filter.kind) ||
+				!state.filters.slice(index + 1).some(other => other.kind === filter.kind));
+			
+			const sort = (params.get('sort') || '').split(',')
+				.map(key => /^([a-z]+)\.(asc|desc)$/i.exec(key))
+				.filter(Boolean)
+				.map(key => ({ field: key[1], direction: key[2].toLowerCase() }));
+			if (sort.length > 0) state.sort = normalizeSort(sort);
+			
+			const page = parseInt(params.get('page'), 10);
+			state.page = page > 0 ? page : 1;
+			
+			if (UrlState.periods.includes(params.get('period'))) state.period = params.get('period');
+			if (params.get('ip')) state.ip = params.get('ip');
+			
+			return state;
+		},
+		
+		/**
+		 * Write the dashboard state to location.hash
+		 * Only the search text changed: the history entry is replaced instead of added
+		 */
+		update: () => {
+			if (!UrlState.ready || UrlState.restoring) return;
+			
+			const params = UrlState.serialize();
+			const hash = `#${params.toString()}`;
+			if (hash === UrlState.current) return;
+			
+			const withoutSearch = (search) => {
+				const others = new URLSearchParams(search);
+				others.delete('q');
+				return others.toString();
+			};
+			const previous = (UrlState.current || '').replace(/^#/, '');
+			const replace = UrlState.current === null || withoutSearch(previous) === withoutSearch(params);
+			
+			try {
+				history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+			} catch (error) {
+				DEBUG && console.warn('⚠️ URL state not saved:', error.message);
+			}
+			UrlState.current = hash;
+		},
+		
+		/**
+		 * Apply the state part that needs no data: tab, server, filters, sort, page and timeline period
+		 * 
+		 * @param {Object} state - Parsed state (see parse)
+		 */
+		applyState: (state) => {
+			APP_STATE.filters = state.filters;
+			APP_STATE.currentPage = state.page;
+			if (state.server) APP_STATE.currentServer = state.server;
+			if (state.sort) APP_STATE.currentSort = state.sort;
+			if (state.period) {
+				APP_STATE.currentTimelinePeriod = state.period;
+				markPeriodButton(state.period);
+			}
+			
+			syncFilterControls();
+			renderFilterChips();
+			updateSortIndicators();
+			switchTab(state.tab || APP_STATE.currentTab);
+		},
+		
+		/**
+		 * Open the details modal of a linked IP, or close an open one
+		 * 
+		 * @param {string} [ip] - IP address
+		 */
+		applyDetails: (ip) => {
+			const openModal = document.querySelector('.modal-overlay[data-ip]');
+			if (ip && APP_STATE.addrData.some(d => d.IP === ip)) {
+				if (!openModal || openModal.dataset.ip !== ip) showDetails(ip);
+			} else if (openModal) {
+				openModal.remove();
+			}
+		},
+		
+		/**
+		 * Apply location.hash after back/forward navigation or a hand-edited hash
+		 */
+		restore: async () => {
+			if (!UrlState.ready || location.hash === UrlState.current) return;
+			DEBUG && console.log('🔗 Restoring URL state:', location.hash);
+			
+			const state = UrlState.parse(location.hash);
+			UrlState.restoring = true;
+			try {
+				UrlState.applyState(state);
+				// A server that is not in the data set falls back to all servers
+				if (APP_STATE.currentServer !== 'all' && !APP_STATE.servers.includes(APP_STATE.currentServer)) {
+					APP_STATE.currentServer = 'all';
+				}
+				await refreshView();
+				UrlState.applyDetails(state.ip);
+			} finally {
+				UrlState.restoring = false;
+			}
+			UrlState.current = location.hash;
+		},
+		
+		/**
+		 * Apply the hash of the page load before the first render
+		 * 
+		 * @returns {Object} Parsed state, pass to ready() once the data is shown
+		 */
+		init: () => {
+			const state = UrlState.parse(location.hash);
+			if (location.hash) {
+				DEBUG && console.log('🔗 Opening linked state:', state);
+				UrlState.applyState(state);
+			}
+			
+			window.addEventListener('popstate', UrlState.restore);
+			window.addEventListener('hashchange', UrlState.restore);
+			return state;
+		},
+		
+		/**
+		 * Finish the page load: open the linked details and start writing the hash
+		 * 
+		 * @param {Object} state - State returned by init()
+		 */
+		start: (state) => {
+			UrlState.ready = true;
+			UrlState.applyDetails(state.ip);
+			UrlState.update();
+		}
+	};
+	
+	/**
+	 * Settings Management Module
+	 * Handles persistent settings with localStorage integration
+	 */
+	const SettingsManager = {
+/**
+ * Load settings from localStorage
+ */
+loadSettings: () => {
+    try {
+        const savedSettings = localStorage.getItem('rdpmon-settings');
+        if (savedSettings) {
+            const parsedSettings = JSON.parse(savedSettings);
             
-        APP_STATE.charts.timeline.options.scales.x.grid.color = isDarkTheme 
-            ? 'rgba(255, 255, 255, 0.1)' 
-            : 'rgba(0, 0, 0, 0.1)';
+            // CRITICAL: Merge settings properly, preserving defaults for missing values
+            APP_STATE.settings = createSettings(parsedSettings);
             
-        APP_STATE.charts.timeline.options.scales.y.grid.color = isDarkTheme 
-            ? 'rgba(255, 255, 255, 0.1)' 
-            : 'rgba(0, 0, 0, 0.1)';
-        
-        // Trigger theme update
-        APP_STATE.charts.timeline.update();
-        APP_STATE.charts.distribution.update();
-        
-        DEBUG && console.log('✅ All charts updated successfully', {
-            theme: APP_STATE.theme,
-            timelinePeriod: APP_STATE.currentTimelinePeriod,
-            distributionLimit: APP_STATE.chartDistributionLimit,
-            totalConnections: APP_STATE.addrData.length
-        });
+            DEBUG && console.log('⚙️ Settings loaded from localStorage:', parsedSettings);
+            
+            // Update DOM elements with loaded settings - DO THIS HERE
+            if (DOM.ipInfoService && parsedSettings.ipInfoService) {
+                DOM.ipInfoService.value = parsedSettings.ipInfoService;
+            }
+            if (DOM.defaultChartPeriod && parsedSettings.defaultChartPeriod) {
+                DOM.defaultChartPeriod.value = parsedSettings.defaultChartPeriod;
+            }
+            if (DOM.chartItemsLimit && parsedSettings.chartItemsLimit) {
+                DOM.chartItemsLimit.value = parsedSettings.chartItemsLimit;
+            }
+            if (DOM.pageSizeSelect && parsedSettings.itemsPerPage) {
+                DOM.pageSizeSelect.value = parsedSettings.itemsPerPage;
+            }
+            if (DOM.tableModeSelect && parsedSettings.tableMode) {
+                DOM.tableModeSelect.value = parsedSettings.tableMode;
+            }
+            if (DOM.settingsRefreshInterval && parsedSettings.autoRefreshInterval) {
+                DOM.settingsRefreshInterval.value = parsedSettings.autoRefreshInterval;
+                DOM.settingsIntervalValue.textContent = `${parsedSettings.autoRefreshInterval}s`;
+            }
+            
+            // Load current sort setting if exists
+            if (parsedSettings.currentSort) {
+                APP_STATE.currentSort = normalizeSort(parsedSettings.currentSort);
+            }
+        } else {
+            DEBUG && console.log('⚙️ No saved settings found, using defaults');
+        }
         
+        DEBUG && console.log('⚙️ Final settings:', APP_STATE.settings);
     } catch (error) {
-        DEBUG && console.error('❌ Error updating charts:', {
-            error: error.message,
-            stack: error.stack,
-            currentLimit: APP_STATE.chartDistributionLimit,
-            dataLength: APP_STATE.addrData.length
-        });
-        
-        // Show user-friendly error notification
-        if (!error.handled) {
-            Utils.showNotification('Error updating charts. Please refresh the page.', 'error');
-            error.handled = true;
-        }
+        DEBUG && console.error('❌ Error loading settings:', error);
     }
-}
-	
-	/**
-	 * Update connections table with current data
-	 */
-	function updateConnectionsTable() {
-		DEBUG && console.log('📋 Updating connections table...');
+},
 		
-		const startIndex = (APP_STATE.currentPage - 1) * APP_STATE.pageSize;
-		const endIndex = startIndex + APP_STATE.pageSize;
-		const pageData = APP_STATE.filteredAddrData.slice(startIndex, endIndex);
-		const totalPages = Math.ceil(APP_STATE.filteredAddrData.length / APP_STATE.pageSize);
+		/**
+		 * Save the table column layout to localStorage
+		 */
+		saveColumnLayout: () => {
+			try {
+				SettingsManager.storeSettings();
+				DEBUG && console.log('🧱 Column layout saved:', APP_STATE.settings.columnLayout);
+			} catch (error) {
+				DEBUG && console.error('❌ Error saving column layout:', error);
+			}
+		},
+		
+		/**
+		 * Save the facet panel visibility to localStorage
+		 */
+		saveFacetPreference: () => {
+			try {
+				SettingsManager.storeSettings();
+			} catch (error) {
+				DEBUG && console.error('❌ Error saving facet preference:', error);
+			}
+		},
 		
-		DOM.dataTable.innerHTML = '';
+		/**
+		 * Save the saved views and the default view to localStorage
+		 */
+		saveViews: () => {
+			try {
+				SettingsManager.storeSettings();
+				DEBUG && console.log('🔖 Views saved:', APP_STATE.settings.savedViews.map(view => view.name));
+			} catch (error) {
+				DEBUG && console.error('❌ Error saving views:', error);
+			}
+		},
 		
-		if (pageData.length === 0) {
-			const row = document.createElement('tr');
-			row.innerHTML = `
-				<td colspan="8" class="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
-					<i class="fas fa-inbox text-3xl mb-2"></i>
-					<p class="font-medium">No data to display</p>
-					<p class="text-sm mt-1">Try changing your filter or search criteria</p>
-				</td>
-			`;
-			DOM.dataTable.appendChild(row);
-		} else {
-			pageData.forEach(item => {
-				const typeColors = Utils.getTypeColor(item.ConnectionType);
-				const row = document.createElement('tr');
-				row.className = 'hover:bg-gray-50 dark:hover:bg-gray-800/50 transition-colors fade-in';
+		/**
+		 * Save the risk score weights and alert threshold to localStorage
+		 */
+		saveRiskSettings: () => {
+			try {
+				SettingsManager.storeSettings();
+				DEBUG && console.log('🎯 Risk settings saved:', APP_STATE.settings.riskWeights, APP_STATE.settings.riskAlertThreshold);
+			} catch (error) {
+				DEBUG && console.error('❌ Error saving risk settings:', error);
+			}
+		},
+		
+		/**
+		 * Show the risk score weights and alert threshold in the settings tab
+		 */
+		renderRiskSettings: () => {
+			const weights = getRiskWeights();
+			DOM.riskWeightInputs.forEach(input => {
+				input.value = weights[input.dataset.factor];
+				input.nextElementSibling.textContent = weights[input.dataset.factor];
+			});
+			if (DOM.riskAlertThreshold) {
+				DOM.riskAlertThreshold.value = APP_STATE.settings.riskAlertThreshold;
+				DOM.riskAlertThresholdValue.textContent = APP_STATE.settings.riskAlertThreshold;
+			}
+		},
+		
+		/**
+		 * Change the risk score weights or alert threshold, then re-score the views
+		 * 
+		 * @param {Object} changes - { riskWeights, riskAlertThreshold }
+		 */
+		setRiskSettings: (changes) => {
+			Object.assign(APP_STATE.settings, changes);
+			SettingsManager.saveRiskSettings();
+			SettingsManager.renderRiskSettings();
+			if (APP_STATE.addrData.length > 0) refreshView();
+		},
+		
+		/**
+		 * Capture the current filters, search, sort, chart period and column layout
+		 * Filters, search, sort and period are kept as link hash parameters (see UrlState)
+		 * 
+		 * @param {string} name - View name
+		 * @returns {Object} { name, query, columns }
+		 */
+		captureView: (name) => {
+			const params = UrlState.serialize();
+			['tab', 'server', 'page', 'ip'].forEach(key => params.delete(key));
+			const layout = APP_STATE.settings.columnLayout;
+			return { name, query: params.toString(), columns: layout ? JSON.parse(JSON.stringify(layout)) : null };
+		},
+		
+		/**
+		 * Ask for a name and save the current view, replacing a view of the same name
+		 */
+		saveCurrentView: () => {
+			const name = (prompt('Name of the view:', '') || '').trim();
+			if (!name) return;
+			
+			const views = APP_STATE.settings.savedViews || [];
+			const index = views.findIndex(view => view.name === name);
+			if (index >= 0 && !confirm(`Replace the saved view "${name}"?`)) return;
+			
+			const view = SettingsManager.captureView(name);
+			APP_STATE.settings.savedViews = index >= 0 ?
+				views.map((entry, i) => i === index ? view : entry) : [...views, view];
+			SettingsManager.saveViews();
+			SettingsManager.renderViews();
+			Utils.showNotification(`View "${Utils.escapeHtml(name)}" saved`);
+		},
+		
+		/**
+		 * Apply a saved view: filters, search, sort, chart period and columns
+		 * 
+		 * @param {string} name - View name
+		 * @param {Object} [options]
+		 * @param {boolean} [options.render=true] - Refresh the dashboard (false before the first render)
+		 * @returns {boolean} True when the view exists
+		 */
+		applyView: (name, { render = true } = {}) => {
+			const view = (APP_STATE.settings.savedViews || []).find(entry => entry.name === name);
+			if (!view) return false;
+			DEBUG && console.log('🔖 Applying view:', name);
+			
+			// Parsing the hash parameters skips values this version does not understand
+			UrlState.applyState(UrlState.parse(view.query));
+			SettingsManager.saveSortPreference();
+			
+			APP_STATE.settings.columnLayout = view.columns || null;
+			SettingsManager.saveColumnLayout();
+			TableColumns.render('connections');
+			TableColumns.render('sessions');
+			
+			if (render) refreshView();
+			return true;
+		},
+		
+		/**
+		 * Delete a saved view
+		 * 
+		 * @param {string} name - View name
+		 */
+		deleteView: (name) => {
+			if (!confirm(`Delete the saved view "${name}"?`)) return;
+			APP_STATE.settings.savedViews = (APP_STATE.settings.savedViews || []).filter(view => view.name !== name);
+			if (APP_STATE.settings.defaultView === name) APP_STATE.settings.defaultView = null;
+			SettingsManager.saveViews();
+			SettingsManager.renderViews();
+		},
+		
+		/**
+		 * Make a view the default view, or clear the default when it already is
+		 * 
+		 * @param {string} name - View name
+		 */
+		toggleDefaultView: (name) => {
+			APP_STATE.settings.defaultView = APP_STATE.settings.defaultView === name ? null : name;
+			SettingsManager.saveViews();
+			SettingsManager.renderViews();
+		},
+		
+		/**
+		 * Describe a saved view: its filter chips, sort and chart period
+		 * 
+		 * @param {Object} view - Saved view
+		 * @returns {string} One-line summary
+		 */
+		describeView: (view) => {
+			const state = UrlState.parse(view.query);
+			const parts = state.filters.map(filter => describeFilter(filter).label);
+			if (state.sort) parts.push(`Sort: ${state.sort.map(key => `${key.field} ${key.direction}`).join(', ')}`);
+			if (state.period) parts.push(`Period: ${state.period}`);
+			if (view.columns) parts.push('Custom columns');
+			return parts.join(' · ');
+		},
+		
+		/**
+		 * Render the saved views dropdown and the saved views list of the settings tab
+		 */
+		renderViews: () => {
+			const views = APP_STATE.settings.savedViews || [];
+			const defaultView = APP_STATE.settings.defaultView;
+			
+			if (DOM.savedViews) {
+				DOM.savedViews.innerHTML = `<option value="">${views.length ? 'Saved views' : 'No saved views'}</option>` +
+					views.map(view => `<option value="${Utils.escapeHtml(view.name)}">${Utils.escapeHtml(view.name)}${view.name === defaultView ? ' (default)' : ''}</option>`).join('');
+			}
+			
+			if (DOM.savedViewsList) {
+				DOM.savedViewsList.innerHTML = views.length ? views.map(view => {
+					const name = Utils.escapeHtml(view.name);
+					const isDefault = view.name === defaultView;
+					return `
+						<li class="flex items-center gap-3 py-2" data-view="${name}">
+							<div class="flex-1 min-w-0">
+								<p class="text-sm font-medium text-gray-800 dark:text-white truncate">${name}</p>
+								<p class="text-xs text-gray-500 dark:text-gray-400 truncate">${Utils.escapeHtml(SettingsManager.describeView(view)) || 'No filters'}</p>
+							</div>
+							<button class="view-default p-1 ${isDefault ? 'text-yellow-500' : 'text-gray-400 hover:text-yellow-500'}"
+									title="${isDefault ? 'Default view (click to clear)' : 'Open this view by default'}" aria-pressed="${isDefault}">
+								<i class="${isDefault ? 'fas' : 'far'} fa-star"></i>
+							</button>
+							<button class="view-apply p-1 text-gray-400 hover:text-primary-500" title="Apply view">
+								<i class="fas fa-play"></i>
+							</button>
+							<button class="view-delete p-1 text-gray-400 hover:text-danger-500" title="Delete view">
+								<i class="fas fa-trash-alt"></i>
+							</button>
+						</li>
+					`;
+				}).join('') : '<li class="py-2 text-sm text-gray-500 dark:text-gray-400">No saved views yet</li>';
+			}
+		},
+		
+		/**
+		 * Download the saved views as a JSON file to share with the team
+		 */
+		exportViews: () => {
+			const views = APP_STATE.settings.savedViews || [];
+			if (views.length === 0) {
+				Utils.showNotification('No saved views to export', 'warning');
+				return;
+			}
+			
+			const exportData = {
+				Type: 'RdpMonViews',
+				Version: 1,
+				ExportTime: new Date().toISOString(),
+				// The exporter's default, offered to importers without one of their own
+				DefaultView: APP_STATE.settings.defaultView,
+				Views: views
+			};
+			
+			const dataBlob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+			const url = URL.createObjectURL(dataBlob);
+			const a = document.createElement('a');
+			a.href = url;
+			a.download = `rdpmon-views-${new Date().toISOString().slice(0, 10)}.json`;
+			document.body.appendChild(a);
+			a.click();
+			document.body.removeChild(a);
+			URL.revokeObjectURL(url);
+			
+			Utils.showNotification(`${views.length} view${views.length === 1 ? '' : 's'} exported`);
+		},
+		
+		/**
+		 * Import views exported by exportViews(); views with the same name are replaced
+		 * 
+		 * @param {string} text - Views file text
+		 * @returns {number} Number of imported views
+		 * @throws {Error} When the file holds no valid views
+		 */
+		importViews: (text) => {
+			let data;
+			try {
+				data = JSON.parse(text);
+			} catch (error) {
+				throw new Error('The file is not valid JSON');
+			}
+			
+			const isLayout = (columns) => columns === null || columns === undefined ||
+				(typeof columns === 'object' && !Array.isArray(columns) && Object.values(columns).every(Array.isArray));
+			const imported = (Array.isArray(data) ? data : (data && data.Views) || [])
+				.filter(view => view && typeof view.name === 'string' && view.name.trim() &&
+					typeof view.query === 'string' && isLayout(view.columns))
+				.map(view => ({ name: view.name.trim(), query: view.query, columns: view.columns || null }));
+			if (imported.length === 0) throw new Error('The file contains no saved views');
+			
+			const names = new Set(imported.map(view => view.name));
+			APP_STATE.settings.savedViews = [
+				...(APP_STATE.settings.savedViews || []).filter(view => !names.has(view.name)),
+				...imported
+			];
+			// Take over the shared default view only when none is set
+			if (!APP_STATE.settings.defaultView && data && names.has(data.DefaultView)) {
+				APP_STATE.settings.defaultView = data.DefaultView;
+			}
+			
+			SettingsManager.saveViews();
+			SettingsManager.renderViews();
+			return imported.length;
+		},
+		
+		/**
+		 * Save sort preference to localStorage
+		 */
+		saveSortPreference: () => {
+			try {
+				SettingsManager.storeSettings();
+				DEBUG && console.log('📊 Sort preference saved:', APP_STATE.currentSort);
+			} catch (error) {
+				DEBUG && console.error('❌ Error saving sort preference:', error);
+			}
+		},
+		
+		/**
+		 * Apply page width setting
+		 */
+		applyPageWidth: () => {
+			const container = document.getElementById('main-container');
+			if (container) {
+				// Remove existing width classes
+				container.classList.remove('max-w-full', 'max-w-7xl', 'max-w-4xl');
+				
+				// Apply new width based on setting
+				switch(APP_STATE.settings.pageWidth) {
+					case 'full':
+						container.classList.add('max-w-full');
+						break;
+					case 'normal':
+						container.classList.add('max-w-7xl');
+						break;
+					case 'narrow':
+						container.classList.add('max-w-4xl');
+						break;
+					default:
+						container.classList.add('max-w-full');
+				}
+				DEBUG && console.log('📏 Page width applied:', APP_STATE.settings.pageWidth);
+			}
+		},
+		
+		/**
+		 * Reset settings to defaults
+		 */
+		resetSettings: () => {
+			if (confirm('Reset all settings to defaults?')) {
+				// Saved views are kept
+				APP_STATE.settings = createSettings({
+					savedViews: APP_STATE.settings.savedViews || [],
+					defaultView: APP_STATE.settings.defaultView || null
+				});
+				
+				DEBUG && console.log('🔄 Settings reset to defaults');
+				
+				// Update UI elements with default values
+				if (DOM.ipInfoService) DOM.ipInfoService.value = APP_STATE.settings.ipInfoService;
+				if (DOM.defaultChartPeriod) DOM.defaultChartPeriod.value = APP_STATE.settings.defaultChartPeriod;
+				if (DOM.chartItemsLimit) DOM.chartItemsLimit.value = APP_STATE.settings.chartItemsLimit;
+				if (DOM.pageSizeSelect) DOM.pageSizeSelect.value = APP_STATE.settings.itemsPerPage;
+				if (DOM.tableModeSelect) DOM.tableModeSelect.value = APP_STATE.settings.tableMode;
+				if (DOM.settingsRefreshInterval) {
+					DOM.settingsRefreshInterval.value = APP_STATE.settings.autoRefreshInterval;
+					DOM.settingsIntervalValue.textContent = `${APP_STATE.settings.autoRefreshInterval}s`;
+				}
+				
+				// Apply settings
+				SettingsManager.applySettings();
+				SettingsManager.highlightUIPreferences();
+				
+				// Save to localStorage
+				SettingsManager.storeSettings();
+				
+				Utils.showNotification('Settings reset to defaults');
+			}
+		},
+		
+		/**
+		 * Write the settings and the current sort to localStorage; every settings write goes through here
+		 * Merged into the stored settings, so keys kept outside APP_STATE.settings (timeline period) stay
+		 * 
+		 * @param {Object} [values={}] - Further keys to store, e.g. { timelinePeriod }
+		 */
+		storeSettings: (values = {}) => {
+			const storedSettings = JSON.parse(localStorage.getItem('rdpmon-settings')) || {};
+			Object.keys(DEFAULT_SETTINGS).forEach(key => {
+				storedSettings[key] = APP_STATE.settings[key];
+			});
+			storedSettings.currentSort = APP_STATE.currentSort;
+			localStorage.setItem('rdpmon-settings', JSON.stringify({ ...storedSettings, ...values }));
+		},
+		
+		/**
+		 * Read the settings edited in the settings tab form
+		 * 
+		 * @returns {Object} Settings of the form fields, the defaults for missing fields
+		 */
+		collectSettings: () => {
+			const number = (input, fallback) => parseInt(input?.value, 10) || fallback;
+			return {
+				ipInfoService: DOM.ipInfoService?.value || DEFAULT_SETTINGS.ipInfoService,
+				defaultChartPeriod: DOM.defaultChartPeriod?.value || DEFAULT_SETTINGS.defaultChartPeriod,
+				chartItemsLimit: number(DOM.chartItemsLimit, DEFAULT_SETTINGS.chartItemsLimit),
+				themeMode: document.querySelector('.theme-mode-btn.active')?.dataset.mode || DEFAULT_SETTINGS.themeMode,
+				tableDensity: document.querySelector('.table-density-btn.active')?.dataset.density || DEFAULT_SETTINGS.tableDensity,
+				animationLevel: document.querySelector('.animation-level-btn.active')?.dataset.level || DEFAULT_SETTINGS.animationLevel,
+				pageWidth: document.querySelector('.page-width-btn.active')?.dataset.width || DEFAULT_SETTINGS.pageWidth,
+				autoRefreshInterval: number(DOM.settingsRefreshInterval, DEFAULT_SETTINGS.autoRefreshInterval),
+				itemsPerPage: number(DOM.pageSizeSelect, DEFAULT_SETTINGS.itemsPerPage),
+				tableMode: DOM.tableModeSelect?.value || DEFAULT_SETTINGS.tableMode
+			};
+		},
+		
+		/**
+		 * Save settings to localStorage
+		 */
+		saveSettings: () => {
+			try {
+				// Collect settings from UI elements first; settings without a form field keep their value
+				APP_STATE.settings = createSettings({
+					...APP_STATE.settings,
+					...SettingsManager.collectSettings(),
+					currentSort: APP_STATE.currentSort // Keep current sort setting
+				});
+				
+				SettingsManager.storeSettings();
+				DEBUG && console.log('💾 Settings saved:', APP_STATE.settings);
 				
-				// Add glow effect for high-risk attacks
-				if (item.ConnectionType && item.ConnectionType.toLowerCase() === 'attack' && item.FailCount > 50) {
-					row.classList.add('attack-glow');
+				// Update UI elements with current settings
+				if (DOM.ipInfoService) {
+					DOM.ipInfoService.value = APP_STATE.settings.ipInfoService;
+				}
+				if (DOM.defaultChartPeriod) {
+					DOM.defaultChartPeriod.value = APP_STATE.settings.defaultChartPeriod;
+				}
+				if (DOM.chartItemsLimit) {
+					DOM.chartItemsLimit.value = APP_STATE.settings.chartItemsLimit;
+				}
+				if (DOM.pageSizeSelect) {
+					DOM.pageSizeSelect.value = APP_STATE.settings.itemsPerPage;
+				}
+				if (DOM.tableModeSelect) {
+					DOM.tableModeSelect.value = APP_STATE.settings.tableMode;
+				}
+				if (DOM.settingsRefreshInterval) {
+					DOM.settingsRefreshInterval.value = APP_STATE.settings.autoRefreshInterval;
+					DOM.settingsIntervalValue.textContent = `${APP_STATE.settings.autoRefreshInterval}s`;
 				}
 				
-				const usernames = Array.isArray(item.UserNames) ? item.UserNames : [];
-				const durationFormatted = Utils.formatDuration(item.Duration);
-				const firstLocal = Utils.formatDate(item.FirstLocal);
-				const lastLocal = Utils.formatDate(item.LastLocal);
+				// Update theme mode buttons
+				document.querySelectorAll('.theme-mode-btn').forEach(btn => {
+					btn.classList.remove('active', 'bg-primary-500', 'text-white');
+					btn.classList.add('text-gray-800', 'dark:text-white');
+					if (btn.dataset.mode === APP_STATE.settings.themeMode) {
+						btn.classList.remove('text-gray-800', 'dark:text-white');
+						btn.classList.add('active', 'bg-primary-500', 'text-white');
+					}
+				});
 				
-				// Escape values to prevent JavaScript injection
-				const escapedIP = Utils.escapeHtml(item.IP || '');
-				const escapedHostname = Utils.escapeHtml(item.Hostname || '');
-				const escapedConnectionType = Utils.escapeHtml(item.ConnectionType || '');
-				const escapedUsernames = Utils.escapeHtml(usernames.join(', '));
+				// Update table density buttons
+				document.querySelectorAll('.table-density-btn').forEach(btn => {
+					btn.classList.remove('active', 'bg-primary-500', 'text-white');
+					btn.classList.add('text-gray-800', 'dark:text-white');
+					if (btn.dataset.density === APP_STATE.settings.tableDensity) {
+						btn.classList.remove('text-gray-800', 'dark:text-white');
+						btn.classList.add('active', 'bg-primary-500', 'text-white');
+					}
+				});
 				
-				row.innerHTML = `
-					<td class="px-4 py-3 whitespace-nowrap">
-						<div class="flex items-center">
-							<div class="ml-4">
-								<div class="text-sm font-medium text-gray-900 dark:text-white">${escapedIP || 'Unknown'}</div>
-								<div class="text-xs text-gray-500 dark:text-gray-400">${escapedHostname || 'Not resolved'}</div>
-							</div>
-							<div class="ml-2 flex space-x-1">
-								<button class="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 copy-ip-btn" 
-										title="Copy IP" data-ip="${escapedIP}">
-									<i class="fas fa-copy"></i>
-								</button>
-								<button class="p-1 text-blue-500 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 abuseipdb-check-btn" 
-										title="Check on AbuseIPDB" data-ip="${escapedIP}">
-									<i class="fas fa-search"></i>
-								</button>
-								<button class="p-1 text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 abuseipdb-report-btn" 
-										title="Report to AbuseIPDB" data-ip="${escapedIP}">
-									<i class="fas fa-flag"></i>
-								</button>
-							</div>
-						</div>
-					</td>
-					<td class="px-4 py-3 whitespace-nowrap">
-						<span class="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${typeColors.bg} ${typeColors.text}">
-							<i class="fas ${typeColors.icon} mr-1"></i>
-							${escapedConnectionType || 'Unknown'}
-						</span>
-					</td>
-					<td class="px-4 py-3 whitespace-nowrap">
-						<div class="flex items-center">
-							<div class="w-24 bg-gray-200 dark:bg-gray-700 rounded-full h-2 mr-3">
-								<div class="h-2 rounded-full bg-danger-500" style="width: ${Math.min((parseInt(item.FailCount) || 0) * 2, 100)}%"></div>
-							</div>
-							<span class="text-sm font-medium text-gray-900 dark:text-white">${parseInt(item.FailCount) || 0}</span>
-						</div>
-					</td>
-					<td class="px-4 py-3 whitespace-nowrap text-sm text-gray-900 dark:text-white hidden lg:table-cell">
-						${parseInt(item.SuccessCount) || 0}
-					</td>
-					<td class="px-4 py-3 whitespace-nowrap text-sm text-gray-900 dark:text-white hidden md:table-cell">
-						${firstLocal}
-					</td>
-					<td class="px-4 py-3 whitespace-nowrap text-sm text-gray-900 dark:text-white hidden md:table-cell">
-						<div class="flex items-center">
-							${lastLocal}
-						</div>
-					</td>
-					<td class="px-4 py-3 hidden xl:table-cell">
-						<div class="text-sm text-gray-900 dark:text-white max-w-xs truncate" title="${escapedUsernames}">
-							${usernames.slice(0, 3).join(', ')}${usernames.length > 3 ? '...' : ''}
-						</div>
-					</td>
-					<td class="px-4 py-3 whitespace-nowrap text-sm font-medium">
-						<button class="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-3 view-details-btn" 
-								data-ip="${escapedIP}" title="View details">
-							<i class="fas fa-eye"></i>
-						</button>
-						<button class="text-danger-600 hover:text-danger-900 dark:text-danger-400 dark:hover:text-danger-300 block-ip-btn" 
-								data-ip="${escapedIP}" title="Block IP">
-							<i class="fas fa-ban"></i>
-						</button>
-					</td>
-				`;
+				// Update animation level buttons
+				document.querySelectorAll('.animation-level-btn').forEach(btn => {
+					btn.classList.remove('active', 'bg-primary-500', 'text-white');
+					btn.classList.add('text-gray-800', 'dark:text-white');
+					if (btn.dataset.level === APP_STATE.settings.animationLevel) {
+						btn.classList.remove('text-gray-800', 'dark:text-white');
+						btn.classList.add('active', 'bg-primary-500', 'text-white');
+					}
+				});
+				
+				// Update page width buttons
+				document.querySelectorAll('.page-width-btn').forEach(btn => {
+					btn.classList.remove('active', 'bg-primary-500', 'text-white');
+					btn.classList.add('text-gray-800', 'dark:text-white');
+					if (btn.dataset.width === APP_STATE.settings.pageWidth) {
+						btn.classList.remove('text-gray-800', 'dark:text-white');
+						btn.classList.add('active', 'bg-primary-500', 'text-white');
+					}
+				});
+				
+				// Apply all settings immediately
+				SettingsManager.applySettings();
 				
-				DOM.dataTable.appendChild(row);
+				// Show notification
+				Utils.showNotification('Settings saved successfully');
+			} catch (error) {
+				DEBUG && console.error('❌ Error saving settings:', error);
+				Utils.showNotification('Error saving settings', 'error');
+			}
+		},
+		
+/**
+ * Apply all settings to UI
+ */
+applySettings: () => {
+    DEBUG && console.log('⚙️ Applying settings...');
+    
+    // Apply theme FIRST - это критически важно
+    SettingsManager.applyTheme();
+    
+    // Apply auto-refresh interval
+    if (DOM.refreshInterval) {
+        DOM.refreshInterval.value = APP_STATE.settings.autoRefreshInterval;
+        DOM.intervalValue.textContent = `${APP_STATE.settings.autoRefreshInterval}s`;
+        DOM.footerInterval.textContent = APP_STATE.settings.autoRefreshInterval;
+        restartAutoRefresh();
+    }
+
+    // Apply chart items limit
+    if (DOM.distributionLimit) {
+        DOM.distributionLimit.value = APP_STATE.settings.chartItemsLimit;
+        APP_STATE.chartDistributionLimit = APP_STATE.settings.chartItemsLimit;
+        DEBUG && console.log('📊 Applied distribution limit:', APP_STATE.settings.chartItemsLimit);
+    }
+    
+    // Apply chart items limit
+    if (DOM.distributionLimit) {
+        DOM.distributionLimit.value = APP_STATE.settings.chartItemsLimit;
+        APP_STATE.chartDistributionLimit = APP_STATE.settings.chartItemsLimit;
+    }
+    
+    // Apply page size
+    if (APP_STATE.settings.itemsPerPage) {
+        APP_STATE.pageSize = APP_STATE.settings.itemsPerPage;
+        updateConnectionsTable();
+    }
+    
+    // Apply page width setting
+    SettingsManager.applyPageWidth();
+    
+    // Apply table density
+    SettingsManager.applyTableDensity();
+    
+    // Apply animation level
+    SettingsManager.applyAnimationLevel();
+    
+    // Render table headers from the saved column layout
+    TableColumns.render('connections');
+    TableColumns.render('sessions');
+    
+    // Show or hide the facet panel
+    applyFacetVisibility();
+    
+    // List the saved views
+    SettingsManager.renderViews();
+    
+    // Show the risk score weights
+    SettingsManager.renderRiskSettings();
+    
+    // Apply sort preference if exists
+    if (APP_STATE.settings.currentSort) {
+        APP_STATE.currentSort = normalizeSort(APP_STATE.settings.currentSort);
+        // Apply the sort immediately
+        updateSortIndicators();
+        requeryTable();
+    }
+    
+    // Update charts if needed
+    if (APP_STATE.charts.timeline) {
+        updateCharts();
+    }
+    
+    // Highlight UI preferences
+    SettingsManager.highlightUIPreferences();
+    
+    DEBUG && console.log('✅ Settings applied');
+},
+		
+/**
+ * Apply theme setting
+ */
+applyTheme: () => {
+    const { themeMode } = APP_STATE.settings;
+    DEBUG && console.log('🎨 Applying theme:', themeMode);
+    
+    if (themeMode === 'auto') {
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        document.documentElement.classList.toggle('dark', prefersDark);
+        APP_STATE.theme = prefersDark ? 'dark' : 'light';
+    } else {
+        document.documentElement.classList.toggle('dark', themeMode === 'dark');
+        APP_STATE.theme = themeMode;
+    }
+    
+    // Update theme toggle icon
+    if (DOM.themeIcon) {
+        DOM.themeIcon.className = APP_STATE.theme === 'dark' ? 
+            'fas fa-sun' : 'fas fa-moon';
+    }
+    
+    // Update period button styles
+    updatePeriodButtonStyles();
+    
+    DEBUG && console.log('✅ Theme applied:', APP_STATE.theme);
+},
+		
+		/**
+		 * Apply table density setting
+		 */
+		applyTableDensity: () => {
+			const table = document.querySelector('#data-table');
+			if (!table) return;
+			
+			// Remove previous density classes
+			table.parentElement.parentElement.classList.remove('table-compact', 'table-normal', 'table-comfortable');
+			
+			// Apply new density
+			table.parentElement.parentElement.classList.add(`table-${APP_STATE.settings.tableDensity}`);
+			DEBUG && console.log('📊 Table density applied:', APP_STATE.settings.tableDensity);
+		},
+		
+		/**
+		 * Apply animation level setting
+		 */
+		applyAnimationLevel: () => {
+			const { animationLevel } = APP_STATE.settings;
+			
+			// Remove all animation classes first
+			document.body.classList.remove('animation-none', 'animation-minimal', 'animation-full');
+			
+			// Apply the selected level
+			if (animationLevel !== 'full') {
+				document.body.classList.add(`animation-${animationLevel}`);
+			}
+			DEBUG && console.log('🎬 Animation level applied:', animationLevel);
+		},
+		
+		/**
+		 * Highlight active UI preference buttons
+		 */
+		highlightUIPreferences: () => {
+			// Theme mode buttons
+			document.querySelectorAll('.theme-mode-btn').forEach(btn => {
+				btn.classList.remove('active', 'bg-primary-500', 'text-white');
+				btn.classList.add('text-gray-800', 'dark:text-white');
+				if (btn.dataset.mode === APP_STATE.settings.themeMode) {
+					btn.classList.remove('text-gray-800', 'dark:text-white');
+					btn.classList.add('active', 'bg-primary-500', 'text-white');
+				}
+			});
+			
+			// Table density buttons
+			document.querySelectorAll('.table-density-btn').forEach(btn => {
+				btn.classList.remove('active', 'bg-primary-500', 'text-white');
+				btn.classList.add('text-gray-800', 'dark:text-white');
+				if (btn.dataset.density === APP_STATE.settings.tableDensity) {
+					btn.classList.remove('text-gray-800', 'dark:text-white');
+					btn.classList.add('active', 'bg-primary-500', 'text-white');
+				}
+			});
+			
+			// Animation level buttons
+			document.querySelectorAll('.animation-level-btn').forEach(btn => {
+				btn.classList.remove('active', 'bg-primary-500', 'text-white');
+				btn.classList.add('text-gray-800', 'dark:text-white');
+				if (btn.dataset.level === APP_STATE.settings.animationLevel) {
+					btn.classList.remove('text-gray-800', 'dark:text-white');
+					btn.classList.add('active', 'bg-primary-500', 'text-white');
+				}
 			});
 			
-			// Add event listeners to the new buttons
-			setTimeout(() => {
-				document.querySelectorAll('.copy-ip-btn').forEach(btn => {
-					btn.addEventListener('click', (e) => {
-						const ip = e.currentTarget.getAttribute('data-ip');
-						DEBUG && console.log('📋 Copy IP button clicked:', ip);
-						Utils.copyToClipboard(ip.replace(/"/g, ''));
+			// Page width buttons
+			document.querySelectorAll('.page-width-btn').forEach(btn => {
+				btn.classList.remove('active', 'bg-primary-500', 'text-white');
+				btn.classList.add('text-gray-800', 'dark:text-white');
+				if (btn.dataset.width === APP_STATE.settings.pageWidth) {
+					btn.classList.remove('text-gray-800', 'dark:text-white');
+					btn.classList.add('active', 'bg-primary-500', 'text-white');
+				}
+			});
+			
+			DEBUG && console.log('✅ UI preferences highlighted');
+		},
+		
+		/**
+		 * Save settings immediately without UI feedback
+		 */
+		saveSettingsImmediately: () => {
+			try {
+				SettingsManager.storeSettings();
+				DEBUG && console.log('💾 Settings saved immediately');
+			} catch (error) {
+				DEBUG && console.error('❌ Error saving settings:', error);
+			}
+		},
+		
+		/**
+		 * Initialize settings event listeners
+		 */
+		initEventListeners: () => {
+			DEBUG && console.log('🔌 Initializing settings event listeners...');
+			
+			// Save settings button
+			if (DOM.saveSettings) {
+				DOM.saveSettings.addEventListener('click', () => {
+					DEBUG && console.log('💾 Save settings button clicked');
+					// saveSettings collects the form (see collectSettings)
+					SettingsManager.saveSettings();
+				});
+			}
+			
+			// Reset settings button
+			if (DOM.resetSettings) {
+				DOM.resetSettings.addEventListener('click', SettingsManager.resetSettings);
+			}
+			
+			// Clear storage button
+			if (DOM.clearStorage) {
+				DOM.clearStorage.addEventListener('click', () => {
+					if (confirm('Clear all local storage data? This will reset all settings and cached data.')) {
+						localStorage.clear();
+						sessionStorage.clear();
+						location.reload();
+					}
+				});
+			}
+			
+			// Settings refresh interval slider
+			if (DOM.settingsRefreshInterval) {
+				DOM.settingsRefreshInterval.addEventListener('input', (e) => {
+					DOM.settingsIntervalValue.textContent = `${e.target.value}s`;
+				});
+			}
+			
+			// Page size selector
+			if (DOM.pageSizeSelect) {
+				DOM.pageSizeSelect.addEventListener('change', (e) => {
+					APP_STATE.settings.itemsPerPage = parseInt(e.target.value);
+					APP_STATE.pageSize = APP_STATE.settings.itemsPerPage;
+					APP_STATE.currentPage = 1;
+					APP_STATE.sessionView.page = 1;
+					updateConnectionsTable({ resetScroll: true });
+					renderSessionsTable({ resetScroll: true });
+					SettingsManager.saveSettingsImmediately();
+				});
+			}
+			
+			// Table navigation mode selector
+			if (DOM.tableModeSelect) {
+				DOM.tableModeSelect.addEventListener('change', (e) => {
+					setTableMode(e.target.value);
+				});
+			}
+			
+			// Theme mode buttons - apply immediately
+			document.querySelectorAll('.theme-mode-btn').forEach(btn => {
+				btn.addEventListener('click', function() {
+					DEBUG && console.log('🎨 Theme mode button clicked:', this.dataset.mode);
+					// Update visual state
+					document.querySelectorAll('.theme-mode-btn').forEach(b => {
+						b.classList.remove('active', 'bg-primary-500', 'text-white');
+						b.classList.add('text-gray-800', 'dark:text-white');
 					});
+					this.classList.remove('text-gray-800', 'dark:text-white');
+					this.classList.add('active', 'bg-primary-500', 'text-white');
+					
+					// Update setting
+					APP_STATE.settings.themeMode = this.dataset.mode;
+					
+					// Apply theme immediately
+					SettingsManager.applyTheme();
+					
+					// Save settings
+					SettingsManager.saveSettingsImmediately();
+					
+					Utils.showNotification(`Theme changed to ${this.dataset.mode} mode`);
 				});
-				
-				document.querySelectorAll('.abuseipdb-check-btn').forEach(btn => {
-					btn.addEventListener('click', (e) => {
-						const ip = e.currentTarget.getAttribute('data-ip');
-						DEBUG && console.log('🔍 AbuseIPDB check button clicked:', ip);
-						Utils.openAbuseIPDBCheck(ip);
+			});
+			
+			// Table density buttons - apply immediately
+			document.querySelectorAll('.table-density-btn').forEach(btn => {
+				btn.addEventListener('click', function() {
+					DEBUG && console.log('📊 Table density button clicked:', this.dataset.density);
+					// Update visual state
+					document.querySelectorAll('.table-density-btn').forEach(b => {
+						b.classList.remove('active', 'bg-primary-500', 'text-white');
+						b.classList.add('text-gray-800', 'dark:text-white');
 					});
+					this.classList.remove('text-gray-800', 'dark:text-white');
+					this.classList.add('active', 'bg-primary-500', 'text-white');
+					
+					// Update setting
+					APP_STATE.settings.tableDensity = this.dataset.density;
+					
+					// Apply table density immediately (the virtual table re-measures its rows)
+					SettingsManager.applyTableDensity();
+					APP_STATE.tables.connections?.render(true);
+					
+					// Save settings
+					SettingsManager.saveSettingsImmediately();
+					
+					Utils.showNotification(`Table density changed to ${this.dataset.density}`);
 				});
-				
-				document.querySelectorAll('.abuseipdb-report-btn').forEach(btn => {
-					btn.addEventListener('click', async (e) => {
-						const ip = e.currentTarget.getAttribute('data-ip');
-						DEBUG && console.log('🚩 AbuseIPDB report button clicked:', ip);
-						const item = APP_STATE.addrData.find(d => d.IP === ip);
-						
-						if (item) {
-							const usernames = Array.isArray(item.UserNames) ? item.UserNames : [];
-							const attackDescription = `RDP Attack Report\n\n` +
-								`IP Address: ${item.IP}\n` +
-								`Hostname: ${item.Hostname || 'Not resolved'}\n` +
-								`Connection Type: ${item.ConnectionType}\n` +
-								`Failed Attempts: ${item.FailCount}\n` +
-								`Successful Logins: ${item.SuccessCount}\n` +
-								`First Seen: ${Utils.formatDate(item.FirstLocal)}\n` +
-								`Last Seen: ${Utils.formatDate(item.LastLocal)}\n` +
-								`Usernames Attempted: ${usernames.join(', ') || 'None'}\n` +
-								`Duration: ${Utils.formatDuration(item.Duration)}\n\n` +
-								`This attack was detected by RDP Monitor security system.`;
-							
-							Utils.openAbuseIPDBReport(ip, attackDescription);
-						} else {
-							Utils.openAbuseIPDBReport(ip, 'RDP attack detected by RDP Monitor security system.');
-						}
+			});
+			
+			// Animation level buttons - apply immediately
+			document.querySelectorAll('.animation-level-btn').forEach(btn => {
+				btn.addEventListener('click', function() {
+					DEBUG && console.log('🎬 Animation level button clicked:', this.dataset.level);
+					// Update visual state
+					document.querySelectorAll('.animation-level-btn').forEach(b => {
+						b.classList.remove('active', 'bg-primary-500', 'text-white');
+						b.classList.add('text-gray-800', 'dark:text-white');
 					});
+					this.classList.remove('text-gray-800', 'dark:text-white');
+					this.classList.add('active', 'bg-primary-500', 'text-white');
+					
+					// Update setting
+					APP_STATE.settings.animationLevel = this.dataset.level;
+					
+					// Apply animation level
+					SettingsManager.applyAnimationLevel();
+					
+					// Save settings
+					SettingsManager.saveSettingsImmediately();
+					
+					Utils.showNotification(`Animation level changed to ${this.dataset.level}`);
 				});
-				
-				document.querySelectorAll('.view-details-btn').forEach(btn => {
-					btn.addEventListener('click', (e) => {
-						const ip = e.currentTarget.getAttribute('data-ip');
-						DEBUG && console.log('👁️ View details button clicked:', ip);
-						showDetails(ip);
+			});
+			
+			// Page width buttons - apply immediately
+			document.querySelectorAll('.page-width-btn').forEach(btn => {
+				btn.addEventListener('click', function() {
+					DEBUG && console.log('📏 Page width button clicked:', this.dataset.width);
+					// Update visual state
+					document.querySelectorAll('.page-width-btn').forEach(b => {
+						b.classList.remove('active', 'bg-primary-500', 'text-white');
+						b.classList.add('text-gray-800', 'dark:text-white');
 					});
+					this.classList.remove('text-gray-800', 'dark:text-white');
+					this.classList.add('active', 'bg-primary-500', 'text-white');
+					
+					// Update setting
+					APP_STATE.settings.pageWidth = this.dataset.width;
+					
+					// Apply page width immediately
+					SettingsManager.applyPageWidth();
+					
+					// Save settings
+					SettingsManager.saveSettingsImmediately();
+					
+					Utils.showNotification(`Page width changed to ${this.dataset.width}`);
 				});
-				
-				document.querySelectorAll('.block-ip-btn').forEach(btn => {
-					btn.addEventListener('click', (e) => {
-						const ip = e.currentTarget.getAttribute('data-ip');
-						DEBUG && console.log('🚫 Block IP button clicked:', ip);
-						blockIP(ip);
+			});
+			
+			// Clear storage button
+			if (DOM.clearStorage) {
+				DOM.clearStorage.addEventListener('click', () => {
+					if (confirm('Clear all local storage data? This will reset all settings and cached data.')) {
+						localStorage.clear();
+						sessionStorage.clear();
+						location.reload();
+					}
+				});
+			}
+			
+			// Saved views: dropdown, save button, settings list, export and import
+			if (DOM.savedViews) {
+				DOM.savedViews.addEventListener('change', (e) => {
+					const name = e.target.value;
+					e.target.value = '';
+					if (name && SettingsManager.applyView(name)) {
+						Utils.showNotification(`View "${Utils.escapeHtml(name)}" applied`);
+					}
+				});
+			}
+			DOM.saveViewBtn?.addEventListener('click', SettingsManager.saveCurrentView);
+			
+			DOM.savedViewsList?.addEventListener('click', (e) => {
+				const item = e.target.closest('[data-view]');
+				if (!item) return;
+				const name = item.dataset.view;
+				if (e.target.closest('.view-apply')) SettingsManager.applyView(name);
+				else if (e.target.closest('.view-default')) SettingsManager.toggleDefaultView(name);
+				else if (e.target.closest('.view-delete')) SettingsManager.deleteView(name);
+			});
+			
+			DOM.exportViews?.addEventListener('click', SettingsManager.exportViews);
+			if (DOM.importViews && DOM.importViewsInput) {
+				DOM.importViews.addEventListener('click', () => DOM.importViewsInput.click());
+				DOM.importViewsInput.addEventListener('change', async (e) => {
+					const file = e.target.files && e.target.files[0];
+					// Allow picking the same file again
+					e.target.value = '';
+					if (!file) return;
+					
+					try {
+						const count = SettingsManager.importViews(await DataLoader.readFile(file));
+						Utils.showNotification(`${count} view${count === 1 ? '' : 's'} imported`);
+					} catch (error) {
+						DEBUG && console.error('❌ Error importing views:', error);
+						Utils.showNotification(`Views not imported: ${Utils.escapeHtml(error.message)}`, 'error');
+					}
+				});
+			}
+			
+			// Risk score weights and alert threshold apply when a slider is released
+			DOM.riskWeightInputs.forEach(input => {
+				input.addEventListener('input', () => {
+					input.nextElementSibling.textContent = input.value;
+				});
+				input.addEventListener('change', () => {
+					SettingsManager.setRiskSettings({
+						riskWeights: { ...getRiskWeights(), [input.dataset.factor]: parseInt(input.value, 10) }
 					});
 				});
-			}, 0);
+			});
+			DOM.riskAlertThreshold?.addEventListener('input', () => {
+				DOM.riskAlertThresholdValue.textContent = DOM.riskAlertThreshold.value;
+			});
+			DOM.riskAlertThreshold?.addEventListener('change', () => {
+				SettingsManager.setRiskSettings({ riskAlertThreshold: parseInt(DOM.riskAlertThreshold.value, 10) });
+			});
+			DOM.resetRiskWeights?.addEventListener('click', () => {
+				SettingsManager.setRiskSettings({ riskWeights: DEFAULT_SETTINGS.riskWeights, riskAlertThreshold: DEFAULT_SETTINGS.riskAlertThreshold });
+			});
+			
+			DEBUG && console.log('✅ Settings event listeners initialized');
 		}
+	};
+
+	/**
+	 * Data Pipeline Client
+	 * Runs parsing, schema checks, normalization, filtering, sorting and aggregation
+	 * in a Web Worker built from 1st_rdpmon-pipeline.js, so large reports do not block the UI.
+	 * Falls back to the same engine on the main thread where workers are unavailable
+	 */
+	const DataPipeline = {
+		worker: null,
+		engine: null,
+		nextId: 1,
+		pending: new Map(),
+		// Last successful load, replayed into the fallback engine if the worker fails
+		lastLoad: null,
+		statusTimer: null,
+		
+		// Show the progress indicator only for requests running longer than this
+		statusDelay: 150,
+		
+		/**
+		 * Start the worker (or the main-thread fallback)
+		 */
+		init: () => {
+			RdpMonPipeline.setDebug(DEBUG);
+			
+			if (typeof Worker === 'undefined' || typeof RdpMonPipelineModule !== 'function') {
+				DataPipeline.useMainThread('Web Workers are not available');
+				return;
+			}
+			
+			try {
+				// Build the worker from the loaded script so it also works from file://
+				const source = `${RdpMonPipelineModule.toString()}\nRdpMonPipelineModule(self);`;
+				const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+				DataPipeline.worker = new Worker(url);
+				DataPipeline.worker.onmessage = (event) => {
+					URL.revokeObjectURL(url);
+					DataPipeline.handleMessage(event.data);
+				};
+				DataPipeline.worker.onerror = (event) => {
+					URL.revokeObjectURL(url);
+					event.preventDefault();
+					DataPipeline.useMainThread(event.message || 'worker error');
+				};
+				DEBUG && console.log('🧵 Data pipeline worker started');
+			} catch (error) {
+				DataPipeline.useMainThread(error.message);
+			}
+		},
+		
+		/**
+		 * Switch to the main-thread engine and rerun the requests the worker did not answer
+		 * 
+		 * @param {string} reason - Why the worker is not used
+		 */
+		useMainThread: (reason) => {
+			DEBUG && console.warn('⚠️ Data pipeline running on the main thread:', reason);
+			if (DataPipeline.worker) {
+				DataPipeline.worker.terminate();
+				DataPipeline.worker = null;
+			}
+			
+			DataPipeline.engine = RdpMonPipeline.createEngine();
+			if (DataPipeline.lastLoad) {
+				DataPipeline.engine.load(DataPipeline.lastLoad);
+			}
+			
+			const pending = Array.from(DataPipeline.pending.values());
+			DataPipeline.pending.clear();
+			pending.forEach(request => DataPipeline.send(request));
+		},
+		
+		/**
+		 * Run a pipeline request
+		 * 
+		 * @param {string} type - Engine operation (check, open, load, query)
+		 * @param {Object} payload - Operation payload
+		 * @returns {Promise<Object>} Operation result
+		 */
+		request: (type, payload) => {
+			return new Promise((resolve, reject) => {
+				const request = { id: DataPipeline.nextId++, type, payload, resolve, reject };
+				DataPipeline.send(request);
+			});
+		},
+		
+		/**
+		 * Post a request to the worker or queue it on the main-thread engine
+		 * 
+		 * @param {Object} request - Request with id, type, payload and promise callbacks
+		 */
+		send: (request) => {
+			DataPipeline.pending.set(request.id, request);
+			DataPipeline.updateStatus();
+			
+			if (DataPipeline.worker) {
+				DataPipeline.worker.postMessage({ id: request.id, type: request.type, payload: request.payload, debug: DEBUG });
+				return;
+			}
+			
+			// Yield first so the progress indicator can paint
+			setTimeout(() => {
+				if (!DataPipeline.pending.has(request.id)) return;
+				try {
+					const progress = (phase, done, total) => DataPipeline.showProgress({ phase, done, total });
+					DataPipeline.finish(request.id, { result: DataPipeline.engine[request.type](request.payload, progress) });
+				} catch (error) {
+					DataPipeline.finish(request.id, { error: error.message });
+				}
+			}, 0);
+		},
+		
+		/**
+		 * Handle a worker message (result, error or progress)
+		 * 
+		 * @param {Object} message - { id, result } | { id, error } | { id, progress }
+		 */
+		handleMessage: (message) => {
+			if (message.progress) {
+				DataPipeline.showProgress(message.progress);
+				return;
+			}
+			DataPipeline.finish(message.id, message);
+		},
 		
-		// Update pagination info
-		DOM.tableCount.textContent = APP_STATE.filteredAddrData.length.toLocaleString();
-		DOM.pageInfo.textContent = `Page ${APP_STATE.currentPage} of ${totalPages || 1}`;
-		DOM.prevPage.disabled = APP_STATE.currentPage === 1;
-		DOM.nextPage.disabled = APP_STATE.currentPage === totalPages || totalPages === 0;
+		/**
+		 * Settle a request
+		 * 
+		 * @param {number} id - Request id
+		 * @param {Object} message - { result } or { error }
+		 */
+		finish: (id, message) => {
+			const request = DataPipeline.pending.get(id);
+			if (!request) return;
+			DataPipeline.pending.delete(id);
+			DataPipeline.updateStatus();
+			
+			if (message.error) {
+				DEBUG && console.error(`❌ Pipeline ${request.type} failed:`, message.error);
+				request.reject(new Error(message.error));
+				return;
+			}
+			
+			const result = message.result;
+			if ((request.type === 'load' || request.type === 'open') && result.addrData) {
+				DataPipeline.lastLoad = { data: request.type === 'load' ? request.payload.data : result.data };
+			}
+			request.resolve(result);
+		},
 		
-		// Apply table density setting
-		SettingsManager.applyTableDensity();
+		/**
+		 * Show the progress indicator while requests run longer than statusDelay
+		 */
+		updateStatus: () => {
+			if (!DOM.pipelineStatus) return;
+			
+			if (DataPipeline.pending.size === 0) {
+				clearTimeout(DataPipeline.statusTimer);
+				DataPipeline.statusTimer = null;
+				DOM.pipelineStatus.classList.add('hidden');
+				DataPipeline.showProgress({ phase: 'Processing data', done: 0, total: 0 });
+				return;
+			}
+			if (DataPipeline.statusTimer) return;
+			DataPipeline.statusTimer = setTimeout(() => {
+				DOM.pipelineStatus.classList.remove('hidden');
+			}, DataPipeline.statusDelay);
+		},
 		
-		DEBUG && console.log(`✅ Table updated: ${APP_STATE.filteredAddrData.length} items, page ${APP_STATE.currentPage}/${totalPages}`);
-	}
+		/**
+		 * Update the progress indicator text and bar
+		 * 
+		 * @param {Object} progress - { phase, done, total }
+		 */
+		showProgress: (progress) => {
+			if (!DOM.pipelineStatusText || !DOM.pipelineProgressBar) return;
+			const percent = progress.total ? Math.round(progress.done / progress.total * 100) : 0;
+			DOM.pipelineStatusText.textContent = progress.total ? `${progress.phase}… ${percent}%` : `${progress.phase}…`;
+			DOM.pipelineProgressBar.style.width = `${percent}%`;
+		}
+	};
 	
 	/**
-	 * Update sessions table with current data
+	 * Report File Loader
+	 * Opens reports written by exportData() (or the PowerShell sidecar data file)
+	 * from a file picker or drag-and-drop
 	 */
-	function updateSessionsTable() {
-		DOM.sessionsTable.innerHTML = '';
+	const DataLoader = {
+		/**
+		 * Read the text of a JSON report file
+		 * 
+		 * @param {File} file - File selected or dropped by the user
+		 * @returns {Promise<string>} Report file text
+		 */
+		readFile: (file) => {
+			return new Promise((resolve, reject) => {
+				if (!file) {
+					reject(new Error('No file selected'));
+					return;
+				}
+				if (!/\.json$/i.test(file.name) && file.type !== 'application/json') {
+					reject(new Error(`${file.name} is not a JSON report`));
+					return;
+				}
+				
+				const reader = new FileReader();
+				reader.onload = () => resolve(reader.result);
+				reader.onerror = () => reject(new Error(`Unable to read ${file.name}`));
+				reader.readAsText(file);
+			});
+		},
 		
-		if (APP_STATE.sessionData.length === 0) {
-			const row = document.createElement('tr');
-			row.innerHTML = `
-				<td colspan="7" class="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
-					<i class="fas fa-desktop text-3xl mb-2"></i>
-					<p class="font-medium">No session data available</p>
-				</td>
-			`;
-			DOM.sessionsTable.appendChild(row);
-			return;
-		}
+		/**
+		 * Read a report file, parse and migrate it to the current schema in the data pipeline
+		 * and reject it when unusable
+		 * 
+		 * @param {File} file - File selected or dropped by the user
+		 * @returns {Promise<{data: Object, diagnostics: Object}>} Validated report data and its diagnostics
+		 */
+		readReport: async (file) => {
+			const text = await DataLoader.readFile(file);
+			const { data, diagnostics } = await DataPipeline.request('check', { text, format: 'json', source: file.name });
+			if (diagnostics.fatal) {
+				DEBUG && console.error('❌ Invalid report file:', diagnostics.issues);
+				throw new Error(ReportSchema.summarize(diagnostics));
+			}
+			return { data, diagnostics };
+		},
 		
-		APP_STATE.sessionData.forEach(item => {
-			const typeColors = Utils.getSessionTypeColor(item.SessionType);
-			const row = document.createElement('tr');
-			row.className = 'hover:bg-gray-50 dark:hover:bg-gray-800/50 transition-colors fade-in';
+		/**
+		 * Load a report file into the dashboard
+		 * 
+		 * @param {File} file - File selected or dropped by the user
+		 * @returns {Promise<boolean>} True when the report was loaded
+		 */
+		loadFile: async (file) => {
+			DEBUG && console.log('📂 Loading report file:', file && file.name);
 			
-			const sessionId = item.SessionId ? item.SessionId.toString().substring(0, 8) + '...' : 'N/A';
-			const startTime = Utils.formatDate(item.StartTime);
-			const endTime = item.EndTime ? Utils.formatDate(item.EndTime) : 'Active';
-			const duration = Utils.formatSessionDuration(item.Duration);
+			try {
+				const { data, diagnostics } = await DataLoader.readReport(file);
+				await DataLoader.applyData(data, file.name, diagnostics);
+				return true;
+			} catch (error) {
+				DEBUG && console.error('❌ Error loading report file:', error);
+				Utils.showNotification(`Cannot open report: ${Utils.escapeHtml(error.message)}`, 'error');
+				return false;
+			}
+		},
+		
+		/**
+		 * Load several server reports into one fleet data set
+		 * 
+		 * @param {FileList|File[]} files - Files selected or dropped by the user
+		 * @returns {Promise<boolean>} True when the reports were loaded
+		 */
+		loadFiles: async (files) => {
+			const list = Array.from(files || []);
+			if (list.length <= 1) {
+				return DataLoader.loadFile(list[0]);
+			}
 			
-			row.innerHTML = `
-				<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-					${sessionId}
-				</td>
-				<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-					${Utils.escapeHtml(item.User || 'Unknown')}
-				</td>
-				<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-					${Utils.escapeHtml(item.IP || 'Local')}
-				</td>
-				<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-					${startTime}
-				</td>
-				<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-					${endTime}
-				</td>
-				<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-					${duration}
-				</td>
-				<td class="px-6 py-4 whitespace-nowrap">
-					<span class="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${typeColors.bg} ${typeColors.text}">
-						${Utils.escapeHtml(item.SessionType || 'Unknown')}
-					</span>
-				</td>
-			`;
+			DEBUG && console.log('📂 Loading fleet reports:', list.map(file => file.name));
 			
-			DOM.sessionsTable.appendChild(row);
-		});
-	}
-	
-	/**
-	 * Update time display
-	 */
-	function updateTime() {
-		const now = new Date();
-		const timeString = now.toLocaleTimeString([], { 
-			hour: '2-digit', 
-			minute: '2-digit', 
-			second: '2-digit' 
-		});
-		const dateString = now.toLocaleDateString();
+			try {
+				const reports = await Promise.all(list.map(async (file) => {
+					try {
+						const { data, diagnostics } = await DataLoader.readReport(file);
+						return { server: DataLoader.getServerName(data, file.name), data, diagnostics };
+					} catch (error) {
+						throw new Error(`${file.name}: ${error.message}`);
+					}
+				}));
+				
+				const name = `${list.length} server reports`;
+				await DataLoader.applyData(DataLoader.mergeReports(reports), name,
+					ReportSchema.combine(name, reports.map(report => report.diagnostics)));
+				return true;
+			} catch (error) {
+				DEBUG && console.error('❌ Error loading fleet reports:', error);
+				Utils.showNotification(`Cannot open reports: ${Utils.escapeHtml(error.message)}`, 'error');
+				return false;
+			}
+		},
 		
-		// Update the time display
-		DOM.lastUpdated.textContent = timeString;
+		/**
+		 * Derive the source server name of a report
+		 * 
+		 * @param {Object} jsonData - Report data
+		 * @param {string} fileName - Report file name (fallback)
+		 * @returns {string} Server name
+		 */
+		getServerName: (jsonData, fileName) => {
+			const reportInfo = jsonData.ReportInfo || {};
+			if (reportInfo.ServerName) return String(reportInfo.ServerName);
+			return String(fileName || 'Unknown').replace(/\.(data\.)?json$/i, '');
+		},
 		
-		// Update the tooltip with full date and time
-		const tooltipContainer = DOM.lastUpdated.closest('.tooltip');
-		if (tooltipContainer) {
-			tooltipContainer.setAttribute('data-tip', `Last update: ${dateString} ${timeString}`);
-		}
-	}
-	
-	/**
-	 * Initialize event listeners
-	 */
-	function initEventListeners() {
-		DEBUG && console.log('🔌 Initializing event listeners...');
+		/**
+		 * Merge several server reports, tagging each record with its source server
+		 * Records already tagged (a re-opened fleet export) keep their server
+		 * 
+		 * @param {Array<{server: string, data: Object}>} reports - Reports to merge
+		 * @returns {Object} Merged report data
+		 */
+		mergeReports: (reports) => {
+			const merged = {
+				SchemaVersion: ReportSchema.currentVersion,
+				AddrData: [],
+				SessionData: [],
+				PropData: [],
+				DatabaseStats: {},
+				ReportInfo: { Servers: [] }
+			};
+			const usedNames = new Set();
+			const latest = (a, b) => (!a || (b && new Date(b) > new Date(a))) ? b : a;
+			
+			reports.forEach(({ server, data }) => {
+				// Two reports from the same host (or same file name) stay distinguishable
+				let name = server;
+				for (let n = 2; usedNames.has(name); n++) name = `${server} (${n})`;
+				usedNames.add(name);
+				
+				(data.AddrData || []).forEach(item => merged.AddrData.push({ ...item, Server: item.Server || name }));
+				(data.SessionData || []).forEach(session => merged.SessionData.push({ ...session, Server: session.Server || name }));
+				(data.PropData || []).forEach(prop => merged.PropData.push({ ...prop, Server: prop.Server || name }));
+				
+				const stats = data.DatabaseStats || {};
+				merged.DatabaseStats.LastAddrChange = latest(merged.DatabaseStats.LastAddrChange, stats.LastAddrChange);
+				merged.DatabaseStats.LastSessionChange = latest(merged.DatabaseStats.LastSessionChange, stats.LastSessionChange);
+				
+				const generationTime = (data.ReportInfo && data.ReportInfo.GenerationTime) || data.ExportTime;
+				merged.ReportInfo.GenerationTime = latest(merged.ReportInfo.GenerationTime, generationTime);
+				merged.ReportInfo.Servers.push(name);
+			});
+			
+			return merged;
+		},
 		
-		// Theme toggle - fixed to use SettingsManager.applyTheme()
-		DOM.themeToggle.addEventListener('click', () => {
-			DEBUG && console.log('🎨 Theme toggle clicked');
-			// Toggle theme mode in settings
-			const currentMode = APP_STATE.settings.themeMode;
-			let newMode;
+		/**
+		 * Load a validated data set into the data pipeline and show it on the dashboard
+		 * 
+		 * @param {Object} jsonData - Validated report data
+		 * @param {string} name - Label of the data source
+		 * @param {Object} diagnostics - Schema check result of the data
+		 */
+		applyData: async (jsonData, name, diagnostics) => {
+			const loaded = await DataPipeline.request('load', { data: jsonData });
+			setDiagnostics(diagnostics);
+			setData({ data: jsonData, ...loaded });
+			APP_STATE.loadedFileName = name;
+			APP_STATE.changedAddrKeys = new Map();
+			APP_STATE.changedSessionKeys = new Map();
 			
-			if (currentMode === 'auto') {
-				newMode = 'dark';
-			} else if (currentMode === 'dark') {
-				newMode = 'light';
-			} else {
-				newMode = 'auto';
+			await refreshView();
+			DataLoader.showDataSource();
+			
+			const servers = APP_STATE.servers.length > 1 ? ` from ${APP_STATE.servers.length} servers` : '';
+			Utils.showNotification(`Loaded ${Utils.escapeHtml(name)}: ${APP_STATE.addrData.length.toLocaleString()} connections, ${APP_STATE.sessionData.length.toLocaleString()} sessions${servers}`);
+		},
+		
+		/**
+		 * Show which file the dashboard is displaying
+		 */
+		showDataSource: () => {
+			if (!DOM.dataSource) return;
+			DOM.dataSource.classList.toggle('hidden', !APP_STATE.loadedFileName);
+			if (DOM.dataSourceName) {
+				DOM.dataSourceName.textContent = APP_STATE.loadedFileName || '';
+			}
+		},
+		
+		/**
+		 * Initialize file picker and drag-and-drop listeners
+		 */
+		initEventListeners: () => {
+			if (DOM.openReportBtn && DOM.openReportInput) {
+				DOM.openReportBtn.addEventListener('click', () => {
+					DEBUG && console.log('📂 Open report button clicked');
+					DOM.openReportInput.click();
+				});
+				
+				DOM.openReportInput.addEventListener('change', (e) => {
+					if (e.target.files && e.target.files.length > 0) {
+						DataLoader.loadFiles(e.target.files);
+					}
+					// Allow picking the same file again
+					e.target.value = '';
+				});
 			}
 			
-			// Update setting
-			APP_STATE.settings.themeMode = newMode;
+			// Drag-and-drop anywhere on the page
+			const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+			let dragDepth = 0;
 			
-			// Update UI buttons
-			document.querySelectorAll('.theme-mode-btn').forEach(btn => {
-				btn.classList.remove('active', 'bg-primary-500', 'text-white');
-				btn.classList.add('text-gray-800', 'dark:text-white');
-				if (btn.dataset.mode === newMode) {
-					btn.classList.remove('text-gray-800', 'dark:text-white');
-					btn.classList.add('active', 'bg-primary-500', 'text-white');
-				}
+			document.addEventListener('dragenter', (e) => {
+				if (!hasFiles(e)) return;
+				e.preventDefault();
+				dragDepth++;
+				DOM.dropOverlay?.classList.remove('hidden');
 			});
 			
-			// Apply theme immediately
-			SettingsManager.applyTheme();
+			document.addEventListener('dragover', (e) => {
+				if (!hasFiles(e)) return;
+				e.preventDefault();
+				e.dataTransfer.dropEffect = 'copy';
+			});
 			
-			// Save settings
-			SettingsManager.saveSettingsImmediately();
+			document.addEventListener('dragleave', (e) => {
+				if (!hasFiles(e)) return;
+				dragDepth = Math.max(0, dragDepth - 1);
+				if (dragDepth === 0) {
+					DOM.dropOverlay?.classList.add('hidden');
+				}
+			});
 			
-			Utils.showNotification(`Theme changed to ${newMode} mode`);
-		});
-		
-		// Tab navigation
-		document.querySelectorAll('.tab-button').forEach(button => {
-			button.addEventListener('click', (e) => {
-				const tabName = e.currentTarget.getAttribute('data-tab');
-				DEBUG && console.log('📑 Tab clicked:', tabName);
-				switchTab(tabName);
+			document.addEventListener('drop', (e) => {
+				if (!hasFiles(e)) return;
+				e.preventDefault();
+				dragDepth = 0;
+				DOM.dropOverlay?.classList.add('hidden');
+				
+				const files = e.dataTransfer.files;
+				DEBUG && console.log('📂 Report files dropped:', files ? files.length : 0);
+				if (files && files.length > 0) {
+					DataLoader.loadFiles(files);
+				}
 			});
-		});
+		}
+	};
+
+	/**
+	 * Session Timeline Module
+	 * Gantt view of the sessions table: one bar per session from StartTime to EndTime
+	 * (active sessions extend to now), one row per user or source IP, with zoom and pan
+	 */
+	const SessionTimeline = {
+		// Local business hours; sessions starting outside them or at weekends are after hours
+		businessHours: { start: 8, end: 18 },
 		
-		// Filter buttons
-		DOM.filterAll.addEventListener('click', () => {
-			DEBUG && console.log('🔍 Filter: all');
-			DOM.filterAll.classList.add('tab-active');
-			DOM.filterAttack.classList.remove('tab-active');
-			DOM.filterLegit.classList.remove('tab-active');
-			applyFilter('all');
-		});
+		// Most rows drawn; the rows with the latest activity are kept
+		maxGroups: 100,
 		
-		DOM.filterAttack.addEventListener('click', () => {
-			DEBUG && console.log('🔍 Filter: attack');
-			DOM.filterAll.classList.remove('tab-active');
-			DOM.filterAttack.classList.add('tab-active');
-			DOM.filterLegit.classList.remove('tab-active');
-			applyFilter('attack');
-		});
+		// Narrowest zoomed range in ms
+		minSpan: 300000,
 		
-		DOM.filterLegit.addEventListener('click', () => {
-			DEBUG && console.log('🔍 Filter: legit');
-			DOM.filterAll.classList.remove('tab-active');
-			DOM.filterAttack.classList.remove('tab-active');
-			DOM.filterLegit.classList.add('tab-active');
-			applyFilter('legit');
-		});
+		// Row height in px
+		rowHeight: 26,
 		
-		// Sort headers - FIXED: added proper event delegation and sorting logic
-		document.querySelectorAll('.sortable').forEach(header => {
-			header.addEventListener('click', () => {
-				const sortField = header.dataset.sort;
-				DEBUG && console.log('📊 Sort header clicked:', sortField);
-				if (sortField) {
-					applySort(sortField);
-				}
+		// Bar colors by session kind (see classify)
+		colors: {
+			active: 'rgba(34, 197, 94, 0.8)',
+			overnight: 'rgba(168, 85, 247, 0.8)',
+			afterHours: 'rgba(249, 115, 22, 0.8)',
+			normal: 'rgba(59, 130, 246, 0.8)'
+		},
+		
+		// Row grouping: 'user' or 'ip'
+		group: 'user',
+		
+		// Time range of the drawn sessions { min, max } and the zoomed range, null when fitted
+		extent: null,
+		zoomed: null,
+		
+		// Drag-to-pan start: { x, min, max }
+		panning: null,
+		
+		/**
+		 * Classify a session by when it ran
+		 * 
+		 * @param {Object} session - Session record
+		 * @param {number} start - Start in ms
+		 * @param {number} end - End in ms (now for active sessions)
+		 * @returns {{active: boolean, overnight: boolean, afterHours: boolean, kind: string}} Flags and bar kind
+		 */
+		classify: (session, start, end) => {
+			const startDate = new Date(start);
+			const hour = startDate.getHours();
+			const weekend = startDate.getDay() === 0 || startDate.getDay() === 6;
+			const flags = {
+				active: session.IsActive,
+				overnight: startDate.toDateString() !== new Date(end).toDateString(),
+				afterHours: weekend || hour < SessionTimeline.businessHours.start || hour >= SessionTimeline.businessHours.end
+			};
+			flags.kind = flags.active ? 'active' : flags.overnight ? 'overnight' : flags.afterHours ? 'afterHours' : 'normal';
+			return flags;
+		},
+		
+		/**
+		 * Build the rows and bars of the sessions table's matches
+		 * 
+		 * @param {Array} sessions - Session records
+		 * @param {number} now - Current time in ms
+		 * @returns {{groups: string[], bars: Array, hidden: number, first: number, last: number}} Row labels,
+		 *          bars, rows left out and the earliest start and latest end of the bars in ms
+		 */
+		build: (sessions, now) => {
+			const byGroup = new Map();
+			sessions.forEach(session => {
+				if (!session.StartTime) return;
+				const start = session.StartTime.getTime();
+				const end = session.IsActive ? now : Math.max(start, session.EndTime.getTime());
+				const group = SessionTimeline.group === 'ip' ? (session.IP || 'Local') : (session.User || 'Unknown');
+				if (!byGroup.has(group)) byGroup.set(group, { bars: [], first: Infinity, last: 0 });
+				const entry = byGroup.get(group);
+				entry.bars.push({ session, group, start, end, ...SessionTimeline.classify(session, start, end) });
+				entry.first = Math.min(entry.first, start);
+				entry.last = Math.max(entry.last, end);
 			});
-		});
+			
+			const groups = Array.from(byGroup.keys())
+				.sort((a, b) => byGroup.get(b).last - byGroup.get(a).last || a.localeCompare(b));
+			const shown = groups.slice(0, SessionTimeline.maxGroups);
+			let first = Infinity;
+			let last = -Infinity;
+			shown.forEach(group => {
+				first = Math.min(first, byGroup.get(group).first);
+				last = Math.max(last, byGroup.get(group).last);
+			});
+			
+			return {
+				groups: shown,
+				bars: shown.flatMap(group => byGroup.get(group).bars),
+				hidden: groups.length - shown.length,
+				first,
+				last
+			};
+		},
 		
-		// Search with debounce
-		DOM.tableSearch.addEventListener('input', Utils.debounce((e) => {
-			DEBUG && console.log('🔍 Search input:', e.target.value);
-			searchData(e.target.value);
-		}, 300));
+		/**
+		 * Format an axis tick for the visible time span
+		 * 
+		 * @param {number} value - Time in ms
+		 * @param {number} span - Visible span in ms
+		 * @returns {string} Tick label
+		 */
+		formatTick: (value, span) => {
+			const date = new Date(value);
+			if (span > 7 * 86400000) return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+			if (span > 86400000) return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+			return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+		},
+		
+		/**
+		 * Draw the timeline of the sessions table's search, filters, server and date range
+		 */
+		render: () => {
+			if (!DOM.sessionTimelineChart || typeof Chart === 'undefined') return;
+			
+			if (APP_STATE.charts.sessionTimeline) {
+				APP_STATE.charts.sessionTimeline.destroy();
+				APP_STATE.charts.sessionTimeline = null;
+			}
+			
+			const now = Date.now();
+			const { groups, bars, hidden, first, last } = SessionTimeline.build(APP_STATE.filteredSessionData, now);
+			DOM.sessionTimelineEmpty.classList.toggle('hidden', bars.length > 0);
+			DOM.sessionTimelineInfo.textContent = bars.length === 0 ? '' :
+				`${bars.length.toLocaleString()} sessions, ${groups.length.toLocaleString()} ${SessionTimeline.group === 'ip' ? 'IPs' : 'users'}` +
+				(hidden > 0 ? ` (${hidden.toLocaleString()} more with older sessions not shown)` : '');
+			DOM.sessionTimelineContainer.style.height = `${Math.max(200, groups.length * SessionTimeline.rowHeight + 60)}px`;
+			if (bars.length === 0) {
+				SessionTimeline.extent = null;
+				SessionTimeline.zoomed = null;
+				return;
+			}
+			
+			// Pad the full range so bars at the edges stay visible; a single instant shows an hour
+			const padding = Math.max((last - first) * 0.02, 1800000);
+			SessionTimeline.extent = { min: first - padding, max: last + padding };
+			const visible = SessionTimeline.clamp(SessionTimeline.zoomed || SessionTimeline.extent);
+			
+			const dark = APP_STATE.theme === 'dark';
+			APP_STATE.charts.sessionTimeline = new Chart(DOM.sessionTimelineChart.getContext('2d'), {
+				type: 'bar',
+				data: {
+					labels: groups,
+					datasets: [{
+						label: 'Sessions',
+						data: bars.map(bar => ({ x: [bar.start, bar.end], y: bar.group, bar })),
+						backgroundColor: bars.map(bar => SessionTimeline.colors[bar.kind]),
+						borderRadius: 3,
+						borderSkipped: false,
+						grouped: false,
+						barPercentage: 0.7,
+						minBarLength: 2
+					}]
+				},
+				options: {
+					indexAxis: 'y',
+					responsive: true,
+					maintainAspectRatio: false,
+					animation: false,
+					plugins: {
+						legend: { display: false },
+						tooltip: {
+							backgroundColor: dark ? 'rgba(30, 41, 59, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+							titleColor: dark ? '#e2e8f0' : '#475569',
+							bodyColor: dark ? '#e2e8f0' : '#475569',
+							borderColor: dark ? 'rgba(51, 65, 85, 0.3)' : 'rgba(203, 213, 225, 0.3)',
+							borderWidth: 1,
+							callbacks: {
+								title: (items) => items.length ? items[0].raw.y : '',
+								label: (item) => {
+									const { session, start, end, active, overnight, afterHours } = item.raw.bar;
+									const notes = [active && 'active', overnight && 'overnight', afterHours && 'after hours'].filter(Boolean);
+									return [
+										`${SessionTimeline.group === 'ip' ? `User: ${session.User || 'Unknown'}` : `IP: ${session.IP || 'Local'}`}`,
+										`Start: ${Utils.formatDate(session.StartTime)}`,
+										`End: ${active ? 'Active' : Utils.formatDate(session.EndTime)}`,
+										`Duration: ${Utils.formatSessionDuration(end - start)}`,
+										...(notes.length ? [notes.join(', ')] : [])
+									];
+								}
+							}
+						}
+					},
+					scales: {
+						x: {
+							type: 'linear',
+							position: 'top',
+							min: visible.min,
+							max: visible.max,
+							grid: {
+								color: dark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+							},
+							ticks: {
+								color: dark ? '#94a3b8' : '#64748b',
+								maxRotation: 0,
+								autoSkipPadding: 20,
+								callback: (value) => {
+									const range = SessionTimeline.zoomed || SessionTimeline.extent;
+									return SessionTimeline.formatTick(value, range.max - range.min);
+								}
+							}
+						},
+						y: {
+							grid: { display: false },
+							ticks: {
+								color: dark ? '#94a3b8' : '#64748b',
+								autoSkip: false
+							}
+						}
+					}
+				}
+			});
+		},
 		
-		// Pagination
-		DOM.prevPage.addEventListener('click', () => {
-			if (APP_STATE.currentPage > 1) {
-				APP_STATE.currentPage--;
-				DEBUG && console.log('⬅️ Previous page:', APP_STATE.currentPage);
-				updateConnectionsTable();
-			}
-		});
+		/**
+		 * Keep a time range inside the drawn range and above the narrowest zoom
+		 * 
+		 * @param {{min: number, max: number}} range - Requested range
+		 * @returns {{min: number, max: number}} Range to show
+		 */
+		clamp: (range) => {
+			const { extent } = SessionTimeline;
+			const span = Math.min(Math.max(range.max - range.min, SessionTimeline.minSpan), extent.max - extent.min);
+			const min = Math.min(Math.max(range.min, extent.min), extent.max - span);
+			return { min, max: min + span };
+		},
 		
-		DOM.nextPage.addEventListener('click', () => {
-			const totalPages = Math.ceil(APP_STATE.filteredAddrData.length / APP_STATE.pageSize);
-			if (APP_STATE.currentPage < totalPages) {
-				APP_STATE.currentPage++;
-				DEBUG && console.log('➡️ Next page:', APP_STATE.currentPage);
-				updateConnectionsTable();
+		/**
+		 * Show a time range (null fits every session)
+		 * 
+		 * @param {{min: number, max: number}|null} range - Requested range
+		 */
+		setRange: (range) => {
+			const { extent } = SessionTimeline;
+			if (!extent) return;
+			
+			const visible = SessionTimeline.clamp(range || extent);
+			const fitted = visible.max - visible.min >= extent.max - extent.min;
+			SessionTimeline.zoomed = fitted ? null : visible;
+			
+			const chart = APP_STATE.charts.sessionTimeline;
+			if (chart) {
+				chart.options.scales.x.min = visible.min;
+				chart.options.scales.x.max = visible.max;
+				chart.update('none');
 			}
-		});
-		
-		// Refresh interval control
-		DOM.refreshInterval.addEventListener('input', (e) => {
-			const value = e.target.value;
-			DOM.intervalValue.textContent = `${value}s`;
-			DOM.footerInterval.textContent = value;
-			APP_STATE.autoRefreshInterval = parseInt(value);
-			DEBUG && console.log('⏱️ Refresh interval changed:', value);
-			restartAutoRefresh();
-		});
-		
-		// Manual refresh button
-		DOM.refreshBtn.addEventListener('click', () => {
-			DEBUG && console.log('🔄 Manual refresh clicked');
-			DOM.refreshBtn.classList.add('animate-spin');
-			setTimeout(() => {
-				DOM.refreshBtn.classList.remove('animate-spin');
-				updateTime();
-				Utils.showNotification('Data refreshed successfully');
-			}, 500);
-		});
-		
-		// Export button
-		DOM.exportBtn.addEventListener('click', exportData);
-		
-		// Window resize for responsive charts
-		window.addEventListener('resize', () => {
-			if (APP_STATE.charts.timeline) APP_STATE.charts.timeline.resize();
-			if (APP_STATE.charts.distribution) APP_STATE.charts.distribution.resize();
-		});
-		
-		DEBUG && console.log('✅ Event listeners initialized');
-	}
-	
-	/**
-	 * Switch between application tabs
-	 * 
-	 * @param {string} tabName - Tab to switch to
-	 */
-	function switchTab(tabName) {
-		DEBUG && console.log('🔄 Switching tab to:', tabName);
+		},
 		
-		// Update tab styles
-		document.querySelectorAll('.tab-button').forEach(btn => {
-			btn.classList.remove('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
-			btn.classList.add('border-transparent', 'text-gray-500', 'dark:text-gray-400');
-		});
+		/**
+		 * Zoom around a point in time
+		 * 
+		 * @param {number} factor - Span multiplier (below 1 zooms in)
+		 * @param {number} [center] - Time kept in place, the middle of the range by default
+		 */
+		zoom: (factor, center) => {
+			const current = SessionTimeline.zoomed || SessionTimeline.extent;
+			if (!current) return;
+			const at = center === undefined ? (current.min + current.max) / 2 : center;
+			SessionTimeline.setRange({
+				min: at - (at - current.min) * factor,
+				max: at + (current.max - at) * factor
+			});
+		},
 		
-		// Hide all tab contents
-		DOM.connectionsTab.classList.add('hidden');
-		DOM.sessionsTab.classList.add('hidden');
-		DOM.metricsTab.classList.add('hidden');
-		DOM.settingsTab.classList.add('hidden');
+		/**
+		 * Pan by a share of the visible span
+		 * 
+		 * @param {number} share - Fraction of the span, negative pans back in time
+		 */
+		pan: (share) => {
+			const current = SessionTimeline.zoomed || SessionTimeline.extent;
+			if (!current) return;
+			const shift = (current.max - current.min) * share;
+			SessionTimeline.setRange({ min: current.min + shift, max: current.max + shift });
+		},
 		
-		// Show selected tab and update button style
-		switch(tabName) {
-			case 'connections':
-				DOM.tabConnections.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
-				DOM.tabConnections.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
-				DOM.connectionsTab.classList.remove('hidden');
-				break;
-			case 'sessions':
-				DOM.tabSessions.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
-				DOM.tabSessions.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
-				DOM.sessionsTab.classList.remove('hidden');
-				break;
-			case 'metrics':
-				DOM.tabMetrics.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
-				DOM.tabMetrics.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
-				DOM.metricsTab.classList.remove('hidden');
-				break;
-			case 'settings':
-				DOM.tabSettings.classList.remove('border-transparent', 'text-gray-500', 'dark:text-gray-400');
-				DOM.tabSettings.classList.add('border-primary-500', 'text-primary-600', 'dark:text-primary-400', 'tab-active');
-				DOM.settingsTab.classList.remove('hidden');
-				break;
+		/**
+		 * Initialize grouping, zoom buttons, wheel zoom, drag and keyboard panning
+		 */
+		initEventListeners: () => {
+			if (!DOM.sessionTimelineChart) return;
+			
+			DOM.sessionTimelineGroup?.addEventListener('change', (e) => {
+				SessionTimeline.group = e.target.value === 'ip' ? 'ip' : 'user';
+				SessionTimeline.zoomed = null;
+				SessionTimeline.render();
+			});
+			
+			document.querySelectorAll('.session-timeline-zoom').forEach(button => {
+				button.addEventListener('click', () => {
+					const zoom = button.dataset.zoom;
+					if (zoom === 'fit') SessionTimeline.setRange(null);
+					else SessionTimeline.zoom(zoom === 'in' ? 0.5 : 2);
+				});
+			});
+			
+			// Wheel zoom keeps the time under the pointer in place
+			const canvas = DOM.sessionTimelineChart;
+			canvas.addEventListener('wheel', (e) => {
+				const scale = APP_STATE.charts.sessionTimeline?.scales?.x;
+				if (!scale || !SessionTimeline.extent) return;
+				e.preventDefault();
+				SessionTimeline.zoom(e.deltaY < 0 ? 0.8 : 1.25, scale.getValueForPixel(e.offsetX));
+			}, { passive: false });
+			
+			canvas.addEventListener('mousedown', (e) => {
+				const current = SessionTimeline.zoomed || SessionTimeline.extent;
+				if (!current) return;
+				SessionTimeline.panning = { x: e.clientX, ...current };
+				canvas.style.cursor = 'grabbing';
+			});
+			document.addEventListener('mousemove', (e) => {
+				const panning = SessionTimeline.panning;
+				const scale = APP_STATE.charts.sessionTimeline?.scales?.x;
+				if (!panning || !scale || !scale.width) return;
+				const shift = (e.clientX - panning.x) / scale.width * (panning.max - panning.min);
+				SessionTimeline.setRange({ min: panning.min - shift, max: panning.max - shift });
+			});
+			document.addEventListener('mouseup', () => {
+				if (!SessionTimeline.panning) return;
+				SessionTimeline.panning = null;
+				canvas.style.cursor = '';
+			});
+			
+			canvas.addEventListener('keydown', (e) => {
+				const actions = {
+					ArrowLeft: () => SessionTimeline.pan(-0.2),
+					ArrowRight: () => SessionTimeline.pan(0.2),
+					'+': () => SessionTimeline.zoom(0.5),
+					'=': () => SessionTimeline.zoom(0.5),
+					'-': () => SessionTimeline.zoom(2),
+					'0': () => SessionTimeline.setRange(null)
+				};
+				if (!actions[e.key]) return;
+				e.preventDefault();
+				actions[e.key]();
+			});
 		}
-		
-		APP_STATE.currentTab = tabName;
-	}
+	};
 	
 	/**
-	 * Start auto-refresh timer
+	 * Account View Module
+	 * Usernames tab: the attempted accounts of the server and date range ranked by attacking
+	 * IPs or attempts, and a drill-down with the attackers and daily activity of one account
 	 */
-	function startAutoRefresh() {
-		if (APP_STATE.autoRefreshTimer) {
-			clearInterval(APP_STATE.autoRefreshTimer);
-		}
+	const AccountView = {
+		// Most accounts listed; search narrows the rest
+		maxRows: 500,
 		
-		APP_STATE.autoRefreshTimer = setInterval(() => {
-			updateTime();
-		}, APP_STATE.autoRefreshInterval * 1000);
-	}
-	
-	/**
-	 * Restart auto-refresh with new interval
-	 */
-	function restartAutoRefresh() {
-		startAutoRefresh();
-	}
-	
-	/**
-	 * Settings Management Module
-	 * Handles persistent settings with localStorage integration
-	 */
-	const SettingsManager = {
-/**
- * Load settings from localStorage
- */
-loadSettings: () => {
-    try {
-        const savedSettings = localStorage.getItem('rdpmon-settings');
-        if (savedSettings) {
-            const parsedSettings = JSON.parse(savedSettings);
-            
-            // CRITICAL: Merge settings properly, preserving defaults for missing values
-            APP_STATE.settings = {
-                // Defaults
-                ipInfoService: 'ripe',
-                defaultChartPeriod: 'month',
-                chartItemsLimit: 1000,
-                themeMode: 'auto',
-                tableDensity: 'normal',
-                animationLevel: 'minimal',
-                pageWidth: 'full',
-                autoRefreshInterval: 30,
-                itemsPerPage: 10,
-                // Override with saved values
-                ...parsedSettings
-            };
-            
-            DEBUG && console.log('⚙️ Settings loaded from localStorage:', parsedSettings);
-            
-            // Update DOM elements with loaded settings - DO THIS HERE
-            if (DOM.ipInfoService && parsedSettings.ipInfoService) {
-                DOM.ipInfoService.value = parsedSettings.ipInfoService;
-            }
-            if (DOM.defaultChartPeriod && parsedSettings.defaultChartPeriod) {
-                DOM.defaultChartPeriod.value = parsedSettings.defaultChartPeriod;
-            }
-            if (DOM.chartItemsLimit && parsedSettings.chartItemsLimit) {
-                DOM.chartItemsLimit.value = parsedSettings.chartItemsLimit;
-            }
-            if (DOM.pageSizeSelect && parsedSettings.itemsPerPage) {
-                DOM.pageSizeSelect.value = parsedSettings.itemsPerPage;
-            }
-            if (DOM.settingsRefreshInterval && parsedSettings.autoRefreshInterval) {
-                DOM.settingsRefreshInterval.value = parsedSettings.autoRefreshInterval;
-                DOM.settingsIntervalValue.textContent = `${parsedSettings.autoRefreshInterval}s`;
-            }
-            
-            // Load current sort setting if exists
-            if (parsedSettings.currentSort) {
-                APP_STATE.currentSort = parsedSettings.currentSort;
-            }
-        } else {
-            DEBUG && console.log('⚙️ No saved settings found, using defaults');
-        }
-        
-        DEBUG && console.log('⚙️ Final settings:', APP_STATE.settings);
-    } catch (error) {
-        DEBUG && console.error('❌ Error loading settings:', error);
-    }
-},
+		// Drill-down request counter, drops answers for a previously selected account
+		detailId: 0,
 		
 		/**
-		 * Save sort preference to localStorage
+		 * Rank the accounts again when the data set, server or date range changed
+		 * Runs only while the Usernames tab is visible; switchTab calls it on opening
 		 */
-		saveSortPreference: () => {
+		update: async () => {
+			if (!DOM.usernamesTab || DOM.usernamesTab.classList.contains('hidden') || !APP_STATE.queryResult) return;
+			
+			const dateFilter = APP_STATE.filters.find(filter => filter.kind === 'date');
+			const key = JSON.stringify([APP_STATE.currentServer, dateFilter ? dateFilter.value : null]);
+			const scope = APP_STATE.accountScope;
+			const data = APP_STATE.addrData;
+			if (scope && scope.data === data && scope.key === key) return;
+			
+			const accountsId = ++APP_STATE.accountsId;
+			let accounts;
 			try {
-				const currentSettings = JSON.parse(localStorage.getItem('rdpmon-settings')) || {};
-				currentSettings.currentSort = APP_STATE.currentSort;
-				localStorage.setItem('rdpmon-settings', JSON.stringify(currentSettings));
-				DEBUG && console.log('📊 Sort preference saved:', APP_STATE.currentSort);
+				accounts = await DataPipeline.request('accounts', {
+					server: APP_STATE.currentServer,
+					filters: dateFilter ? [dateFilter] : []
+				});
 			} catch (error) {
-				DEBUG && console.error('❌ Error saving sort preference:', error);
-			}
-		},
-		
-		/**
-		 * Apply page width setting
-		 */
-		applyPageWidth: () => {
-			const container = document.getElementById('main-container');
-			if (container) {
-				// Remove existing width classes
-				container.classList.remove('max-w-full', 'max-w-7xl', 'max-w-4xl');
-				
-				// Apply new width based on setting
-				switch(APP_STATE.settings.pageWidth) {
-					case 'full':
-						container.classList.add('max-w-full');
-						break;
-					case 'normal':
-						container.classList.add('max-w-7xl');
-						break;
-					case 'narrow':
-						container.classList.add('max-w-4xl');
-						break;
-					default:
-						container.classList.add('max-w-full');
+				DEBUG && console.error('❌ Error ranking accounts:', error);
+				if (accountsId === APP_STATE.accountsId) {
+					Utils.showNotification(`Cannot rank accounts: ${Utils.escapeHtml(error.message)}`, 'error');
 				}
-				DEBUG && console.log('📏 Page width applied:', APP_STATE.settings.pageWidth);
+				return;
+			}
+			if (accountsId !== APP_STATE.accountsId) return;
+			
+			// Cached only after success, so a failed ranking runs again on the next update
+			APP_STATE.accountScope = { data, key };
+			APP_STATE.accounts = accounts;
+			DEBUG && console.log('👤 Accounts ranked:', accounts.length);
+			
+			// Keep the drill-down on the selected account while it is still attempted
+			const view = APP_STATE.accountView;
+			if (view.selected && !accounts.some(account => account.key === view.selected)) {
+				view.selected = null;
 			}
+			AccountView.render();
+			AccountView.renderDetail();
 		},
 		
 		/**
-		 * Reset settings to defaults
+		 * Get the accounts matching the search and legit filter in ranking order
+		 * 
+		 * @returns {Array<Object>} Accounts
 		 */
-		resetSettings: () => {
-			if (confirm('Reset all settings to defaults?')) {
-				APP_STATE.settings = {
-					ipInfoService: 'ripe',
-					defaultChartPeriod: 'month',
-					chartItemsLimit: 10,
-					themeMode: 'auto',
-					tableDensity: 'normal',
-					animationLevel: 'minimal',
-					pageWidth: 'full',
-					autoRefreshInterval: 30,
-					itemsPerPage: 10
-				};
-				
-				DEBUG && console.log('🔄 Settings reset to defaults');
-				
-				// Update UI elements with default values
-				if (DOM.ipInfoService) DOM.ipInfoService.value = APP_STATE.settings.ipInfoService;
-				if (DOM.defaultChartPeriod) DOM.defaultChartPeriod.value = APP_STATE.settings.defaultChartPeriod;
-				if (DOM.chartItemsLimit) DOM.chartItemsLimit.value = APP_STATE.settings.chartItemsLimit;
-				if (DOM.pageSizeSelect) DOM.pageSizeSelect.value = APP_STATE.settings.itemsPerPage;
-				if (DOM.settingsRefreshInterval) {
-					DOM.settingsRefreshInterval.value = APP_STATE.settings.autoRefreshInterval;
-					DOM.settingsIntervalValue.textContent = `${APP_STATE.settings.autoRefreshInterval}s`;
-				}
-				
-				// Apply settings
-				SettingsManager.applySettings();
-				SettingsManager.highlightUIPreferences();
-				
-				// Save to localStorage
-				localStorage.setItem('rdpmon-settings', JSON.stringify(APP_STATE.settings));
-				
-				Utils.showNotification('Settings reset to defaults');
+		getMatches: () => {
+			const { search, rank, legit } = APP_STATE.accountView;
+			const term = search.trim().toLowerCase();
+			const matches = APP_STATE.accounts.filter(account =>
+				(!term || account.user.toLowerCase().includes(term)) &&
+				(legit === 'all' || account.legit === (legit === 'legit')));
+			
+			if (rank === 'attempts') {
+				return [...matches].sort((a, b) => b.attempts - a.attempts || b.ips - a.ips || a.user.localeCompare(b.user));
+			}
+			if (rank === 'recent') {
+				return [...matches].sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0) || a.user.localeCompare(b.user));
+			}
+			return matches;
+		},
+		
+		/**
+		 * Render the accounts list
+		 */
+		render: () => {
+			const matches = AccountView.getMatches();
+			const { selected } = APP_STATE.accountView;
+			DOM.accountMatchCount.textContent = matches.length.toLocaleString();
+			DOM.accountCount.textContent = APP_STATE.accounts.length.toLocaleString();
+			
+			if (matches.length === 0) {
+				DOM.accountsTable.innerHTML = `
+					<tr>
+						<td colspan="4" class="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+							<i class="fas fa-user-slash text-3xl mb-2"></i>
+							<p class="font-medium">${APP_STATE.accounts.length ? 'No accounts match the search' : 'No usernames in the connections'}</p>
+						</td>
+					</tr>
+				`;
+				return;
 			}
+			
+			DOM.accountsTable.innerHTML = matches.slice(0, AccountView.maxRows).map(account => `
+				<tr class="account-row cursor-pointer ${account.key === selected ? 'bg-primary-50 dark:bg-primary-900/20' : 'hover:bg-gray-50 dark:hover:bg-gray-800/50'}" data-account="${Utils.escapeHtml(account.key)}" tabindex="0">
+					<td class="px-4 py-2">
+						<span class="font-medium text-gray-900 dark:text-white">${Utils.escapeHtml(account.user)}</span>
+						${account.legit ? `<span class="ml-1 px-1.5 py-0.5 rounded text-xs font-medium bg-success-100 dark:bg-success-900/30 text-success-700 dark:text-success-300" title="Also logs on legitimately">real</span>` : ''}
+					</td>
+					<td class="px-4 py-2 text-gray-900 dark:text-white">${account.ips.toLocaleString()}</td>
+					<td class="px-4 py-2 text-danger-600 dark:text-danger-400">${account.attempts.toLocaleString()}</td>
+					<td class="px-4 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">${account.lastSeen ? Utils.formatDate(new Date(account.lastSeen)) : '-'}</td>
+				</tr>
+			`).join('');
 		},
 		
 		/**
-		 * Save settings to localStorage
+		 * Select an account for the drill-down
+		 * 
+		 * @param {string|null} key - Account key (see AccountAnalytics.key)
 		 */
-		saveSettings: () => {
+		select: (key) => {
+			APP_STATE.accountView.selected = key;
+			AccountView.render();
+			AccountView.renderDetail();
+		},
+		
+		/**
+		 * Render the drill-down of the selected account: summary, daily timeline and attackers
+		 */
+		renderDetail: async () => {
+			const account = APP_STATE.accounts.find(entry => entry.key === APP_STATE.accountView.selected);
+			DOM.accountDetail.classList.toggle('hidden', !account);
+			DOM.accountDetailEmpty.classList.toggle('hidden', !!account);
+			if (!account) {
+				AccountView.destroyChart();
+				return;
+			}
+			
+			const dateFilter = APP_STATE.filters.find(filter => filter.kind === 'date');
+			const detailId = ++AccountView.detailId;
+			let detail;
 			try {
-				// Collect settings from UI elements first
-				APP_STATE.settings = {
-					ipInfoService: DOM.ipInfoService?.value || 'ripe',
-					defaultChartPeriod: DOM.defaultChartPeriod?.value || 'month',
-					chartItemsLimit: parseInt(DOM.chartItemsLimit?.value || 1000),
-					themeMode: document.querySelector('.theme-mode-btn.active')?.dataset.mode || 'auto',
-					tableDensity: document.querySelector('.table-density-btn.active')?.dataset.density || 'normal',
-					animationLevel: document.querySelector('.animation-level-btn.active')?.dataset.level || 'minimal',
-					pageWidth: document.querySelector('.page-width-btn.active')?.dataset.width || 'full',
-					autoRefreshInterval: parseInt(DOM.settingsRefreshInterval?.value || 30),
-					itemsPerPage: parseInt(DOM.pageSizeSelect?.value || 10),
-					currentSort: APP_STATE.currentSort // Keep current sort setting
-				};
-				
-				localStorage.setItem('rdpmon-settings', JSON.stringify(APP_STATE.settings));
-				DEBUG && console.log('💾 Settings saved:', APP_STATE.settings);
-				
-				// Update UI elements with current settings
-				if (DOM.ipInfoService) {
-					DOM.ipInfoService.value = APP_STATE.settings.ipInfoService;
-				}
-				if (DOM.defaultChartPeriod) {
-					DOM.defaultChartPeriod.value = APP_STATE.settings.defaultChartPeriod;
-				}
-				if (DOM.chartItemsLimit) {
-					DOM.chartItemsLimit.value = APP_STATE.settings.chartItemsLimit;
-				}
-				if (DOM.pageSizeSelect) {
-					DOM.pageSizeSelect.value = APP_STATE.settings.itemsPerPage;
-				}
-				if (DOM.settingsRefreshInterval) {
-					DOM.settingsRefreshInterval.value = APP_STATE.settings.autoRefreshInterval;
-					DOM.settingsIntervalValue.textContent = `${APP_STATE.settings.autoRefreshInterval}s`;
-				}
-				
-				// Update theme mode buttons
-				document.querySelectorAll('.theme-mode-btn').forEach(btn => {
-					btn.classList.remove('active', 'bg-primary-500', 'text-white');
-					btn.classList.add('text-gray-800', 'dark:text-white');
-					if (btn.dataset.mode === APP_STATE.settings.themeMode) {
-						btn.classList.remove('text-gray-800', 'dark:text-white');
-						btn.classList.add('active', 'bg-primary-500', 'text-white');
-					}
-				});
-				
-				// Update table density buttons
-				document.querySelectorAll('.table-density-btn').forEach(btn => {
-					btn.classList.remove('active', 'bg-primary-500', 'text-white');
-					btn.classList.add('text-gray-800', 'dark:text-white');
-					if (btn.dataset.density === APP_STATE.settings.tableDensity) {
-						btn.classList.remove('text-gray-800', 'dark:text-white');
-						btn.classList.add('active', 'bg-primary-500', 'text-white');
-					}
-				});
-				
-				// Update animation level buttons
-				document.querySelectorAll('.animation-level-btn').forEach(btn => {
-					btn.classList.remove('active', 'bg-primary-500', 'text-white');
-					btn.classList.add('text-gray-800', 'dark:text-white');
-					if (btn.dataset.level === APP_STATE.settings.animationLevel) {
-						btn.classList.remove('text-gray-800', 'dark:text-white');
-						btn.classList.add('active', 'bg-primary-500', 'text-white');
-					}
-				});
-				
-				// Update page width buttons
-				document.querySelectorAll('.page-width-btn').forEach(btn => {
-					btn.classList.remove('active', 'bg-primary-500', 'text-white');
-					btn.classList.add('text-gray-800', 'dark:text-white');
-					if (btn.dataset.width === APP_STATE.settings.pageWidth) {
-						btn.classList.remove('text-gray-800', 'dark:text-white');
-						btn.classList.add('active', 'bg-primary-500', 'text-white');
-					}
+				detail = await DataPipeline.request('account', {
+					server: APP_STATE.currentServer,
+					filters: dateFilter ? [dateFilter] : [],
+					user: account.user
 				});
-				
-				// Apply all settings immediately
-				SettingsManager.applySettings();
-				
-				// Show notification
-				Utils.showNotification('Settings saved successfully');
 			} catch (error) {
-				DEBUG && console.error('❌ Error saving settings:', error);
-				Utils.showNotification('Error saving settings', 'error');
+				DEBUG && console.error('❌ Error loading account details:', error);
+				if (detailId === AccountView.detailId) {
+					// Do not leave the previous account's drill-down under the new selection
+					DOM.accountDetail.classList.add('hidden');
+					DOM.accountDetailEmpty.classList.remove('hidden');
+					AccountView.destroyChart();
+					Utils.showNotification(`Cannot load account ${Utils.escapeHtml(account.user)}: ${Utils.escapeHtml(error.message)}`, 'error');
+				}
+				return;
 			}
+			if (detailId !== AccountView.detailId) return;
+			
+			DOM.accountDetailHeader.innerHTML = `
+				<div class="flex flex-wrap items-start justify-between gap-3">
+					<div>
+						<h3 class="text-lg font-semibold text-gray-800 dark:text-white">
+							<i class="fas fa-user mr-2"></i>${Utils.escapeHtml(account.user)}
+							${account.legit ?
+								`<span class="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-success-100 dark:bg-success-900/30 text-success-700 dark:text-success-300"><i class="fas fa-check-circle mr-1"></i>Real account</span>` :
+								`<span class="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300">No legitimate logons</span>`}
+						</h3>
+						<p class="text-sm text-gray-600 dark:text-gray-300 mt-1">
+							${account.ips.toLocaleString()} attacking ${account.ips === 1 ? 'IP' : 'IPs'} · ~${account.attempts.toLocaleString()} failed attempts · ${account.sessions.toLocaleString()} legitimate ${account.sessions === 1 ? 'session' : 'sessions'}
+							${account.firstSeen ? `<br><span class="text-xs text-gray-500 dark:text-gray-400">Attacked ${Utils.formatDate(new Date(account.firstSeen))} – ${Utils.formatDate(new Date(account.lastSeen))}</span>` : ''}
+						</p>
+					</div>
+					<button id="account-filter-btn" class="px-3 py-2 glass-card rounded-xl text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800" title="Show the connections that tried this username">
+						<i class="fas fa-filter mr-1"></i>Filter connections
+					</button>
+				</div>
+			`;
+			
+			AccountView.renderChart(detail.days);
+			
+			DOM.accountAttackers.innerHTML = detail.attackers.length === 0 ? `
+				<tr>
+					<td colspan="5" class="px-4 py-6 text-center text-gray-500 dark:text-gray-400">No failed attempts on this account</td>
+				</tr>
+			` : detail.attackers.slice(0, AccountView.maxRows).map(attacker => {
+				const typeColors = Utils.getTypeColor(attacker.type);
+				return `
+					<tr>
+						<td class="px-4 py-2 whitespace-nowrap">
+							<button class="account-ip-btn font-mono text-primary-600 dark:text-primary-400 hover:underline" data-ip="${Utils.escapeHtml(attacker.ip)}" title="Show details">${Utils.escapeHtml(attacker.ip)}</button>
+							${attacker.server ? `<span class="ml-1 text-xs text-gray-500 dark:text-gray-400">${Utils.escapeHtml(attacker.server)}</span>` : ''}
+						</td>
+						<td class="px-4 py-2 whitespace-nowrap">
+							<span class="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${typeColors.bg} ${typeColors.text}">
+								<i class="fas ${typeColors.icon} mr-1"></i>${Utils.escapeHtml(attacker.type || '') || 'Unknown'}
+							</span>
+						</td>
+						<td class="px-4 py-2 text-danger-600 dark:text-danger-400" title="${attacker.fails.toLocaleString()} failed attempts of the IP">~${Math.round(attacker.attempts).toLocaleString()}</td>
+						<td class="px-4 py-2 text-gray-900 dark:text-white">${attacker.users.toLocaleString()}</td>
+						<td class="px-4 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">${attacker.lastSeen ? Utils.formatDate(new Date(attacker.lastSeen)) : '-'}</td>
+					</tr>
+				`;
+			}).join('');
 		},
 		
-/**
- * Apply all settings to UI
- */
-applySettings: () => {
-    DEBUG && console.log('⚙️ Applying settings...');
-    
-    // Apply theme FIRST - это критически важно
-    SettingsManager.applyTheme();
-    
-    // Apply auto-refresh interval
-    if (DOM.refreshInterval) {
-        DOM.refreshInterval.value = APP_STATE.settings.autoRefreshInterval;
-        DOM.intervalValue.textContent = `${APP_STATE.settings.autoRefreshInterval}s`;
-        DOM.footerInterval.textContent = APP_STATE.settings.autoRefreshInterval;
-        restartAutoRefresh();
-    }
-
-    // Apply chart items limit
-    if (DOM.distributionLimit) {
-        DOM.distributionLimit.value = APP_STATE.settings.chartItemsLimit;
-        APP_STATE.chartDistributionLimit = APP_STATE.settings.chartItemsLimit;
-        DEBUG && console.log('📊 Applied distribution limit:', APP_STATE.settings.chartItemsLimit);
-    }
-    
-    // Apply chart items limit
-    if (DOM.distributionLimit) {
-        DOM.distributionLimit.value = APP_STATE.settings.chartItemsLimit;
-        APP_STATE.chartDistributionLimit = APP_STATE.settings.chartItemsLimit;
-    }
-    
-    // Apply page size
-    if (APP_STATE.settings.itemsPerPage) {
-        APP_STATE.pageSize = APP_STATE.settings.itemsPerPage;
-        updateConnectionsTable();
-    }
-    
-    // Apply page width setting
-    SettingsManager.applyPageWidth();
-    
-    // Apply table density
-    SettingsManager.applyTableDensity();
-    
-    // Apply animation level
-    SettingsManager.applyAnimationLevel();
-    
-    // Apply sort preference if exists
-    if (APP_STATE.settings.currentSort) {
-        APP_STATE.currentSort = APP_STATE.settings.currentSort;
-        // Apply the sort immediately
-        applySort(APP_STATE.currentSort.field);
-    }
-    
-    // Update charts if needed
-    if (APP_STATE.charts.timeline) {
-        updateCharts();
-    }
-    
-    // Highlight UI preferences
-    SettingsManager.highlightUIPreferences();
-    
-    DEBUG && console.log('✅ Settings applied');
-},
-		
-/**
- * Apply theme setting
- */
-applyTheme: () => {
-    const { themeMode } = APP_STATE.settings;
-    DEBUG && console.log('🎨 Applying theme:', themeMode);
-    
-    if (themeMode === 'auto') {
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        document.documentElement.classList.toggle('dark', prefersDark);
-        APP_STATE.theme = prefersDark ? 'dark' : 'light';
-    } else {
-        document.documentElement.classList.toggle('dark', themeMode === 'dark');
-        APP_STATE.theme = themeMode;
-    }
-    
-    // Update theme toggle icon
-    if (DOM.themeIcon) {
-        DOM.themeIcon.className = APP_STATE.theme === 'dark' ? 
-            'fas fa-sun' : 'fas fa-moon';
-    }
-    
-    // Update period button styles
-    updatePeriodButtonStyles();
-    
-    DEBUG && console.log('✅ Theme applied:', APP_STATE.theme);
-},
+		/**
+		 * Destroy the account timeline chart
+		 */
+		destroyChart: () => {
+			if (APP_STATE.charts.accountTimeline) {
+				APP_STATE.charts.accountTimeline.destroy();
+				APP_STATE.charts.accountTimeline = null;
+			}
+		},
 		
 		/**
-		 * Apply table density setting
+		 * Draw the daily failed attempts and legitimate sessions of the account
+		 * Days without activity between the first and last active day show as zero
+		 * 
+		 * @param {Object} days - { 'YYYY-MM-DD': [attempts, sessions] }
 		 */
-		applyTableDensity: () => {
-			const table = document.querySelector('#data-table');
-			if (!table) return;
+		renderChart: (days) => {
+			AccountView.destroyChart();
 			
-			// Remove previous density classes
-			table.parentElement.parentElement.classList.remove('table-compact', 'table-normal', 'table-comfortable');
+			const keys = Object.keys(days).sort();
+			const labels = [];
+			if (keys.length) {
+				const last = new Date(`${keys[keys.length - 1]}T00:00:00Z`);
+				for (let day = new Date(`${keys[0]}T00:00:00Z`); day <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+					labels.push(day.toISOString().split('T')[0]);
+				}
+			}
 			
-			// Apply new density
-			table.parentElement.parentElement.classList.add(`table-${APP_STATE.settings.tableDensity}`);
-			DEBUG && console.log('📊 Table density applied:', APP_STATE.settings.tableDensity);
+			const dark = APP_STATE.theme === 'dark';
+			APP_STATE.charts.accountTimeline = new Chart(DOM.accountTimelineChart.getContext('2d'), {
+				type: 'bar',
+				data: {
+					labels,
+					datasets: [{
+						label: 'Est. failed attempts',
+						data: labels.map(day => days[day] ? Math.round(days[day][0] * 10) / 10 : 0),
+						backgroundColor: 'rgba(239, 68, 68, 0.7)',
+						borderRadius: 2
+					}, {
+						label: 'Legit sessions',
+						data: labels.map(day => days[day] ? days[day][1] : 0),
+						backgroundColor: 'rgba(34, 197, 94, 0.7)',
+						borderRadius: 2
+					}]
+				},
+				options: {
+					responsive: true,
+					maintainAspectRatio: false,
+					animation: false,
+					interaction: {
+						intersect: false,
+						mode: 'index'
+					},
+					plugins: {
+						legend: {
+							position: 'top',
+							labels: {
+								color: dark ? '#e2e8f0' : '#475569',
+								font: { size: 12 }
+							}
+						},
+						tooltip: {
+							backgroundColor: dark ? 'rgba(30, 41, 59, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+							titleColor: dark ? '#e2e8f0' : '#475569',
+							bodyColor: dark ? '#e2e8f0' : '#475569',
+							borderColor: dark ? 'rgba(51, 65, 85, 0.3)' : 'rgba(203, 213, 225, 0.3)',
+							borderWidth: 1
+						}
+					},
+					scales: {
+						x: {
+							grid: { display: false },
+							ticks: {
+								color: dark ? '#94a3b8' : '#64748b',
+								maxRotation: 0,
+								autoSkipPadding: 20
+							}
+						},
+						y: {
+							beginAtZero: true,
+							grid: {
+								color: dark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+							},
+							ticks: {
+								color: dark ? '#94a3b8' : '#64748b'
+							}
+						}
+					}
+				}
+			});
 		},
 		
 		/**
-		 * Apply animation level setting
+		 * Initialize the search, ranking and legit filter, row selection and attacker links
+		 */
+		initEventListeners: () => {
+			if (!DOM.accountsTable) return;
+			
+			DOM.accountSearch.addEventListener('input', Utils.debounce((e) => {
+				APP_STATE.accountView.search = e.target.value;
+				AccountView.render();
+			}, 200));
+			DOM.accountRank.addEventListener('change', (e) => {
+				APP_STATE.accountView.rank = e.target.value;
+				AccountView.render();
+			});
+			DOM.accountLegitFilter.addEventListener('change', (e) => {
+				APP_STATE.accountView.legit = e.target.value;
+				AccountView.render();
+			});
+			
+			DOM.accountsTable.addEventListener('click', (e) => {
+				const row = e.target.closest('.account-row');
+				if (row) AccountView.select(row.dataset.account);
+			});
+			DOM.accountsTable.addEventListener('keydown', (e) => {
+				const row = e.target.closest('.account-row');
+				if (!row || (e.key !== 'Enter' && e.key !== ' ')) return;
+				e.preventDefault();
+				AccountView.select(row.dataset.account);
+			});
+			
+			DOM.accountDetail.addEventListener('click', (e) => {
+				const ipButton = e.target.closest('.account-ip-btn');
+				if (ipButton) {
+					showDetails(ipButton.dataset.ip);
+					return;
+				}
+				if (e.target.closest('#account-filter-btn')) {
+					const account = APP_STATE.accounts.find(entry => entry.key === APP_STATE.accountView.selected);
+					if (!account) return;
+					switchTab('connections');
+					addFilter('user', account.user);
+				}
+			});
+		}
+	};
+	
+	/**
+	 * Snapshot Comparison Module
+	 * Diffs two report data sets ("what happened overnight")
+	 */
+	const SnapshotCompare = {
+		/**
+		 * Maximum rows rendered per result section
+		 */
+		maxRows: 100,
+		
+		/**
+		 * Resolve a comparison slot to a named data set
+		 * Dashboard slots follow the live data, so refreshes update the comparison
+		 * 
+		 * @param {string} slot - Slot name (baseline, current)
+		 * @returns {{name: string, data: Object}|null} Data set or null when unavailable
 		 */
-		applyAnimationLevel: () => {
-			const { animationLevel } = APP_STATE.settings;
-			
-			// Remove all animation classes first
-			document.body.classList.remove('animation-none', 'animation-minimal', 'animation-full');
-			
-			// Apply the selected level
-			if (animationLevel !== 'full') {
-				document.body.classList.add(`animation-${animationLevel}`);
+		getSlot: (slot) => {
+			const selected = APP_STATE.compare[slot] || (slot === 'current' ? { dashboard: true } : null);
+			if (!selected) return null;
+			if (selected.dashboard) {
+				return APP_STATE.data ?
+					{ name: APP_STATE.loadedFileName || 'Dashboard data', data: APP_STATE.data } :
+					null;
 			}
-			DEBUG && console.log('🎬 Animation level applied:', animationLevel);
+			return selected;
 		},
 		
 		/**
-		 * Highlight active UI preference buttons
+		 * Compare two report data sets
+		 * 
+		 * @param {Object} before - Older report data
+		 * @param {Object} after - Newer report data
+		 * @returns {Object} Changes grouped by category, and whether the reports hold several servers
 		 */
-		highlightUIPreferences: () => {
-			// Theme mode buttons
-			document.querySelectorAll('.theme-mode-btn').forEach(btn => {
-				btn.classList.remove('active', 'bg-primary-500', 'text-white');
-				btn.classList.add('text-gray-800', 'dark:text-white');
-				if (btn.dataset.mode === APP_STATE.settings.themeMode) {
-					btn.classList.remove('text-gray-800', 'dark:text-white');
-					btn.classList.add('active', 'bg-primary-500', 'text-white');
+		compare: (before, after) => {
+			const isAttack = (item) => item.ConnectionType.toLowerCase() === 'attack';
+			const failCount = (item) => item.FailCount;
+			const isActive = (session) => session.IsActive;
+			// Fleet reports hold one record per IP and server, and session IDs are per server
+			const addrKey = (item) => `${item.IP}|${item.Server || ''}`;
+			const sessionKey = (session) => `${session.Server || ''}|${session.SessionId}`;
+			
+			const beforeData = RecordNormalizer.normalizeReport(before);
+			const afterData = RecordNormalizer.normalizeReport(after);
+			const beforeAddr = new Map(beforeData.addrData.map(item => [addrKey(item), item]));
+			const afterAddr = afterData.addrData;
+			const servers = new Set([...beforeData.addrData, ...afterAddr].map(item => item.Server || ''));
+			
+			const newAttackers = [];
+			const failIncreases = [];
+			const typeChanges = [];
+			
+			afterAddr.forEach(item => {
+				const previous = beforeAddr.get(addrKey(item));
+				if (!previous) {
+					if (isAttack(item)) newAttackers.push(item);
+					return;
+				}
+				
+				const delta = failCount(item) - failCount(previous);
+				if (delta > 0) {
+					failIncreases.push({ item, before: failCount(previous), after: failCount(item), delta });
+				}
+				
+				const previousType = previous.ConnectionType;
+				const currentType = item.ConnectionType;
+				if (previousType.toLowerCase() !== currentType.toLowerCase()) {
+					typeChanges.push({ item, before: previousType, after: currentType });
 				}
 			});
 			
-			// Table density buttons
-			document.querySelectorAll('.table-density-btn').forEach(btn => {
-				btn.classList.remove('active', 'bg-primary-500', 'text-white');
-				btn.classList.add('text-gray-800', 'dark:text-white');
-				if (btn.dataset.density === APP_STATE.settings.tableDensity) {
-					btn.classList.remove('text-gray-800', 'dark:text-white');
-					btn.classList.add('active', 'bg-primary-500', 'text-white');
-				}
+			// Usernames are case-insensitive on Windows
+			const knownUsers = new Set();
+			beforeData.addrData.forEach(item => {
+				item.UserNames.forEach(user => knownUsers.add(user.toLowerCase()));
+			});
+			const newUsers = new Map();
+			afterAddr.forEach(item => {
+				item.UserNames.forEach(user => {
+					const key = user.toLowerCase();
+					if (knownUsers.has(key)) return;
+					if (!newUsers.has(key)) newUsers.set(key, { user, ips: [] });
+					const ips = newUsers.get(key).ips;
+					if (!ips.includes(item.IP)) ips.push(item.IP);
+				});
 			});
 			
-			// Animation level buttons
-			document.querySelectorAll('.animation-level-btn').forEach(btn => {
-				btn.classList.remove('active', 'bg-primary-500', 'text-white');
-				btn.classList.add('text-gray-800', 'dark:text-white');
-				if (btn.dataset.level === APP_STATE.settings.animationLevel) {
-					btn.classList.remove('text-gray-800', 'dark:text-white');
-					btn.classList.add('active', 'bg-primary-500', 'text-white');
-				}
+			const beforeSessions = new Map(beforeData.sessionData.map(session => [sessionKey(session), session]));
+			const sessionsStarted = [];
+			const sessionsEnded = [];
+			afterData.sessionData.forEach(session => {
+				const previous = beforeSessions.get(sessionKey(session));
+				if (!previous) sessionsStarted.push(session);
+				if (!isActive(session) && (!previous || isActive(previous))) sessionsEnded.push(session);
 			});
 			
-			// Page width buttons
-			document.querySelectorAll('.page-width-btn').forEach(btn => {
-				btn.classList.remove('active', 'bg-primary-500', 'text-white');
-				btn.classList.add('text-gray-800', 'dark:text-white');
-				if (btn.dataset.width === APP_STATE.settings.pageWidth) {
-					btn.classList.remove('text-gray-800', 'dark:text-white');
-					btn.classList.add('active', 'bg-primary-500', 'text-white');
-				}
+			return {
+				newAttackers: newAttackers.sort((a, b) => failCount(b) - failCount(a)),
+				failIncreases: failIncreases.sort((a, b) => b.delta - a.delta),
+				newUsernames: [...newUsers.values()].sort((a, b) => b.ips.length - a.ips.length),
+				typeChanges,
+				sessionsStarted,
+				sessionsEnded,
+				fleet: servers.size > 1
+			};
+		},
+		
+		/**
+		 * Render slot labels and comparison results
+		 */
+		render: () => {
+			if (!DOM.compareResults) return;
+			
+			const baseline = SnapshotCompare.getSlot('baseline');
+			const current = SnapshotCompare.getSlot('current');
+			
+			if (DOM.compareBaselineName) DOM.compareBaselineName.textContent = baseline ? baseline.name : 'Not selected';
+			if (DOM.compareCurrentName) DOM.compareCurrentName.textContent = current ? current.name : 'Not selected';
+			
+			if (!baseline || !current) {
+				DOM.compareResults.innerHTML = `
+					<div class="glass-card rounded-2xl p-8 text-center text-gray-500 dark:text-gray-400">
+						<i class="fas fa-code-compare text-3xl mb-2"></i>
+						<p class="font-medium">Select a baseline report to compare</p>
+						<p class="text-sm mt-1">Open an exported report as the baseline; the current side defaults to the dashboard data</p>
+					</div>
+				`;
+				return;
+			}
+			
+			const diff = SnapshotCompare.compare(baseline.data, current.data);
+			DEBUG && console.log('🔀 Snapshot comparison:', {
+				baseline: baseline.name,
+				current: current.name,
+				newAttackers: diff.newAttackers.length,
+				failIncreases: diff.failIncreases.length,
+				newUsernames: diff.newUsernames.length,
+				typeChanges: diff.typeChanges.length,
+				sessionsStarted: diff.sessionsStarted.length,
+				sessionsEnded: diff.sessionsEnded.length
 			});
 			
-			DEBUG && console.log('✅ UI preferences highlighted');
+			const esc = Utils.escapeHtml;
+			// Fleet comparisons name the server, since an IP has a record per server
+			const ipCell = (ip, server) => `<code class="font-mono text-gray-800 dark:text-white">${esc(ip || 'Unknown')}</code>` +
+				(diff.fleet && server ? ` <span class="text-xs text-gray-500 dark:text-gray-400">${esc(server)}</span>` : '');
+			const typeBadge = (type) => {
+				const colors = Utils.getTypeColor(type);
+				return `<span class="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${colors.bg} ${colors.text}">${esc(type || 'Unknown')}</span>`;
+			};
+			const section = (title, icon, rows, headers, renderRow) => {
+				const shown = rows.slice(0, SnapshotCompare.maxRows);
+				const more = rows.length - shown.length;
+				return `
+					<div class="glass-card rounded-2xl overflow-hidden">
+						<div class="p-4 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+							<h4 class="font-semibold text-gray-800 dark:text-white"><i class="fas ${icon} mr-2"></i>${title}</h4>
+							<span class="px-2 py-1 bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300 rounded text-xs font-medium">${rows.length.toLocaleString()}</span>
+						</div>
+						${rows.length === 0 ? `
+							<p class="p-4 text-sm text-gray-500 dark:text-gray-400">No changes</p>
+						` : `
+							<div class="overflow-x-auto scrollbar-thin max-h-96">
+								<table class="min-w-full text-sm">
+									<thead class="bg-gray-50 dark:bg-gray-800/50">
+										<tr>${headers.map(h => `<th class="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">${h}</th>`).join('')}</tr>
+									</thead>
+									<tbody class="divide-y divide-gray-200 dark:divide-gray-800 text-gray-800 dark:text-white">
+										${shown.map(renderRow).join('')}
+									</tbody>
+								</table>
+							</div>
+							${more > 0 ? `<p class="px-4 py-2 text-xs text-gray-500 dark:text-gray-400">…and ${more.toLocaleString()} more</p>` : ''}
+						`}
+					</div>
+				`;
+			};
+			
+			DOM.compareResults.innerHTML = `
+				<div class="grid grid-cols-1 xl:grid-cols-2 gap-6">
+					${section('New Attacking IPs', 'fa-skull-crossbones', diff.newAttackers,
+						['IP Address', 'Failed', 'Last Seen', 'Users'],
+						item => `<tr>
+							<td class="px-4 py-2">${ipCell(item.IP, item.Server)}</td>
+							<td class="px-4 py-2">${item.FailCount.toLocaleString()}</td>
+							<td class="px-4 py-2 whitespace-nowrap">${Utils.formatDate(item.LastLocal)}</td>
+							<td class="px-4 py-2 max-w-xs truncate">${esc(item.UserNames.join(', '))}</td>
+						</tr>`)}
+					${section('Failed Attempts Increased', 'fa-arrow-trend-up', diff.failIncreases,
+						['IP Address', 'Before', 'After', 'Change'],
+						row => `<tr>
+							<td class="px-4 py-2">${ipCell(row.item.IP, row.item.Server)}</td>
+							<td class="px-4 py-2">${row.before.toLocaleString()}</td>
+							<td class="px-4 py-2">${row.after.toLocaleString()}</td>
+							<td class="px-4 py-2 font-semibold text-danger-600 dark:text-danger-400">+${row.delta.toLocaleString()}</td>
+						</tr>`)}
+					${section('New Usernames Tried', 'fa-user-secret', diff.newUsernames,
+						['Username', 'IPs', 'Tried From'],
+						row => `<tr>
+							<td class="px-4 py-2 font-medium">${esc(row.user)}</td>
+							<td class="px-4 py-2">${row.ips.length.toLocaleString()}</td>
+							<td class="px-4 py-2 max-w-xs truncate font-mono text-xs">${esc(row.ips.slice(0, 5).join(', '))}${row.ips.length > 5 ? '…' : ''}</td>
+						</tr>`)}
+					${section('Connection Type Changed', 'fa-exchange-alt', diff.typeChanges,
+						['IP Address', 'Before', 'After'],
+						row => `<tr>
+							<td class="px-4 py-2">${ipCell(row.item.IP, row.item.Server)}</td>
+							<td class="px-4 py-2">${typeBadge(row.before)}</td>
+							<td class="px-4 py-2">${typeBadge(row.after)}</td>
+						</tr>`)}
+					${section('Sessions Started', 'fa-sign-in-alt', diff.sessionsStarted,
+						['User', 'IP Address', 'Start Time', 'End Time'],
+						session => `<tr>
+							<td class="px-4 py-2">${esc(session.User || 'Unknown')}</td>
+							<td class="px-4 py-2">${ipCell(session.IP || 'Local', session.Server)}</td>
+							<td class="px-4 py-2 whitespace-nowrap">${Utils.formatDate(session.StartTime)}</td>
+							<td class="px-4 py-2 whitespace-nowrap">${session.IsActive ? 'Active' : Utils.formatDate(session.EndTime)}</td>
+						</tr>`)}
+					${section('Sessions Ended', 'fa-sign-out-alt', diff.sessionsEnded,
+						['User', 'IP Address', 'Start Time', 'End Time'],
+						session => `<tr>
+							<td class="px-4 py-2">${esc(session.User || 'Unknown')}</td>
+							<td class="px-4 py-2">${ipCell(session.IP || 'Local', session.Server)}</td>
+							<td class="px-4 py-2 whitespace-nowrap">${Utils.formatDate(session.StartTime)}</td>
+							<td class="px-4 py-2 whitespace-nowrap">${Utils.formatDate(session.EndTime)}</td>
+						</tr>`)}
+				</div>
+			`;
 		},
 		
 		/**
-		 * Save settings immediately without UI feedback
+		 * Load a report file into a comparison slot
+		 * 
+		 * @param {string} slot - Slot name (baseline, current)
+		 * @param {File} file - Exported report file
 		 */
-		saveSettingsImmediately: () => {
+		loadSlot: async (slot, file) => {
+			DEBUG && console.log(`🔀 Loading ${slot} snapshot:`, file && file.name);
 			try {
-				localStorage.setItem('rdpmon-settings', JSON.stringify(APP_STATE.settings));
-				DEBUG && console.log('💾 Settings saved immediately');
+				const { data } = await DataLoader.readReport(file);
+				APP_STATE.compare[slot] = { name: file.name, data };
+				SnapshotCompare.render();
 			} catch (error) {
-				DEBUG && console.error('❌ Error saving settings:', error);
+				DEBUG && console.error('❌ Error loading snapshot:', error);
+				Utils.showNotification(`Cannot open report: ${Utils.escapeHtml(error.message)}`, 'error');
 			}
 		},
 		
 		/**
-		 * Initialize settings event listeners
+		 * Initialize comparison tab listeners
 		 */
 		initEventListeners: () => {
-			DEBUG && console.log('🔌 Initializing settings event listeners...');
-			
-			// Save settings button
-			if (DOM.saveSettings) {
-				DOM.saveSettings.addEventListener('click', () => {
-					DEBUG && console.log('💾 Save settings button clicked');
-					// Collect current settings from UI
-					APP_STATE.settings = {
-						ipInfoService: DOM.ipInfoService.value,
-						defaultChartPeriod: DOM.defaultChartPeriod.value,
-						chartItemsLimit: parseInt(DOM.chartItemsLimit.value),
-						themeMode: document.querySelector('.theme-mode-btn.active')?.dataset.mode || 'auto',
-						tableDensity: document.querySelector('.table-density-btn.active')?.dataset.density || 'normal',
-						animationLevel: document.querySelector('.animation-level-btn.active')?.dataset.level || 'minimal',
-						autoRefreshInterval: parseInt(DOM.settingsRefreshInterval.value),
-						itemsPerPage: parseInt(DOM.pageSizeSelect.value) || 10
-					};
-					SettingsManager.saveSettings();
-				});
-			}
-			
-			// Reset settings button
-			if (DOM.resetSettings) {
-				DOM.resetSettings.addEventListener('click', SettingsManager.resetSettings);
-			}
-			
-			// Clear storage button
-			if (DOM.clearStorage) {
-				DOM.clearStorage.addEventListener('click', () => {
-					if (confirm('Clear all local storage data? This will reset all settings and cached data.')) {
-						localStorage.clear();
-						sessionStorage.clear();
-						location.reload();
-					}
-				});
-			}
-			
-			// Settings refresh interval slider
-			if (DOM.settingsRefreshInterval) {
-				DOM.settingsRefreshInterval.addEventListener('input', (e) => {
-					DOM.settingsIntervalValue.textContent = `${e.target.value}s`;
-				});
-			}
-			
-			// Page size selector
-			if (DOM.pageSizeSelect) {
-				DOM.pageSizeSelect.addEventListener('change', (e) => {
-					APP_STATE.settings.itemsPerPage = parseInt(e.target.value);
-					APP_STATE.pageSize = APP_STATE.settings.itemsPerPage;
-					APP_STATE.currentPage = 1;
-					updateConnectionsTable();
-					SettingsManager.saveSettingsImmediately();
-				});
-			}
-			
-			// Theme mode buttons - apply immediately
-			document.querySelectorAll('.theme-mode-btn').forEach(btn => {
-				btn.addEventListener('click', function() {
-					DEBUG && console.log('🎨 Theme mode button clicked:', this.dataset.mode);
-					// Update visual state
-					document.querySelectorAll('.theme-mode-btn').forEach(b => {
-						b.classList.remove('active', 'bg-primary-500', 'text-white');
-						b.classList.add('text-gray-800', 'dark:text-white');
-					});
-					this.classList.remove('text-gray-800', 'dark:text-white');
-					this.classList.add('active', 'bg-primary-500', 'text-white');
-					
-					// Update setting
-					APP_STATE.settings.themeMode = this.dataset.mode;
-					
-					// Apply theme immediately
-					SettingsManager.applyTheme();
-					
-					// Save settings
-					SettingsManager.saveSettingsImmediately();
-					
-					Utils.showNotification(`Theme changed to ${this.dataset.mode} mode`);
-				});
-			});
-			
-			// Table density buttons - apply immediately
-			document.querySelectorAll('.table-density-btn').forEach(btn => {
-				btn.addEventListener('click', function() {
-					DEBUG && console.log('📊 Table density button clicked:', this.dataset.density);
-					// Update visual state
-					document.querySelectorAll('.table-density-btn').forEach(b => {
-						b.classList.remove('active', 'bg-primary-500', 'text-white');
-						b.classList.add('text-gray-800', 'dark:text-white');
-					});
-					this.classList.remove('text-gray-800', 'dark:text-white');
-					this.classList.add('active', 'bg-primary-500', 'text-white');
-					
-					// Update setting
-					APP_STATE.settings.tableDensity = this.dataset.density;
-					
-					// Apply table density immediately
-					SettingsManager.applyTableDensity();
-					
-					// Save settings
-					SettingsManager.saveSettingsImmediately();
-					
-					Utils.showNotification(`Table density changed to ${this.dataset.density}`);
-				});
-			});
-			
-			// Animation level buttons - apply immediately
-			document.querySelectorAll('.animation-level-btn').forEach(btn => {
-				btn.addEventListener('click', function() {
-					DEBUG && console.log('🎬 Animation level button clicked:', this.dataset.level);
-					// Update visual state
-					document.querySelectorAll('.animation-level-btn').forEach(b => {
-						b.classList.remove('active', 'bg-primary-500', 'text-white');
-						b.classList.add('text-gray-800', 'dark:text-white');
+			[
+				['baseline', DOM.compareBaselineBtn, DOM.compareBaselineInput, DOM.compareBaselineDashboard],
+				['current', DOM.compareCurrentBtn, DOM.compareCurrentInput, DOM.compareCurrentDashboard]
+			].forEach(([slot, button, input, dashboardBtn]) => {
+				if (button && input) {
+					button.addEventListener('click', () => input.click());
+					input.addEventListener('change', (e) => {
+						const file = e.target.files && e.target.files[0];
+						if (file) SnapshotCompare.loadSlot(slot, file);
+						e.target.value = '';
 					});
-					this.classList.remove('text-gray-800', 'dark:text-white');
-					this.classList.add('active', 'bg-primary-500', 'text-white');
-					
-					// Update setting
-					APP_STATE.settings.animationLevel = this.dataset.level;
-					
-					// Apply animation level
-					SettingsManager.applyAnimationLevel();
-					
-					// Save settings
-					SettingsManager.saveSettingsImmediately();
-					
-					Utils.showNotification(`Animation level changed to ${this.dataset.level}`);
+				}
+				dashboardBtn?.addEventListener('click', () => {
+					APP_STATE.compare[slot] = { dashboard: true };
+					SnapshotCompare.render();
 				});
 			});
 			
-			// Page width buttons - apply immediately
-			document.querySelectorAll('.page-width-btn').forEach(btn => {
-				btn.addEventListener('click', function() {
-					DEBUG && console.log('📏 Page width button clicked:', this.dataset.width);
-					// Update visual state
-					document.querySelectorAll('.page-width-btn').forEach(b => {
-						b.classList.remove('active', 'bg-primary-500', 'text-white');
-						b.classList.add('text-gray-800', 'dark:text-white');
-					});
-					this.classList.remove('text-gray-800', 'dark:text-white');
-					this.classList.add('active', 'bg-primary-500', 'text-white');
-					
-					// Update setting
-					APP_STATE.settings.pageWidth = this.dataset.width;
-					
-					// Apply page width immediately
-					SettingsManager.applyPageWidth();
-					
-					// Save settings
-					SettingsManager.saveSettingsImmediately();
-					
-					Utils.showNotification(`Page width changed to ${this.dataset.width}`);
-				});
+			DOM.compareSwap?.addEventListener('click', () => {
+				const { baseline, current } = APP_STATE.compare;
+				APP_STATE.compare.baseline = current || { dashboard: true };
+				APP_STATE.compare.current = baseline;
+				SnapshotCompare.render();
 			});
-			
-			// Clear storage button
-			if (DOM.clearStorage) {
-				DOM.clearStorage.addEventListener('click', () => {
-					if (confirm('Clear all local storage data? This will reset all settings and cached data.')) {
-						localStorage.clear();
-						sessionStorage.clear();
-						location.reload();
-					}
-				});
-			}
-			
-			DEBUG && console.log('✅ Settings event listeners initialized');
 		}
 	};
 
@@ -2494,19 +7084,104 @@ applyTheme: () => {
 		
 		const item = APP_STATE.addrData.find(d => d.IP === ip);
 		if (item) {
-			const usernames = Array.isArray(item.UserNames) ? item.UserNames : [];
+			const usernames = item.UserNames;
 			const typeColors = Utils.getTypeColor(item.ConnectionType);
 			
+			// Fleet mode: the same IP has one record per server it reached
+			const serverRecords = APP_STATE.addrData.filter(d => d.IP === ip && d.Server);
+			const crossHostServers = getCrossHostServers(ip);
+			const serversHtml = serverRecords.length > 0 ? `
+						<div class="mb-6">
+							<label class="text-sm font-medium text-gray-500 dark:text-gray-400">
+								Servers
+								${crossHostServers ? `<span class="ml-2 px-2 py-0.5 bg-danger-100 dark:bg-danger-900/30 text-danger-700 dark:text-danger-300 rounded text-xs font-semibold"><i class="fas fa-project-diagram mr-1"></i>Attacked ${crossHostServers.length} hosts</span>` : ''}
+							</label>
+							<div class="mt-2 space-y-1">
+								${serverRecords.map(record => `
+									<div class="flex justify-between items-center text-sm px-3 py-1.5 bg-gray-50 dark:bg-gray-800/50 rounded-lg">
+										<span class="font-medium text-gray-800 dark:text-white"><i class="fas fa-server mr-2 text-gray-400"></i>${Utils.escapeHtml(record.Server)}</span>
+										<span class="text-gray-600 dark:text-gray-300">
+											${Utils.escapeHtml(record.ConnectionType || 'Unknown')} ·
+											<span class="text-danger-600 dark:text-danger-400">${record.FailCount} failed</span> ·
+											<span class="text-success-600 dark:text-success-400">${record.SuccessCount} successful</span>
+										</span>
+									</div>
+								`).join('')}
+							</div>
+						</div>` : '';
+			
+			// Risk score and the share of each weighted factor
+			const riskScore = getRiskScore(item);
+			const riskColors = Utils.getRiskColor(riskScore);
+			const riskFactors = RiskScore.factors(item);
+			const riskWeights = getRiskWeights();
+			const riskHtml = `
+						<div class="mb-6">
+							<label class="text-sm font-medium text-gray-500 dark:text-gray-400">Risk Factors</label>
+							<div class="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">
+								${Object.keys(RiskScore.defaultWeights).map(factor => `
+									<div class="text-sm">
+										<div class="flex justify-between text-gray-600 dark:text-gray-300">
+											<span>${RISK_FACTOR_LABELS[factor]}</span>
+											<span class="text-xs text-gray-500 dark:text-gray-400">${Math.round(riskFactors[factor] * 100)}% · weight ${riskWeights[factor]}</span>
+										</div>
+										<div class="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5 mt-1">
+											<div class="h-1.5 rounded-full ${riskColors.bar}" style="width: ${Math.round(riskFactors[factor] * 100)}%"></div>
+										</div>
+									</div>
+								`).join('')}
+							</div>
+						</div>`;
+			
+			// Sessions opened from this IP, newest first
+			const sessions = SessionQuery.sort(
+				APP_STATE.sessionData.filter(session => session.IP === ip),
+				[{ field: 'start', direction: 'desc' }]
+			);
+			const failCount = APP_STATE.failCountByIp.get(ip) || 0;
+			const firstSession = sessions[sessions.length - 1];
+			const breachHtml = failCount > 0 && sessions.length > 0 ? `
+						<div class="mb-6 px-4 py-3 rounded-xl bg-danger-100 dark:bg-danger-900/30 text-danger-700 dark:text-danger-300 flex items-start">
+							<i class="fas fa-user-secret mt-1 mr-3"></i>
+							<div class="text-sm">
+								<p class="font-semibold">${failCount} failed ${failCount === 1 ? 'attempt' : 'attempts'} and ${sessions.length} ${sessions.length === 1 ? 'session' : 'sessions'} from this IP</p>
+								<p>First session by ${Utils.escapeHtml(firstSession.User || 'Unknown')} at ${Utils.formatDate(firstSession.StartTime)}. Check whether this access was legitimate.</p>
+							</div>
+						</div>` : '';
+			const sessionsHtml = sessions.length > 0 ? `
+						<div class="mb-6">
+							<label class="text-sm font-medium text-gray-500 dark:text-gray-400">Sessions from this IP (${sessions.length})</label>
+							<div class="mt-2 space-y-1 max-h-64 overflow-y-auto">
+								${sessions.map(session => {
+									const typeColors = Utils.getSessionTypeColor(session.SessionType);
+									return `
+									<div class="flex justify-between items-center text-sm px-3 py-1.5 bg-gray-50 dark:bg-gray-800/50 rounded-lg">
+										<span class="font-medium text-gray-800 dark:text-white"><i class="fas fa-user mr-2 text-gray-400"></i>${Utils.escapeHtml(session.User || 'Unknown')}</span>
+										<span class="text-gray-600 dark:text-gray-300 text-right">
+											${Utils.formatDate(session.StartTime)} → ${session.IsActive ? 'Active' : Utils.formatDate(session.EndTime)} ·
+											${Utils.formatSessionDuration(session.Duration)}
+											<span class="ml-1 px-2 py-0.5 rounded-full text-xs font-medium ${typeColors.bg} ${typeColors.text}">${Utils.escapeHtml(session.SessionType || 'Unknown')}</span>
+										</span>
+									</div>
+								`;
+								}).join('')}
+							</div>
+						</div>` : '';
+			
 			// Generate attack description for copying
 			const attackDescription = `IP Address: ${item.IP}\n` +
 				`Hostname: ${item.Hostname || 'Not resolved'}\n` +
 				`Connection Type: ${item.ConnectionType}\n` +
 				`Failed Attempts: ${item.FailCount}\n` +
 				`Successful Logins: ${item.SuccessCount}\n` +
+				`Risk Score: ${riskScore}/100 (${riskColors.label})\n` +
 				`First Seen: ${Utils.formatDate(item.FirstLocal)}\n` +
 				`Last Seen: ${Utils.formatDate(item.LastLocal)}\n` +
 				`Usernames Attempted: ${usernames.join(', ') || 'None'}\n` +
-				`Duration: ${Utils.formatDuration(item.Duration)}\n\n` +
+				`Duration: ${Utils.formatDuration(item.Duration)}\n` +
+				(serverRecords.length > 0 ? `Servers: ${serverRecords.map(record => record.Server).join(', ')}\n` : '') +
+				(sessions.length > 0 ? `Sessions: ${sessions.length} (${[...new Set(sessions.map(session => session.User || 'Unknown'))].join(', ')})\n` : '') +
+				`\n` +
 				`Generated by RDP Monitor: ${window.GIT_URL || 'https://github.com/paulmann/1st-RDPMon'}`;
 			
 			// Get current information service from localStorage or default
@@ -2539,7 +7214,7 @@ applyTheme: () => {
 			}
 			
 			const modal = `
-				<div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 modal-overlay">
+				<div class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 modal-overlay" data-ip="${Utils.escapeHtml(item.IP || '')}">
 					<div class="glass-card rounded-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto modal-content">
 						<div class="flex justify-between items-center mb-6 pb-4 border-b border-gray-200 dark:border-gray-700">
 							<div>
@@ -2550,7 +7225,7 @@ applyTheme: () => {
 								<i class="fas fa-times text-lg"></i>
 							</button>
 						</div>
-						
+						${breachHtml}
 						<div class="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
 							<div class="space-y-4">
 								<div>
@@ -2577,17 +7252,25 @@ applyTheme: () => {
 										</span>
 									</div>
 								</div>
+								
+								<div>
+									<label class="text-sm font-medium text-gray-500 dark:text-gray-400">Risk Score</label>
+									<div class="mt-1 flex items-center">
+										${renderRiskBadge(item)}
+										<span class="ml-2 text-sm font-medium ${riskColors.text}">${riskColors.label}</span>
+									</div>
+								</div>
 							</div>
 							
 							<div class="space-y-4">
 								<div class="grid grid-cols-2 gap-4">
 									<div>
 										<label class="text-sm font-medium text-gray-500 dark:text-gray-400">Failed</label>
-										<p class="text-2xl font-bold text-danger-600 dark:text-danger-400 mt-1">${parseInt(item.FailCount) || 0}</p>
+										<p class="text-2xl font-bold text-danger-600 dark:text-danger-400 mt-1">${item.FailCount}</p>
 									</div>
 									<div>
 										<label class="text-sm font-medium text-gray-500 dark:text-gray-400">Successful</label>
-										<p class="text-2xl font-bold text-success-600 dark:text-success-400 mt-1">${parseInt(item.SuccessCount) || 0}</p>
+										<p class="text-2xl font-bold text-success-600 dark:text-success-400 mt-1">${item.SuccessCount}</p>
 									</div>
 								</div>
 								
@@ -2599,7 +7282,7 @@ applyTheme: () => {
 								<div>
 									<label class="text-sm font-medium text-gray-500 dark:text-gray-400">Users Attempted</label>
 									<p class="font-medium text-gray-800 dark:text-white mt-1 truncate" title="${Utils.escapeHtml(usernames.join(', '))}">
-										${usernames.slice(0, 3).join(', ')}${usernames.length > 3 ? `... (+${usernames.length - 3} more)` : ''}
+										${Utils.escapeHtml(usernames.slice(0, 3).join(', '))}${usernames.length > 3 ? `... (+${usernames.length - 3} more)` : ''}
 									</p>
 								</div>
 							</div>
@@ -2615,7 +7298,9 @@ applyTheme: () => {
 								<p class="font-medium text-gray-800 dark:text-white mt-1">${Utils.formatDate(item.LastLocal)}</p>
 							</div>
 						</div>
-						
+						${riskHtml}
+						${serversHtml}
+						${sessionsHtml}
 						<div class="pt-6 border-t border-gray-200 dark:border-gray-700">
 							<h4 class="text-lg font-semibold text-gray-800 dark:text-white mb-4">Quick Actions</h4>
 							<div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
@@ -2668,11 +7353,17 @@ applyTheme: () => {
 			const modalElement = document.querySelector('.modal-overlay');
 			
 			if (modalElement) {
+				UrlState.update();
+				const closeModal = () => {
+					modalElement.remove();
+					UrlState.update();
+				};
+				
 				const closeBtn = modalElement.querySelector('.close-modal-btn');
 				if (closeBtn) {
 					closeBtn.addEventListener('click', () => {
 						DEBUG && console.log('❌ Closing modal');
-						modalElement.remove();
+						closeModal();
 					});
 				}
 				
@@ -2736,7 +7427,7 @@ applyTheme: () => {
 				modalElement.addEventListener('click', (e) => {
 					if (e.target === modalElement) {
 						DEBUG && console.log('❌ Closing modal (outside click)');
-						modalElement.remove();
+						closeModal();
 					}
 				});
 				
@@ -2744,8 +7435,8 @@ applyTheme: () => {
 				document.addEventListener('keydown', function handleEscape(e) {
 					if (e.key === 'Escape' && modalElement) {
 						DEBUG && console.log('❌ Closing modal (Escape key)');
-						modalElement.remove();
 						document.removeEventListener('keydown', handleEscape);
+						if (modalElement.isConnected) closeModal();
 					}
 				});
 				
@@ -2776,10 +7467,12 @@ applyTheme: () => {
 		DEBUG && console.log('📤 Exporting data...');
 		
 		const exportData = {
-			AddrData: APP_STATE.addrData,
-			SessionData: APP_STATE.sessionData,
+			SchemaVersion: ReportSchema.currentVersion,
+			AddrData: APP_STATE.addrData.map(item => item.raw),
+			SessionData: APP_STATE.sessionData.map(session => session.raw),
 			PropData: APP_STATE.propData,
 			DatabaseStats: APP_STATE.databaseStats,
+			ReportInfo: (APP_STATE.data && APP_STATE.data.ReportInfo) || {},
 			ExportTime: new Date().toISOString(),
 			Settings: APP_STATE.settings
 		};
@@ -2806,6 +7499,11 @@ applyTheme: () => {
 		init: init,
 		Utils: Utils,
 		SettingsManager: SettingsManager,
+		ReportSchema: ReportSchema,
+		RecordNormalizer: RecordNormalizer,
+		SearchQuery: SearchQuery,
+		DataLoader: DataLoader,
+		SnapshotCompare: SnapshotCompare,
 		APP_STATE: APP_STATE // Expose for debugging
 	};
 })();
@@ -0,0 +1,2213 @@
+/**
+ * RDP Monitor Data Pipeline
+ * Parsing, schema validation, record normalization, filtering, sorting, risk scoring,
+ * statistics and chart bucketing for the RDP Security Monitoring Dashboard
+ * 
+ * The whole module is one self-contained function so the dashboard can start
+ * it as a Web Worker from its source (a Blob worker also works for reports
+ * opened from file://). Loaded as a page script it runs on the main thread,
+ * which the dashboard uses as a fallback where workers are unavailable.
+ * 
+ * @version 3.2.0
+ * @author Mikhail Deynekin (mid1977@gmail.com)
+ * @website https://deynekin.com
+ * @license MIT
+ * @copyright 2025
+ */
+
+/**
+ * Build the pipeline in a page or worker scope
+ * 
+ * @param {Object} scope - Global scope (window or the worker's self)
+ * @returns {Object} Pipeline API
+ */
+function RdpMonPipelineModule(scope) {
+	'use strict';
+	
+	// Debug logging, switched on by the dashboard's DEBUG flag
+	let DEBUG = false;
+	
+	/**
+	 * Report Schema
+	 * Validates report payloads, migrates older schema versions forward and
+	 * records every problem with its record index and field for the diagnostics panel
+	 */
+	const ReportSchema = {
+		// Version written by the PowerShell generator and exportData()
+		currentVersion: 2,
+		
+		// A badly broken export can produce one issue per record, keep the list readable
+		maxIssues: 500,
+		
+		connectionTypes: ['Attack', 'Legit', 'Mixed', 'Unknown'],
+		
+		/**
+		 * Field rules per record section
+		 * Required fields drop the record when missing, other invalid values are replaced
+		 */
+		fields: {
+			AddrData: {
+				IP: { type: 'string', required: true },
+				Hostname: { type: 'string' },
+				ConnectionType: { type: 'connectionType' },
+				FailCount: { type: 'count' },
+				SuccessCount: { type: 'count' },
+				TotalAttempts: { type: 'count' },
+				RawRecords: { type: 'count' },
+				FirstLocal: { type: 'date' },
+				LastLocal: { type: 'date' },
+				UserNames: { type: 'stringArray' },
+				IsOngoing: { type: 'boolean' },
+				Duration: { type: 'timeSpan' }
+			},
+			SessionData: {
+				SessionId: { type: 'id', required: true },
+				IP: { type: 'string' },
+				User: { type: 'string' },
+				StartTime: { type: 'date' },
+				EndTime: { type: 'date' },
+				Duration: { type: 'timeSpan' },
+				SessionType: { type: 'string' },
+				WtsSessionId: { type: 'id' }
+			},
+			PropData: {
+				Property: { type: 'string', required: true }
+			}
+		},
+		
+		/**
+		 * Value checks by field type
+		 * Each returns the accepted value, or undefined when the value is invalid
+		 */
+		checks: {
+			string: (value) => {
+				if (typeof value === 'string') return value;
+				if (typeof value === 'number' && isFinite(value)) return String(value);
+				return undefined;
+			},
+			id: (value) => {
+				if (typeof value === 'number' && isFinite(value)) return value;
+				if (typeof value === 'string' && value.trim() !== '') return value;
+				return undefined;
+			},
+			count: (value) => {
+				if (typeof value === 'number' && Number.isInteger(value) && value >= 0) return value;
+				if (typeof value === 'string' && /^\d+$/.test(value.trim())) return value;
+				return undefined;
+			},
+			date: (value) => {
+				if (typeof value === 'string' && !isNaN(new Date(value).getTime())) return value;
+				return undefined;
+			},
+			boolean: (value) => typeof value === 'boolean' ? value : undefined,
+			stringArray: (value) => {
+				if (!Array.isArray(value)) return undefined;
+				return value.every(name => typeof name === 'string') ? value : undefined;
+			},
+			timeSpan: (value) => {
+				if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+				const parts = ['Days', 'Hours', 'Minutes', 'Seconds', 'TotalMinutes', 'TotalSeconds'];
+				return parts.some(part => typeof value[part] === 'number') ? value : undefined;
+			},
+			connectionType: (value) => {
+				if (typeof value !== 'string') return undefined;
+				return ReportSchema.connectionTypes.find(type => type.toLowerCase() === value.toLowerCase());
+			}
+		},
+		
+		// Replacement for invalid optional values
+		fallbacks: {
+			count: 0,
+			stringArray: [],
+			boolean: false,
+			connectionType: 'Unknown'
+		},
+		
+		/**
+		 * Migrations keyed by the version they upgrade from
+		 * Each one mutates the payload in place into the next version
+		 */
+		migrations: {
+			/**
+			 * Version 1: reports generated before SchemaVersion existed
+			 * PowerShell collapses one-element arrays into objects and older exports
+			 * carry usernames as text, 'null' strings, /Date()/ values and text durations
+			 */
+			1: (jsonData) => {
+				['AddrData', 'SessionData', 'PropData'].forEach(section => {
+					const records = jsonData[section];
+					if (records && typeof records === 'object' && !Array.isArray(records)) {
+						jsonData[section] = [records];
+					} else if (records === undefined || records === null) {
+						jsonData[section] = [];
+					}
+				});
+				
+				if (jsonData.ExportTime && !(jsonData.ReportInfo && jsonData.ReportInfo.GenerationTime)) {
+					jsonData.ReportInfo = { ...(jsonData.ReportInfo || {}), GenerationTime: jsonData.ExportTime };
+				}
+				
+				const migrateRecord = (record, dateFields) => {
+					if (!record || typeof record !== 'object') return;
+					dateFields.forEach(field => {
+						record[field] = ReportSchema.migrateDate(record[field]);
+					});
+					if (typeof record.Duration === 'string' || typeof record.Duration === 'number') {
+						record.Duration = ReportSchema.toTimeSpan(record.Duration) || record.Duration;
+					}
+				};
+				
+				if (Array.isArray(jsonData.AddrData)) {
+					jsonData.AddrData.forEach(item => {
+						migrateRecord(item, ['FirstLocal', 'LastLocal']);
+						if (item && typeof item.UserNames === 'string') {
+							item.UserNames = item.UserNames.split(/[,;]/).map(name => name.trim()).filter(Boolean);
+						}
+						if (item && typeof item.IsOngoing === 'string') {
+							item.IsOngoing = item.IsOngoing.toLowerCase() === 'true';
+						}
+					});
+				}
+				if (Array.isArray(jsonData.SessionData)) {
+					jsonData.SessionData.forEach(session => migrateRecord(session, ['StartTime', 'EndTime']));
+				}
+			}
+		},
+		
+		/**
+		 * Convert legacy date values ('null' strings, /Date(ms)/) to ISO strings or null
+		 * 
+		 * @param {*} value - Date value from an older report
+		 * @returns {*} Migrated value
+		 */
+		migrateDate: (value) => {
+			if (typeof value !== 'string') return value;
+			if (['', 'null', 'undefined'].includes(value.trim())) return null;
+			const match = value.match(/^\/Date\((-?\d+)[^)]*\)\/$/);
+			return match ? new Date(parseInt(match[1])).toISOString() : value;
+		},
+		
+		/**
+		 * Convert a duration in seconds or [d.]hh:mm:ss text to a TimeSpan-like object
+		 * 
+		 * @param {number|string} value - Legacy duration
+		 * @returns {Object|null} Duration with Days, Hours, Minutes, Seconds and totals
+		 */
+		toTimeSpan: (value) => {
+			let totalSeconds = null;
+			if (typeof value === 'number' && isFinite(value)) {
+				totalSeconds = value;
+			} else if (typeof value === 'string') {
+				const match = value.trim().match(/^(?:(\d+)\.)?(\d+):(\d{2}):(\d{2})(?:\.\d+)?$/);
+				if (match) {
+					totalSeconds = (parseInt(match[1] || 0) * 86400) + (parseInt(match[2]) * 3600) +
+						(parseInt(match[3]) * 60) + parseInt(match[4]);
+				}
+			}
+			if (totalSeconds === null || totalSeconds < 0) return null;
+			
+			return {
+				Days: Math.floor(totalSeconds / 86400),
+				Hours: Math.floor((totalSeconds % 86400) / 3600),
+				Minutes: Math.floor((totalSeconds % 3600) / 60),
+				Seconds: Math.floor(totalSeconds % 60),
+				TotalMinutes: totalSeconds / 60,
+				TotalSeconds: totalSeconds
+			};
+		},
+		
+		/**
+		 * Create an empty report so the dashboard can render after a fatal error
+		 * 
+		 * @returns {Object} Empty report data
+		 */
+		emptyReport: () => ({
+			SchemaVersion: ReportSchema.currentVersion,
+			AddrData: [],
+			SessionData: [],
+			PropData: [],
+			DatabaseStats: {},
+			ReportInfo: {}
+		}),
+		
+		/**
+		 * Create a diagnostics result
+		 * 
+		 * @param {string} source - Where the payload came from (shown in the panel)
+		 * @returns {Object} Diagnostics with version, issues and fatal flag
+		 */
+		createDiagnostics: (source) => ({
+			source,
+			version: null,
+			migratedFrom: null,
+			issues: [],
+			omitted: 0,
+			fatal: false
+		}),
+		
+		/**
+		 * Record a problem found in a payload
+		 * 
+		 * @param {Object} diagnostics - Diagnostics result
+		 * @param {string} severity - 'error' or 'warning'
+		 * @param {Object} issue - Issue with section, index, field, message and value
+		 */
+		addIssue: (diagnostics, severity, issue) => {
+			if (diagnostics.issues.length >= ReportSchema.maxIssues) {
+				diagnostics.omitted++;
+				return;
+			}
+			diagnostics.issues.push({ severity, ...issue });
+		},
+		
+		/**
+		 * Describe where an issue was found, e.g. AddrData[12].FailCount
+		 * 
+		 * @param {Object} issue - Diagnostics issue
+		 * @returns {string} Issue location
+		 */
+		formatLocation: (issue) => {
+			let location = issue.section || 'Report';
+			if (issue.index !== undefined) location += `[${issue.index}]`;
+			if (issue.field) location += `.${issue.field}`;
+			return location;
+		},
+		
+		/**
+		 * Summarize the first errors of a diagnostics result in one line
+		 * 
+		 * @param {Object} diagnostics - Diagnostics result
+		 * @returns {string} Error summary
+		 */
+		summarize: (diagnostics) => {
+			const errors = diagnostics.issues.filter(issue => issue.severity === 'error');
+			const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+			return errors.slice(0, 3)
+				.map(issue => `${ReportSchema.formatLocation(issue)}: ${issue.message}`)
+				.join('; ') + more;
+		},
+		
+		/**
+		 * Short preview of an offending value
+		 * 
+		 * @param {*} value - Field value
+		 * @returns {string} Value preview
+		 */
+		preview: (value) => {
+			let text;
+			try {
+				text = JSON.stringify(value);
+			} catch (e) {
+				text = String(value);
+			}
+			if (text === undefined) text = String(value);
+			return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+		},
+		
+		/**
+		 * Validate and migrate a report payload
+		 * The payload is migrated in place; invalid records are dropped and invalid
+		 * optional values replaced so the rest of the report stays usable
+		 * 
+		 * @param {Object} jsonData - Parsed report payload
+		 * @param {string} source - Where the payload came from
+		 * @returns {{data: Object|null, diagnostics: Object}} Usable data (null when fatal) and diagnostics
+		 */
+		process: (jsonData, source) => {
+			const diagnostics = ReportSchema.createDiagnostics(source);
+			const fail = (message) => {
+				ReportSchema.addIssue(diagnostics, 'error', { message });
+				diagnostics.fatal = true;
+				return { data: null, diagnostics };
+			};
+			
+			if (!jsonData || typeof jsonData !== 'object' || Array.isArray(jsonData)) {
+				return fail('Report must be a JSON object');
+			}
+			
+			// Reports without a version predate the schema
+			let version = jsonData.SchemaVersion === undefined ? 1 : Number(jsonData.SchemaVersion);
+			if (!Number.isInteger(version) || version < 1) {
+				ReportSchema.addIssue(diagnostics, 'warning', {
+					field: 'SchemaVersion',
+					message: 'Unknown schema version, read as version 1',
+					value: ReportSchema.preview(jsonData.SchemaVersion)
+				});
+				version = 1;
+			}
+			if (version > ReportSchema.currentVersion) {
+				ReportSchema.addIssue(diagnostics, 'warning', {
+					field: 'SchemaVersion',
+					message: `Report uses schema version ${version}, newer than this dashboard (${ReportSchema.currentVersion}); unknown fields are ignored`
+				});
+			}
+			
+			diagnostics.version = version;
+			while (version < ReportSchema.currentVersion) {
+				const migrate = ReportSchema.migrations[version];
+				if (migrate) {
+					diagnostics.migratedFrom = diagnostics.migratedFrom || version;
+					migrate(jsonData);
+				}
+				version++;
+			}
+			jsonData.SchemaVersion = Math.max(version, diagnostics.version);
+			
+			if (!Array.isArray(jsonData.AddrData)) {
+				return fail(jsonData.AddrData === undefined ? 'AddrData is missing' : 'AddrData is not an array');
+			}
+			
+			['SessionData', 'PropData'].forEach(section => {
+				if (jsonData[section] === undefined || jsonData[section] === null) {
+					jsonData[section] = [];
+				} else if (!Array.isArray(jsonData[section])) {
+					ReportSchema.addIssue(diagnostics, 'error', {
+						section,
+						message: 'Not an array, section ignored',
+						value: ReportSchema.preview(jsonData[section])
+					});
+					jsonData[section] = [];
+				}
+			});
+			['DatabaseStats', 'ReportInfo'].forEach(section => {
+				const value = jsonData[section];
+				if (value !== undefined && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+					ReportSchema.addIssue(diagnostics, 'warning', {
+						section,
+						message: 'Not an object, section ignored',
+						value: ReportSchema.preview(value)
+					});
+					jsonData[section] = {};
+				}
+			});
+			
+			Object.keys(ReportSchema.fields).forEach(section => {
+				jsonData[section] = ReportSchema.validateRecords(jsonData[section], section, diagnostics);
+			});
+			
+			DEBUG && console.log('🧾 Report schema checked:', {
+				source,
+				version: diagnostics.version,
+				migratedFrom: diagnostics.migratedFrom,
+				issues: diagnostics.issues.length + diagnostics.omitted
+			});
+			
+			return { data: jsonData, diagnostics };
+		},
+		
+		/**
+		 * Validate the records of one section against its field rules
+		 * 
+		 * @param {Array} records - Section records
+		 * @param {string} section - Section name (AddrData, SessionData, PropData)
+		 * @param {Object} diagnostics - Diagnostics result
+		 * @returns {Array} Usable records
+		 */
+		validateRecords: (records, section, diagnostics) => {
+			const rules = ReportSchema.fields[section];
+			const seenKeys = new Map();
+			
+			return records.filter((record, index) => {
+				if (!record || typeof record !== 'object' || Array.isArray(record)) {
+					ReportSchema.addIssue(diagnostics, 'error', {
+						section, index,
+						message: 'Record is not an object, record skipped',
+						value: ReportSchema.preview(record)
+					});
+					return false;
+				}
+				
+				for (const [field, rule] of Object.entries(rules)) {
+					const value = record[field];
+					const missing = value === undefined || value === null || value === '';
+					
+					if (missing) {
+						if (rule.required) {
+							ReportSchema.addIssue(diagnostics, 'error', {
+								section, index, field,
+								message: 'Required field is missing, record skipped'
+							});
+							return false;
+						}
+						continue;
+					}
+					
+					const accepted = ReportSchema.checks[rule.type](value);
+					if (accepted === undefined) {
+						if (rule.required) {
+							ReportSchema.addIssue(diagnostics, 'error', {
+								section, index, field,
+								message: `Invalid ${rule.type} value, record skipped`,
+								value: ReportSchema.preview(value)
+							});
+							return false;
+						}
+						const fallback = ReportSchema.fallbacks[rule.type];
+						ReportSchema.addIssue(diagnostics, 'warning', {
+							section, index, field,
+							message: `Invalid ${rule.type} value, replaced with ${fallback === undefined ? 'empty' : ReportSchema.preview(fallback)}`,
+							value: ReportSchema.preview(value)
+						});
+						record[field] = fallback === undefined ? null : (Array.isArray(fallback) ? [] : fallback);
+					} else {
+						record[field] = accepted;
+					}
+				}
+				
+				// Fleet data sets legitimately hold one record per IP and server
+				if (section === 'AddrData') {
+					const key = `${record.IP}|${record.Server || ''}`;
+					if (seenKeys.has(key)) {
+						ReportSchema.addIssue(diagnostics, 'warning', {
+							section, index, field: 'IP',
+							message: `Duplicate record for ${record.IP} (first seen at AddrData[${seenKeys.get(key)}])`
+						});
+					} else {
+						seenKeys.set(key, index);
+					}
+				}
+				
+				return true;
+			});
+		},
+		
+		/**
+		 * Combine the diagnostics of several reports (fleet loading)
+		 * 
+		 * @param {string} source - Combined source label
+		 * @param {Array<Object>} list - Diagnostics of each report
+		 * @returns {Object} Combined diagnostics
+		 */
+		combine: (source, list) => {
+			const combined = ReportSchema.createDiagnostics(source);
+			combined.version = ReportSchema.currentVersion;
+			list.forEach(diagnostics => {
+				diagnostics.issues.forEach(issue => ReportSchema.addIssue(combined, issue.severity, {
+					...issue,
+					source: issue.source || diagnostics.source
+				}));
+				combined.omitted += diagnostics.omitted;
+				combined.migratedFrom = combined.migratedFrom || diagnostics.migratedFrom;
+				combined.fatal = combined.fatal || diagnostics.fatal;
+			});
+			return combined;
+		}
+	};
+
+	/**
+	 * Record Normalizer
+	 * Turns raw report records into typed objects once at load time:
+	 * counts become numbers, timestamps Date objects, durations milliseconds
+	 * and usernames arrays. The raw record stays available as `raw` for export.
+	 */
+	const RecordNormalizer = {
+		/**
+		 * Convert a count to a non-negative integer
+		 * 
+		 * @param {*} value - Raw count (number or numeric string)
+		 * @returns {number} Count, 0 when missing or invalid
+		 */
+		toCount: (value) => {
+			const count = typeof value === 'number' ? Math.trunc(value) : parseInt(value, 10);
+			return isFinite(count) && count > 0 ? count : 0;
+		},
+		
+		/**
+		 * Convert a timestamp to a Date
+		 * 
+		 * @param {*} value - ISO string, Date or the literal 'null'/'undefined'
+		 * @returns {Date|null} Valid date or null
+		 */
+		toDate: (value) => {
+			if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+			if (value === null || value === undefined) return null;
+			if (typeof value === 'string' && ['', 'null', 'undefined'].includes(value.trim())) return null;
+			const date = new Date(value);
+			return isNaN(date.getTime()) ? null : date;
+		},
+		
+		/**
+		 * Convert a TimeSpan-like duration to milliseconds
+		 * 
+		 * @param {*} value - {Days, Hours, Minutes, Seconds} object (with optional totals) or milliseconds
+		 * @returns {number|null} Duration in milliseconds or null
+		 */
+		toDurationMs: (value) => {
+			if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+			if (!value || typeof value !== 'object') return null;
+			
+			// Prefer the exact totals PowerShell writes for a TimeSpan
+			if (typeof value.TotalMilliseconds === 'number') return value.TotalMilliseconds;
+			if (typeof value.Ticks === 'number') return value.Ticks / 10000;
+			if (typeof value.TotalSeconds === 'number') return value.TotalSeconds * 1000;
+			if (typeof value.TotalMinutes === 'number') return value.TotalMinutes * 60000;
+			
+			const parts = ['Days', 'Hours', 'Minutes', 'Seconds', 'Milliseconds'];
+			if (!parts.some(part => typeof value[part] === 'number')) return null;
+			return ((value.Days || 0) * 86400000) + ((value.Hours || 0) * 3600000) +
+				((value.Minutes || 0) * 60000) + ((value.Seconds || 0) * 1000) + (value.Milliseconds || 0);
+		},
+		
+		/**
+		 * Convert usernames to an array of names
+		 * 
+		 * @param {*} value - Array of names or comma/semicolon separated text
+		 * @returns {string[]} Usernames
+		 */
+		toUserNames: (value) => {
+			const names = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/[,;]/) : []);
+			return names
+				.filter(name => name !== null && name !== undefined)
+				.map(name => String(name).trim())
+				.filter(Boolean);
+		},
+		
+		/**
+		 * Convert optional text to a string or null
+		 * 
+		 * @param {*} value - Raw value
+		 * @returns {string|null} Text or null
+		 */
+		toText: (value) => {
+			if (value === null || value === undefined || value === '') return null;
+			return String(value);
+		},
+		
+		/**
+		 * Normalize a connection (AddrData) record
+		 * 
+		 * @param {Object} raw - Raw connection record
+		 * @returns {Object} Typed connection record
+		 */
+		addr: (raw) => {
+			const failCount = RecordNormalizer.toCount(raw.FailCount);
+			const successCount = RecordNormalizer.toCount(raw.SuccessCount);
+			const totalAttempts = RecordNormalizer.toCount(raw.TotalAttempts);
+			
+			return {
+				IP: String(raw.IP || ''),
+				Hostname: RecordNormalizer.toText(raw.Hostname),
+				ConnectionType: RecordNormalizer.toText(raw.ConnectionType) || 'Unknown',
+				FailCount: failCount,
+				SuccessCount: successCount,
+				TotalAttempts: totalAttempts || failCount + successCount,
+				FirstLocal: RecordNormalizer.toDate(raw.FirstLocal),
+				LastLocal: RecordNormalizer.toDate(raw.LastLocal),
+				UserNames: RecordNormalizer.toUserNames(raw.UserNames),
+				IsOngoing: raw.IsOngoing === true || String(raw.IsOngoing).toLowerCase() === 'true',
+				RawRecords: RecordNormalizer.toCount(raw.RawRecords),
+				Duration: RecordNormalizer.toDurationMs(raw.Duration),
+				Server: RecordNormalizer.toText(raw.Server),
+				raw
+			};
+		},
+		
+		/**
+		 * Normalize a session (SessionData) record
+		 * 
+		 * @param {Object} raw - Raw session record
+		 * @returns {Object} Typed session record
+		 */
+		session: (raw) => {
+			const endTime = RecordNormalizer.toDate(raw.EndTime);
+			
+			return {
+				SessionId: raw.SessionId,
+				IP: RecordNormalizer.toText(raw.IP),
+				User: RecordNormalizer.toText(raw.User),
+				StartTime: RecordNormalizer.toDate(raw.StartTime),
+				EndTime: endTime,
+				Duration: RecordNormalizer.toDurationMs(raw.Duration),
+				SessionType: RecordNormalizer.toText(raw.SessionType),
+				Flags: raw.Flags,
+				WtsSessionId: raw.WtsSessionId,
+				Server: RecordNormalizer.toText(raw.Server),
+				IsActive: endTime === null,
+				raw
+			};
+		},
+		
+		/**
+		 * Normalize the records of a report payload
+		 * 
+		 * @param {Object} jsonData - Report payload
+		 * @returns {{addrData: Array, sessionData: Array}} Typed records
+		 */
+		normalizeReport: (jsonData) => ({
+			addrData: (jsonData.AddrData || []).map(RecordNormalizer.addr),
+			sessionData: (jsonData.SessionData || []).map(RecordNormalizer.session)
+		})
+	};
+	
+	/**
+	 * Search Query Language
+	 * Parses the connections search box: free text plus field terms such as
+	 * `type:attack fails>50 user:admin* ip:185.220.0.0/16 last:24h -user:backup`.
+	 * Terms are combined with AND, a leading '-' negates a term, commas list alternatives
+	 * (`user:admin,root`) and `*` / `?` are wildcards. Invalid terms are reported and skipped
+	 */
+	const SearchQuery = {
+		// Field names (and aliases) -> canonical field
+		fields: {
+			type: 'type',
+			ip: 'ip',
+			user: 'user',
+			host: 'host',
+			hostname: 'host',
+			server: 'server',
+			fails: 'fails',
+			failed: 'fails',
+			success: 'success',
+			attempts: 'attempts',
+			users: 'users',
+			first: 'first',
+			last: 'last'
+		},
+		
+		// Value kind of each canonical field
+		kinds: {
+			type: 'text',
+			user: 'text',
+			host: 'text',
+			server: 'text',
+			ip: 'ip',
+			fails: 'number',
+			success: 'number',
+			attempts: 'number',
+			users: 'number',
+			first: 'time',
+			last: 'time'
+		},
+		
+		// Relative time units (last:24h, first:7d)
+		units: {
+			m: 60000,
+			h: 3600000,
+			d: 86400000,
+			w: 604800000
+		},
+		
+		/**
+		 * Convert an IPv4 address to an unsigned 32-bit number
+		 * 
+		 * @param {string} ip - IP address
+		 * @returns {number|null} Address number or null when not IPv4
+		 */
+		ipv4ToNumber: (ip) => {
+			const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(String(ip).trim());
+			if (!match) return null;
+			const octets = match.slice(1).map(Number);
+			if (octets.some(octet => octet > 255)) return null;
+			return ((octets[0] << 24) >>> 0) + (octets[1] << 16) + (octets[2] << 8) + octets[3];
+		},
+		
+		/**
+		 * Compile a text value to a matcher
+		 * Values with wildcards match the whole text, plain values match exactly
+		 * 
+		 * @param {string} value - Lowercase value, may contain * and ?
+		 * @returns {Function} (text) => boolean
+		 */
+		textMatcher: (value) => {
+			if (!/[*?]/.test(value)) return (text) => text === value;
+			const pattern = value.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+			const regex = new RegExp(`^${pattern}$`);
+			return (text) => regex.test(text);
+		},
+		
+		/**
+		 * Compile an ip: value (exact address, wildcard or IPv4 CIDR block)
+		 * 
+		 * @param {string} value - Lowercase value
+		 * @returns {Function} (ip, ipNumber) => boolean
+		 * @throws {Error} When a CIDR block is invalid
+		 */
+		ipMatcher: (value) => {
+			if (!value.includes('/')) {
+				const match = SearchQuery.textMatcher(value);
+				return (ip) => match(ip);
+			}
+			
+			const [address, bits] = value.split('/');
+			const base = SearchQuery.ipv4ToNumber(address);
+			const prefix = Number(bits);
+			if (base === null || !/^\d{1,2}$/.test(bits) || prefix > 32) {
+				throw new Error(`'${value}' is not an IPv4 CIDR block such as 185.220.0.0/16`);
+			}
+			const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+			const network = (base & mask) >>> 0;
+			return (ip, ipNumber) => ipNumber !== null && ((ipNumber & mask) >>> 0) === network;
+		},
+		
+		/**
+		 * Compile one field term
+		 * 
+		 * @param {string} field - Canonical field
+		 * @param {string} operator - ':', '=', '>', '>=', '<' or '<='
+		 * @param {string} value - Term value
+		 * @returns {Function} (item, entry, now) => boolean
+		 * @throws {Error} When the operator or value does not fit the field
+		 */
+		compileField: (field, operator, value) => {
+			const kind = SearchQuery.kinds[field];
+			const lower = value.toLowerCase();
+			
+			if (kind === 'text' || kind === 'ip') {
+				if (operator !== ':' && operator !== '=') {
+					throw new Error(`${field} only supports ':' (e.g. ${field}:value)`);
+				}
+				const matchers = lower.split(',').filter(Boolean).map(kind === 'ip' ? SearchQuery.ipMatcher : SearchQuery.textMatcher);
+				const any = (text) => matchers.some(match => match(text));
+				switch (field) {
+					case 'type': return (item, entry) => any(entry.type);
+					case 'user': return (item, entry) => entry.users.some(any);
+					case 'host': return (item, entry) => any(entry.hostname);
+					case 'server': return (item) => any((item.Server || '').toLowerCase());
+					default: return (item, entry) => matchers.some(match => match(entry.ip, entry.ipNumber));
+				}
+			}
+			
+			if (kind === 'number') {
+				if (!/^\d+$/.test(value)) {
+					throw new Error(`${field} needs a whole number (e.g. ${field}>50)`);
+				}
+				const limit = Number(value);
+				const read = {
+					fails: item => item.FailCount,
+					success: item => item.SuccessCount,
+					attempts: item => item.TotalAttempts,
+					users: item => item.UserNames.length
+				}[field];
+				const compare = {
+					':': n => n === limit,
+					'=': n => n === limit,
+					'>': n => n > limit,
+					'>=': n => n >= limit,
+					'<': n => n < limit,
+					'<=': n => n <= limit
+				}[operator];
+				return (item) => compare(read(item));
+			}
+			
+			// Time fields: first/last seen within a relative window, or before/after a date
+			const read = field === 'first' ? item => item.FirstLocal : item => item.LastLocal;
+			if (operator === ':' || operator === '=') {
+				const match = /^(\d+)([mhdw])$/.exec(lower);
+				if (!match) {
+					throw new Error(`${field} needs a time window such as ${field}:24h (units m, h, d, w)`);
+				}
+				const window = Number(match[1]) * SearchQuery.units[match[2]];
+				return (item, entry, now) => {
+					const date = read(item);
+					return date !== null && date.getTime() >= now - window;
+				};
+			}
+			
+			const time = Date.parse(value);
+			if (isNaN(time)) {
+				throw new Error(`${field}${operator} needs a date such as ${field}${operator}2025-01-31`);
+			}
+			const compare = {
+				'>': t => t > time,
+				'>=': t => t >= time,
+				'<': t => t < time,
+				'<=': t => t <= time
+			}[operator];
+			return (item) => {
+				const date = read(item);
+				return date !== null && compare(date.getTime());
+			};
+		},
+		
+		/**
+		 * Parse a search query
+		 * 
+		 * @param {string} text - Search box text
+		 * @returns {{terms: Array, errors: Array<{term: string, message: string}>}} Compiled terms
+		 *          ({ term, negate, test }) and the terms that were skipped
+		 */
+		parse: (text) => {
+			const terms = [];
+			const errors = [];
+			const tokens = String(text || '').match(/(?:[^\s"]+|"[^"]*"?)+/g) || [];
+			
+			tokens.forEach(token => {
+				const negate = token.length > 1 && token.startsWith('-');
+				const body = negate ? token.slice(1) : token;
+				const fieldMatch = /^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i.exec(body);
+				
+				try {
+					if (!fieldMatch) {
+						// Free text: substring of IP, hostname or any username (wildcards match the whole value)
+						const lower = body.replace(/"/g, '').toLowerCase();
+						if (!lower) return;
+						const match = /[*?]/.test(lower) ? SearchQuery.textMatcher(lower) : (value) => value.includes(lower);
+						terms.push({
+							term: token,
+							negate,
+							test: (item, entry) => match(entry.ip) || match(entry.hostname) || entry.users.some(match)
+						});
+						return;
+					}
+					
+					const [, name, operator, rawValue] = fieldMatch;
+					const field = SearchQuery.fields[name.toLowerCase()];
+					if (!field) {
+						throw new Error(`Unknown field '${name}' (use ${Object.keys(SearchQuery.kinds).join(', ')})`);
+					}
+					const value = rawValue.replace(/^"|"$/g, '');
+					if (!value) {
+						throw new Error(`Missing value after ${name}${operator}`);
+					}
+					terms.push({ term: token, negate, test: SearchQuery.compileField(field, operator, value) });
+				} catch (error) {
+					errors.push({ term: token, message: error.message });
+				}
+			});
+			
+			return { terms, errors };
+		},
+		
+		/**
+		 * Test a connection record against a parsed query
+		 * 
+		 * @param {Object} query - parse() result
+		 * @param {Object} item - Typed connection record
+		 * @param {Object} entry - Record index entry (lowercase type, ip, hostname, users; ipNumber)
+		 * @param {number} now - Reference time for relative windows (ms)
+		 * @returns {boolean} True when every term matches
+		 */
+		matches: (query, item, entry, now) => {
+			return query.terms.every(term => term.test(item, entry, now) !== term.negate);
+		}
+	};
+	
+	/**
+	 * Connection Filter
+	 * Compiles the dashboard's filter chips into one record test. Each chip is
+	 * { kind, value }; chips of different kinds must all match, several user,
+	 * subnet or domain chips match any of their values
+	 */
+	const ConnectionFilter = {
+		// Chip kinds whose values are alternatives of each other
+		anyOf: ['user', 'subnet', 'domain'],
+		
+		// Date range presets: span back from now in milliseconds
+		datePresets: {
+			'1h': 3600000,
+			'24h': 86400000,
+			'7d': 7 * 86400000,
+			'30d': 30 * 86400000
+		},
+		
+		/**
+		 * Resolve a date chip value to absolute bounds
+		 * A preset ({ preset: '24h' }) counts back from now, so it follows live data reloads
+		 * 
+		 * @param {Object} value - { from, to } in ms (null for an open bound) or { preset }
+		 * @param {number} now - Current time in ms
+		 * @returns {{from: number, to: number}} Bounds, -Infinity / Infinity when open
+		 * @throws {Error} When the preset is unknown
+		 */
+		dateRange: (value, now = Date.now()) => {
+			if (value.preset) {
+				const span = ConnectionFilter.datePresets[value.preset];
+				if (!span) throw new Error(`Unknown date range preset: ${value.preset}`);
+				return { from: now - span, to: Infinity };
+			}
+			return {
+				from: value.from === null || value.from === undefined ? -Infinity : Number(value.from),
+				to: value.to === null || value.to === undefined ? Infinity : Number(value.to)
+			};
+		},
+		
+		/**
+		 * Compile one chip
+		 * 
+		 * @param {Object} filter - { kind, value }
+		 * @param {Array} errors - Receives skipped search terms
+		 * @param {number} now - Current time in ms (date presets)
+		 * @returns {Function|null} (item, entry, now) => boolean, null when the chip does not filter
+		 * @throws {Error} When the chip value is invalid
+		 */
+		compileChip: (filter, errors, now = Date.now()) => {
+			const { kind, value } = filter;
+			switch (kind) {
+				case 'type':
+					return value && value !== 'all' ? (item, entry) => entry.type === value : null;
+				
+				case 'search': {
+					const query = SearchQuery.parse(value);
+					errors.push(...query.errors);
+					return query.terms.length ? (item, entry, now) => SearchQuery.matches(query, item, entry, now) : null;
+				}
+				
+				case 'date': {
+					// Seen during the range: FirstLocal-LastLocal overlaps [from, to]
+					const { from, to } = ConnectionFilter.dateRange(value, now);
+					return (item) => {
+						const last = item.LastLocal || item.FirstLocal;
+						const first = item.FirstLocal || item.LastLocal;
+						return last !== null && first.getTime() <= to && last.getTime() >= from;
+					};
+				}
+				
+				case 'fails': {
+					const min = value.min === null || value.min === undefined ? -Infinity : Number(value.min);
+					const max = value.max === null || value.max === undefined ? Infinity : Number(value.max);
+					return (item) => item.FailCount >= min && item.FailCount <= max;
+				}
+				
+				case 'user':
+					return SearchQuery.compileField('user', ':', String(value));
+				
+				case 'subnet':
+					return SearchQuery.compileField('ip', ':', String(value));
+				
+				case 'domain':
+					// The domain itself or any host in it
+					return SearchQuery.compileField('host', ':', `${value},*.${value}`);
+				
+				default:
+					throw new Error(`Unknown filter: ${kind}`);
+			}
+		},
+		
+		/**
+		 * Compile the filter chips
+		 * 
+		 * @param {Array<{kind: string, value: *}>} filters - Active chips
+		 * @param {number} now - Current time in ms (date presets)
+		 * @returns {{test: Function, errors: Array}} Record test (item, entry, now) => boolean and skipped search terms
+		 */
+		compile: (filters = [], now = Date.now()) => {
+			const errors = [];
+			const groups = new Map();
+			
+			filters.forEach(filter => {
+				let test;
+				try {
+					test = ConnectionFilter.compileChip(filter, errors, now);
+				} catch (error) {
+					DEBUG && console.warn('⚠️ Filter skipped:', filter, error.message);
+					return;
+				}
+				if (!test) return;
+				
+				// One group per kind, except alternatives (user, subnet) which share a group
+				const key = ConnectionFilter.anyOf.includes(filter.kind) ? filter.kind : `${filter.kind}#${groups.size}`;
+				if (!groups.has(key)) groups.set(key, []);
+				groups.get(key).push(test);
+			});
+			
+			const tests = Array.from(groups.values()).map(group => group.length === 1 ?
+				group[0] :
+				(item, entry, now) => group.some(test => test(item, entry, now)));
+			
+			return {
+				test: (item, entry, now) => tests.every(test => test(item, entry, now)),
+				errors
+			};
+		},
+		
+		/**
+		 * Compile the chips that apply to session records
+		 * Only the date range does: StartTime-EndTime overlaps it, active sessions extend to now
+		 * 
+		 * @param {Array<{kind: string, value: *}>} filters - Active chips
+		 * @param {number} now - Current time in ms
+		 * @returns {Function} Session test (session) => boolean
+		 */
+		compileSessions: (filters = [], now = Date.now()) => {
+			const ranges = [];
+			filters.forEach(filter => {
+				if (filter.kind !== 'date') return;
+				try {
+					ranges.push(ConnectionFilter.dateRange(filter.value, now));
+				} catch (error) {
+					DEBUG && console.warn('⚠️ Filter skipped:', filter, error.message);
+				}
+			});
+			
+			return (session) => ranges.every(({ from, to }) => {
+				const start = session.StartTime || session.EndTime;
+				if (start === null) return false;
+				const end = session.IsActive ? now : session.EndTime.getTime();
+				return start.getTime() <= to && end >= from;
+			});
+		}
+	};
+	
+	/**
+	 * Session Query
+	 * Free-text search, SessionType and active/ended filters and the multi-key sort
+	 * of the sessions table
+	 */
+	const SessionQuery = {
+		// Sortable session fields
+		fields: ['user', 'ip', 'start', 'end', 'duration'],
+		
+		/**
+		 * Compile the sessions table filters
+		 * Every search word must appear in the user, IP, server, session type or session ID
+		 * 
+		 * @param {Object} view - { search, type, status }: type is a SessionType or 'all',
+		 *                        status is 'active', 'ended' or 'all'
+		 * @returns {Function} Session test (session) => boolean
+		 */
+		compile: ({ search = '', type = 'all', status = 'all' } = {}) => {
+			const words = String(search).toLowerCase().split(/\s+/).filter(Boolean);
+			const sessionType = String(type).toLowerCase();
+			const text = (value) => value === null || value === undefined ? '' : String(value);
+			
+			return (session) => {
+				if (status === 'active' && !session.IsActive) return false;
+				if (status === 'ended' && session.IsActive) return false;
+				if (sessionType !== 'all' && (session.SessionType || 'Unknown').toLowerCase() !== sessionType) return false;
+				if (words.length === 0) return true;
+				
+				const haystack = [session.User, session.IP, session.Server, session.SessionType, session.SessionId]
+					.map(text).join(' ').toLowerCase();
+				return words.every(word => haystack.includes(word));
+			};
+		},
+		
+		/**
+		 * Get the sort value of a session field
+		 * Active sessions end now and last until now
+		 * 
+		 * @param {Object} session - Session record
+		 * @param {string} field - Sort field
+		 * @param {number} now - Current time in ms
+		 * @returns {string|number} Sort value
+		 */
+		value: (session, field, now) => {
+			const start = session.StartTime ? session.StartTime.getTime() : 0;
+			switch (field) {
+				case 'user':
+					return (session.User || '').toLowerCase();
+				case 'ip':
+					return (session.IP || '').toLowerCase();
+				case 'start':
+					return start;
+				case 'end':
+					return session.IsActive ? now : session.EndTime.getTime();
+				case 'duration':
+					if (session.Duration !== null && session.Duration !== undefined) return session.Duration;
+					return session.IsActive && start ? now - start : 0;
+				default:
+					return 0;
+			}
+		},
+		
+		/**
+		 * Compile a comparator of several sort keys, ties fall through to the next key
+		 * 
+		 * @param {Array<{field: string, direction: string}>} sort - Sort keys by priority
+		 * @param {number} now - Current time in ms
+		 * @returns {Function} Comparator (a, b) => number of two sessions
+		 */
+		comparator: (sort = [], now = Date.now()) => {
+			const keys = sort.filter(key => SessionQuery.fields.includes(key.field));
+			return (a, b) => {
+				for (const key of keys) {
+					const aVal = SessionQuery.value(a, key.field, now);
+					const bVal = SessionQuery.value(b, key.field, now);
+					const order = typeof aVal === 'string' ? aVal.localeCompare(bVal) : aVal - bVal;
+					if (order !== 0) return key.direction === 'asc' ? order : -order;
+				}
+				return 0;
+			};
+		},
+		
+		/**
+		 * Sort sessions by several keys (see comparator)
+		 * 
+		 * @param {Array} sessions - Session records
+		 * @param {Array<{field: string, direction: string}>} sort - Sort keys by priority
+		 * @param {number} now - Current time in ms
+		 * @returns {Array} Sorted copy
+		 */
+		sort: (sessions, sort = [], now = Date.now()) => sessions.slice().sort(SessionQuery.comparator(sort, now))
+	};
+	
+	/**
+	 * Connection Facets
+	 * Counts the matching connection records by type, attempted username, /24 and /16
+	 * subnet, hostname domain and fail-count bucket for the facet panel
+	 */
+	const ConnectionFacets = {
+		// Values returned per facet, most frequent first
+		limit: 10,
+		
+		// Fail-count buckets: inclusive bounds, null for open-ended
+		failBuckets: [
+			{ min: 0, max: 0 },
+			{ min: 1, max: 9 },
+			{ min: 10, max: 49 },
+			{ min: 50, max: 99 },
+			{ min: 100, max: 499 },
+			{ min: 500, max: null }
+		],
+		
+		/**
+		 * Get the domain of a hostname: its last two labels
+		 * 
+		 * @param {string} hostname - Lowercase hostname
+		 * @returns {string|null} Domain, null for unresolved names and IP addresses
+		 */
+		domainOf: (hostname) => {
+			if (!hostname || hostname === 'unresolved' || /^[\d.]+$/.test(hostname) || hostname.includes(':')) return null;
+			const labels = hostname.replace(/\.$/, '').split('.');
+			return labels.length >= 2 ? labels.slice(-2).join('.') : null;
+		},
+		
+		/**
+		 * Create a facet counter
+		 * 
+		 * @returns {{add: Function, result: Function}} add(item, entry) counts a record, result() returns the facets
+		 */
+		create: () => {
+			const counts = {
+				type: new Map(),
+				user: new Map(),
+				subnet24: new Map(),
+				subnet16: new Map(),
+				domain: new Map()
+			};
+			// Display spelling of each lowercase username
+			const userNames = new Map();
+			const fails = ConnectionFacets.failBuckets.map(() => 0);
+			const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+			
+			return {
+				add: (item, entry) => {
+					count(counts.type, entry.type);
+					
+					// Each IP counts once per username it attempted
+					new Set(entry.users).forEach(user => count(counts.user, user));
+					item.UserNames.forEach(user => {
+						if (!userNames.has(user.toLowerCase())) userNames.set(user.toLowerCase(), user);
+					});
+					
+					if (entry.ipNumber !== null) {
+						const n = entry.ipNumber;
+						count(counts.subnet24, `${n >>> 24}.${(n >>> 16) & 255}.${(n >>> 8) & 255}.0/24`);
+						count(counts.subnet16, `${n >>> 24}.${(n >>> 16) & 255}.0.0/16`);
+					}
+					
+					const domain = ConnectionFacets.domainOf(entry.hostname);
+					if (domain) count(counts.domain, domain);
+					
+					const bucket = ConnectionFacets.failBuckets.findIndex(range =>
+						item.FailCount >= range.min && (range.max === null || item.FailCount <= range.max));
+					if (bucket >= 0) fails[bucket]++;
+				},
+				
+				result: () => {
+					const top = (map, label = key => key) => Array.from(map.entries())
+						.sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+						.slice(0, ConnectionFacets.limit)
+						.map(([key, value]) => ({ value: label(key), count: value }));
+					
+					return {
+						type: top(counts.type),
+						user: top(counts.user, user => userNames.get(user) || user),
+						subnet24: top(counts.subnet24),
+						subnet16: top(counts.subnet16),
+						domain: top(counts.domain),
+						fails: ConnectionFacets.failBuckets.map((range, index) => ({ ...range, count: fails[index] })),
+						distinct: {
+							user: counts.user.size,
+							subnet24: counts.subnet24.size,
+							subnet16: counts.subnet16.size,
+							domain: counts.domain.size
+						}
+					};
+				}
+			};
+		}
+	};
+	
+	/**
+	 * Activity Heatmap
+	 * Counts connection activity per local weekday and hour of day. Records keep only the
+	 * time of the first and last attempt of an IP, so its count is split between those two hours
+	 */
+	const ActivityHeatmap = {
+		// Weekday rows, Monday first
+		weekdays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+		
+		/**
+		 * Get the cell of a local time: weekday (Monday first) * 24 + hour
+		 * 
+		 * @param {Date} date - Local time
+		 * @returns {number} Cell index 0-167
+		 */
+		cell: (date) => ((date.getDay() + 6) % 7) * 24 + date.getHours(),
+		
+		/**
+		 * Create a heatmap counter
+		 * Attack traffic is the failures of Attack and Mixed records, legit traffic the
+		 * successful logons of Legit records
+		 * 
+		 * @returns {{add: Function, result: Function}} add(item, entry) counts a record, result() returns the cells
+		 */
+		create: () => {
+			const traffic = {
+				attack: { attempts: new Array(168).fill(0), ips: Array.from({ length: 168 }, () => new Set()) },
+				legit: { attempts: new Array(168).fill(0), ips: Array.from({ length: 168 }, () => new Set()) }
+			};
+			
+			return {
+				add: (item, entry) => {
+					const kind = entry.type === 'attack' || entry.type === 'mixed' ? 'attack' : entry.type === 'legit' ? 'legit' : null;
+					if (!kind) return;
+					const count = kind === 'attack' ? item.FailCount : item.SuccessCount;
+					if (!(count > 0)) return;
+					
+					const cells = [...new Set([item.FirstLocal, item.LastLocal]
+						.filter(date => date && !isNaN(date.getTime()))
+						.map(ActivityHeatmap.cell))];
+					// Whole counts: the first hour takes the smaller half
+					cells.forEach((cell, index) => {
+						const share = Math.floor(count / cells.length);
+						traffic[kind].attempts[cell] += index === cells.length - 1 ? count - share * index : share;
+						traffic[kind].ips[cell].add(item.IP);
+					});
+				},
+				
+				result: () => {
+					const cells = (counts) => ({
+						attempts: counts.attempts,
+						ips: counts.ips.map(ips => ips.size)
+					});
+					return { attack: cells(traffic.attack), legit: cells(traffic.legit) };
+				}
+			};
+		}
+	};
+	
+	/**
+	 * Risk Score
+	 * Rates each connection record from 0 to 100: every factor is scaled to 0–1 and the
+	 * score is their weighted average. Records without failed logons score 0
+	 */
+	const RiskScore = {
+		// Factor weights, relative to each other (adjustable in the settings)
+		defaultWeights: {
+			fails: 30,
+			rate: 20,
+			users: 20,
+			success: 20,
+			recency: 10
+		},
+		
+		// Factor values that score 1: failed attempts, failed attempts per minute, usernames tried
+		saturation: {
+			fails: 1000,
+			rate: 60,
+			users: 20
+		},
+		
+		// Activity this old counts half as recent, in ms
+		recencyHalfLife: 24 * 60 * 60 * 1000,
+		
+		/**
+		 * Complete partial weights with the defaults, dropping invalid values
+		 * 
+		 * @param {Object} weights - Weights by factor, 0–100
+		 * @returns {Object} Weights of every factor
+		 */
+		weights: (weights = {}) => {
+			const result = {};
+			Object.keys(RiskScore.defaultWeights).forEach(factor => {
+				const value = Number(weights && weights[factor]);
+				result[factor] = Number.isFinite(value) && value >= 0 && value <= 100 ?
+					value : RiskScore.defaultWeights[factor];
+			});
+			return result;
+		},
+		
+		/**
+		 * Scale the risk factors of a record to 0–1
+		 * Counts use a log scale, so the first attempts weigh most
+		 * 
+		 * @param {Object} item - Typed connection record
+		 * @param {number} now - Current time in ms
+		 * @returns {Object} Factor values: fails, rate, users, success (after failures) and recency
+		 */
+		factors: (item, now = Date.now()) => {
+			const scale = (value, max) => Math.min(1, Math.log1p(Math.max(0, value)) / Math.log1p(max));
+			const minutes = Math.max(1, (item.Duration || 0) / 60000);
+			const lastSeen = item.LastLocal ? item.LastLocal.getTime() : null;
+			
+			let recency = 0;
+			if (item.IsOngoing) {
+				recency = 1;
+			} else if (lastSeen !== null) {
+				recency = Math.pow(0.5, Math.max(0, now - lastSeen) / RiskScore.recencyHalfLife);
+			}
+			
+			return {
+				fails: scale(item.FailCount, RiskScore.saturation.fails),
+				rate: scale(item.FailCount / minutes, RiskScore.saturation.rate),
+				// A single username is the baseline
+				users: scale(item.UserNames.length - 1, RiskScore.saturation.users - 1),
+				success: item.FailCount > 0 && item.SuccessCount > 0 ? 1 : 0,
+				recency
+			};
+		},
+		
+		/**
+		 * Score a connection record
+		 * 
+		 * @param {Object} item - Typed connection record
+		 * @param {Object} weights - Weights by factor (see weights())
+		 * @param {number} now - Current time in ms
+		 * @returns {number} Risk score, 0–100
+		 */
+		score: (item, weights = RiskScore.defaultWeights, now = Date.now()) => {
+			if (!(item.FailCount > 0)) return 0;
+			
+			const factors = RiskScore.factors(item, now);
+			let total = 0;
+			let weighted = 0;
+			Object.keys(RiskScore.defaultWeights).forEach(factor => {
+				const weight = weights[factor] || 0;
+				total += weight;
+				weighted += weight * factors[factor];
+			});
+			return total > 0 ? Math.round((weighted / total) * 100) : 0;
+		}
+	};
+	
+	/**
+	 * Campaign Detector
+	 * Finds password spraying and distributed brute force: groups of IPs that tried
+	 * largely the same usernames at overlapping times, each with too few attempts to
+	 * stand out alone. IPs are linked pairwise and a campaign is a connected group
+	 */
+	const CampaignDetector = {
+		// Smallest campaign, in IPs
+		minIps: 3,
+		
+		// Most failed attempts of a member IP; IPs above it are ordinary brute force on their own
+		maxIpFails: 25,
+		
+		// IPs each IP is compared with per username, in start order; linking is transitive,
+		// so a busy username (administrator) still chains its IPs without comparing every pair
+		maxComparisons: 50,
+		
+		// Two IPs link when the usernames they share are at least this share of all their usernames
+		minSimilarity: 0.5,
+		
+		// Activity windows this far apart still count as overlapping, in ms
+		windowGap: 60 * 60 * 1000,
+		
+		// Failed attempts per targeted account and IP up to which a campaign counts as spraying
+		sprayAttempts: 3,
+		
+		// Campaigns returned, most IPs first
+		limit: 50,
+		
+		/**
+		 * Share of the usernames of two IPs that both tried (Jaccard index)
+		 * 
+		 * @param {Set<string>} a - Lowercase usernames
+		 * @param {Set<string>} b - Lowercase usernames
+		 * @returns {number} Similarity, 0–1
+		 */
+		similarity: (a, b) => {
+			let shared = 0;
+			a.forEach(user => {
+				if (b.has(user)) shared++;
+			});
+			return shared / (a.size + b.size - shared);
+		},
+		
+		/**
+		 * Detect campaigns in connection records
+		 * Records of the same IP from several servers count as one attacker
+		 * 
+		 * @param {Array} records - Typed connection records
+		 * @returns {Array<Object>} Campaigns: { kind ('spraying' | 'distributed'), ips: [{ ip, fails, users }],
+		 *                          accounts: [{ user, ips }] (most IPs first), start, end (ms), fails }
+		 */
+		detect: (records) => {
+			// One attacker per IP: failed logons with usernames and a time window
+			const byIp = new Map();
+			records.forEach(item => {
+				if (!(item.FailCount > 0) || item.UserNames.length === 0 || !item.FirstLocal || !item.LastLocal) return;
+				let attacker = byIp.get(item.IP);
+				if (!attacker) {
+					attacker = { ip: item.IP, fails: 0, users: new Map(), start: Infinity, end: -Infinity };
+					byIp.set(item.IP, attacker);
+				}
+				attacker.fails += item.FailCount;
+				item.UserNames.forEach(user => {
+					if (!attacker.users.has(user.toLowerCase())) attacker.users.set(user.toLowerCase(), user);
+				});
+				attacker.start = Math.min(attacker.start, item.FirstLocal.getTime());
+				attacker.end = Math.max(attacker.end, item.LastLocal.getTime());
+			});
+			const attackers = [...byIp.values()].filter(attacker => attacker.fails <= CampaignDetector.maxIpFails);
+			attackers.forEach(attacker => {
+				attacker.userSet = new Set(attacker.users.keys());
+			});
+			
+			// Union-find over the attackers
+			const parent = attackers.map((attacker, i) => i);
+			const find = (i) => {
+				while (parent[i] !== i) {
+					parent[i] = parent[parent[i]];
+					i = parent[i];
+				}
+				return i;
+			};
+			
+			// Only IPs sharing a username can link: compare within each username, sweeping by start time
+			const byUser = new Map();
+			attackers.forEach((attacker, i) => {
+				attacker.userSet.forEach(user => {
+					if (!byUser.has(user)) byUser.set(user, []);
+					byUser.get(user).push(i);
+				});
+			});
+			byUser.forEach(members => {
+				members.sort((a, b) => attackers[a].start - attackers[b].start);
+				for (let x = 0; x < members.length; x++) {
+					const a = attackers[members[x]];
+					const last = Math.min(members.length, x + 1 + CampaignDetector.maxComparisons);
+					for (let y = x + 1; y < last; y++) {
+						const b = attackers[members[y]];
+						if (b.start > a.end + CampaignDetector.windowGap) break;
+						const rootA = find(members[x]);
+						const rootB = find(members[y]);
+						if (rootA !== rootB && CampaignDetector.similarity(a.userSet, b.userSet) >= CampaignDetector.minSimilarity) {
+							parent[rootB] = rootA;
+						}
+					}
+				}
+			});
+			
+			const groups = new Map();
+			attackers.forEach((attacker, i) => {
+				const root = find(i);
+				if (!groups.has(root)) groups.set(root, []);
+				groups.get(root).push(attacker);
+			});
+			
+			const campaigns = [];
+			groups.forEach(members => {
+				if (members.length < CampaignDetector.minIps) return;
+				
+				const accounts = new Map();
+				let fails = 0;
+				let attempts = 0;
+				let start = Infinity;
+				let end = -Infinity;
+				members.forEach(attacker => {
+					fails += attacker.fails;
+					attempts += attacker.users.size;
+					start = Math.min(start, attacker.start);
+					end = Math.max(end, attacker.end);
+					attacker.users.forEach((user, key) => {
+						if (!accounts.has(key)) accounts.set(key, { user, ips: 0 });
+						accounts.get(key).ips++;
+					});
+				});
+				
+				campaigns.push({
+					kind: fails / attempts <= CampaignDetector.sprayAttempts ? 'spraying' : 'distributed',
+					ips: members
+						.sort((a, b) => b.fails - a.fails || a.ip.localeCompare(b.ip))
+						.map(attacker => ({ ip: attacker.ip, fails: attacker.fails, users: [...attacker.users.values()] })),
+					accounts: [...accounts.values()].sort((a, b) => b.ips - a.ips || a.user.localeCompare(b.user)),
+					start,
+					end,
+					fails
+				});
+			});
+			
+			return campaigns
+				.sort((a, b) => b.ips.length - a.ips.length || b.fails - a.fails)
+				.slice(0, CampaignDetector.limit);
+		}
+	};
+	
+	/**
+	 * Compromise Detector
+	 * Finds IPs that may have broken in: many failed logons and a successful one,
+	 * or a session opened from an IP classified as attacking
+	 */
+	const CompromiseDetector = {
+		// Failed logons before a successful one flags an IP that is not classified as attacking
+		// (Attack or Mixed IPs need one), so a mistyped password of a legit user is no incident
+		minFails: 10,
+		
+		/**
+		 * Detect possibly compromised logons
+		 * Records of the same IP from several servers count as one IP
+		 * 
+		 * @param {Array} records - Typed connection records
+		 * @param {Array} sessions - Typed session records
+		 * @returns {Array<Object>} Incidents, latest first: { ip, fails, successes, sessions (count),
+		 *                          accounts (session users, first logon first), attempted (usernames),
+		 *                          firstSuccess (ms of the first session, null when no session is recorded),
+		 *                          lastSeen (ms), servers, evidence ('session' | 'logon'),
+		 *                          afterFailures (logged on besides enough failed logons),
+		 *                          attackingSession (opened a session while classified as attacking) }
+		 */
+		detect: (records, sessions) => {
+			const sessionsByIp = new Map();
+			sessions.forEach(session => {
+				if (!session.IP) return;
+				if (!sessionsByIp.has(session.IP)) sessionsByIp.set(session.IP, []);
+				sessionsByIp.get(session.IP).push(session);
+			});
+			
+			const byIp = new Map();
+			records.forEach(item => {
+				let entry = byIp.get(item.IP);
+				if (!entry) {
+					entry = { ip: item.IP, fails: 0, successes: 0, attacking: false, attempted: new Set(), lastSeen: null, servers: new Set() };
+					byIp.set(item.IP, entry);
+				}
+				const type = item.ConnectionType.toLowerCase();
+				entry.fails += item.FailCount;
+				entry.successes += item.SuccessCount;
+				entry.attacking = entry.attacking || type === 'attack' || type === 'mixed';
+				item.UserNames.forEach(user => entry.attempted.add(user));
+				if (item.LastLocal && (entry.lastSeen === null || item.LastLocal.getTime() > entry.lastSeen)) {
+					entry.lastSeen = item.LastLocal.getTime();
+				}
+				if (item.Server) entry.servers.add(item.Server);
+			});
+			
+			const incidents = [];
+			byIp.forEach(entry => {
+				const ipSessions = (sessionsByIp.get(entry.ip) || [])
+					.filter(session => session.StartTime)
+					.sort((a, b) => a.StartTime - b.StartTime);
+				const afterFailures = entry.successes > 0 && entry.fails >= (entry.attacking ? 1 : CompromiseDetector.minFails);
+				const attackingSession = entry.attacking && ipSessions.length > 0;
+				if (!afterFailures && !attackingSession) return;
+				
+				incidents.push({
+					ip: entry.ip,
+					fails: entry.fails,
+					successes: entry.successes,
+					sessions: ipSessions.length,
+					accounts: [...new Set(ipSessions.map(session => session.User || 'Unknown'))],
+					attempted: [...entry.attempted],
+					firstSuccess: ipSessions.length > 0 ? ipSessions[0].StartTime.getTime() : null,
+					lastSeen: entry.lastSeen,
+					servers: [...entry.servers].sort((a, b) => a.localeCompare(b)),
+					evidence: ipSessions.length > 0 ? 'session' : 'logon',
+					afterFailures,
+					attackingSession
+				});
+			});
+			
+			const latest = incident => Math.max(incident.firstSuccess || 0, incident.lastSeen || 0);
+			return incidents.sort((a, b) => latest(b) - latest(a) || a.ip.localeCompare(b.ip));
+		}
+	};
+	
+	/**
+	 * Account Analytics
+	 * Aggregates the attempted usernames of the connection records per account: how many
+	 * attacking IPs and failed attempts targeted it and whether it also logs on legitimately.
+	 * Records count failures per IP, not per username, so the failures of an IP are split
+	 * evenly between the usernames it tried
+	 */
+	const AccountAnalytics = {
+		// Longest activity window spread over the drill-down timeline, in days
+		maxTimelineDays: 366,
+		
+		/**
+		 * Get the matching key of a username: lowercase, without a DOMAIN\ prefix
+		 * 
+		 * @param {string} user - Username
+		 * @returns {string} Account key
+		 */
+		key: (user) => {
+			const name = String(user || '').trim().toLowerCase();
+			return name.slice(name.lastIndexOf('\\') + 1);
+		},
+		
+		/**
+		 * Get the IPs classified as attacking (Attack or Mixed)
+		 * 
+		 * @param {Array} records - Typed connection records
+		 * @returns {Set<string>} IP addresses
+		 */
+		attackingIps: (records) => new Set(records
+			.filter(item => ['attack', 'mixed'].includes(item.ConnectionType.toLowerCase()))
+			.map(item => item.IP)),
+		
+		/**
+		 * Rank the accounts of the connection records
+		 * An account is legit when a Legit record tried it or it has sessions from non-attacking IPs
+		 * 
+		 * @param {Array} records - Typed connection records
+		 * @param {Array} sessions - Typed session records
+		 * @returns {Array<Object>} Accounts, most attacking IPs first: { user, key, ips (attacking IPs),
+		 *                          attempts (estimated failed attempts), legit, sessions (legitimate sessions),
+		 *                          firstSeen, lastSeen (ms of the attacking records, null without attacks) }
+		 */
+		aggregate: (records, sessions) => {
+			const accounts = new Map();
+			const account = (user) => {
+				const key = AccountAnalytics.key(user);
+				if (!accounts.has(key)) {
+					accounts.set(key, { user, key, ips: new Set(), attempts: 0, legit: false, sessions: 0, firstSeen: null, lastSeen: null });
+				}
+				return accounts.get(key);
+			};
+			
+			const attacking = AccountAnalytics.attackingIps(records);
+			records.forEach(item => {
+				const users = [...new Set(item.UserNames)];
+				const type = item.ConnectionType.toLowerCase();
+				users.forEach(user => {
+					const entry = account(user);
+					if (type === 'legit') entry.legit = true;
+					if (!attacking.has(item.IP) || !(item.FailCount > 0)) return;
+					
+					entry.ips.add(item.IP);
+					entry.attempts += item.FailCount / users.length;
+					if (item.FirstLocal && (entry.firstSeen === null || item.FirstLocal.getTime() < entry.firstSeen)) {
+						entry.firstSeen = item.FirstLocal.getTime();
+					}
+					if (item.LastLocal && (entry.lastSeen === null || item.LastLocal.getTime() > entry.lastSeen)) {
+						entry.lastSeen = item.LastLocal.getTime();
+					}
+				});
+			});
+			
+			// Sessions of attacking IPs are possible compromises, not legitimate use
+			sessions.forEach(session => {
+				if (!session.User || attacking.has(session.IP)) return;
+				const entry = accounts.get(AccountAnalytics.key(session.User));
+				if (!entry) return;
+				entry.legit = true;
+				entry.sessions++;
+			});
+			
+			return [...accounts.values()]
+				.map(entry => ({ ...entry, ips: entry.ips.size, attempts: Math.round(entry.attempts) }))
+				.sort((a, b) => b.ips - a.ips || b.attempts - a.attempts || a.user.localeCompare(b.user));
+		},
+		
+		/**
+		 * Collect the attackers and daily activity of one account
+		 * The estimated failures of an IP are spread evenly over the days of its activity window
+		 * 
+		 * @param {Array} records - Typed connection records
+		 * @param {Array} sessions - Typed session records
+		 * @param {string} user - Username
+		 * @returns {Object} { attackers: [{ ip, type (Attack or Mixed), fails, attempts (estimated for the account), users,
+		 *                   firstSeen, lastSeen, server }] (most attempts first), days: { 'YYYY-MM-DD': [attempts, sessions] } }
+		 */
+		drillDown: (records, sessions, user) => {
+			const key = AccountAnalytics.key(user);
+			const dayMs = 24 * 60 * 60 * 1000;
+			const days = {};
+			const addDay = (time, index, value) => {
+				const day = new Date(time).toISOString().split('T')[0];
+				if (!days[day]) days[day] = [0, 0];
+				days[day][index] += value;
+			};
+			
+			const attacking = AccountAnalytics.attackingIps(records);
+			const attackers = [];
+			records.forEach(item => {
+				if (!attacking.has(item.IP) || !(item.FailCount > 0)) return;
+				const users = [...new Set(item.UserNames)];
+				if (!users.some(name => AccountAnalytics.key(name) === key)) return;
+				
+				const attempts = item.FailCount / users.length;
+				attackers.push({
+					ip: item.IP,
+					type: item.ConnectionType,
+					fails: item.FailCount,
+					attempts,
+					users: users.length,
+					firstSeen: item.FirstLocal ? item.FirstLocal.getTime() : null,
+					lastSeen: item.LastLocal ? item.LastLocal.getTime() : null,
+					server: item.Server || null
+				});
+				
+				const end = item.LastLocal ? item.LastLocal.getTime() : null;
+				if (end === null) return;
+				const start = item.FirstLocal ? Math.max(item.FirstLocal.getTime(), end - (AccountAnalytics.maxTimelineDays - 1) * dayMs) : end;
+				const spanDays = Math.floor(end / dayMs) - Math.floor(start / dayMs) + 1;
+				for (let day = 0; day < spanDays; day++) {
+					addDay(start + day * dayMs, 0, attempts / spanDays);
+				}
+			});
+			
+			sessions.forEach(session => {
+				if (session.StartTime && session.User && AccountAnalytics.key(session.User) === key && !attacking.has(session.IP)) {
+					addDay(session.StartTime.getTime(), 1, 1);
+				}
+			});
+			
+			return {
+				attackers: attackers.sort((a, b) => b.attempts - a.attempts || a.ip.localeCompare(b.ip)),
+				days
+			};
+		}
+	};
+	
+	/**
+	 * Parse the escaped JSON string PowerShell embeds in the report template
+	 * 
+	 * @param {string} jsonString - Escaped JSON from TEMPLATE_VARS.DATA_JSON
+	 * @returns {Object} Parsed payload
+	 * @throws {Error} When the string is not valid JSON
+	 */
+	function parsePowerShellJSON(jsonString) {
+		let cleanedJson = String(jsonString);
+		
+		// Remove outer quotes and unescape inner quotes
+		if (cleanedJson.startsWith('"') && cleanedJson.endsWith('"')) {
+			cleanedJson = cleanedJson.substring(1, cleanedJson.length - 1);
+		}
+		
+		// Replace escaped quotes
+		cleanedJson = cleanedJson.replace(/\\"/g, '"');
+		// Replace escaped backslashes
+		cleanedJson = cleanedJson.replace(/\\\\/g, '\\');
+		
+		try {
+			return JSON.parse(cleanedJson);
+		} catch (error) {
+			throw new Error(`invalid JSON (${error.message})`);
+		}
+	}
+	
+	/**
+	 * Compare two connection records for the table sort
+	 * 
+	 * @param {Object} a - Typed connection record
+	 * @param {Object} b - Typed connection record
+	 * @param {Object} sort - { field, direction }
+	 * @param {Map} [riskScores] - Risk score by record, for the risk sort
+	 * @returns {number} Sort order
+	 */
+	function compareRecords(a, b, sort, riskScores) {
+		let aVal, bVal;
+		
+		switch (sort.field) {
+			case 'ip':
+				aVal = a.IP.toLowerCase();
+				bVal = b.IP.toLowerCase();
+				break;
+			case 'type':
+				aVal = a.ConnectionType.toLowerCase();
+				bVal = b.ConnectionType.toLowerCase();
+				break;
+			case 'fails':
+				aVal = a.FailCount;
+				bVal = b.FailCount;
+				break;
+			case 'success':
+				aVal = a.SuccessCount;
+				bVal = b.SuccessCount;
+				break;
+			case 'attempts':
+				aVal = a.TotalAttempts;
+				bVal = b.TotalAttempts;
+				break;
+			case 'records':
+				aVal = a.RawRecords;
+				bVal = b.RawRecords;
+				break;
+			case 'ongoing':
+				aVal = a.IsOngoing ? 1 : 0;
+				bVal = b.IsOngoing ? 1 : 0;
+				break;
+			case 'first':
+				aVal = a.FirstLocal ? a.FirstLocal.getTime() : 0;
+				bVal = b.FirstLocal ? b.FirstLocal.getTime() : 0;
+				break;
+			case 'last':
+				aVal = a.LastLocal ? a.LastLocal.getTime() : 0;
+				bVal = b.LastLocal ? b.LastLocal.getTime() : 0;
+				break;
+			case 'risk':
+				aVal = riskScores.get(a);
+				bVal = riskScores.get(b);
+				break;
+			case 'users':
+				// Sort by number of users attempted
+				aVal = a.UserNames.length;
+				bVal = b.UserNames.length;
+				break;
+			default:
+				aVal = a[sort.field] || '';
+				bVal = b[sort.field] || '';
+		}
+		
+		if (sort.direction === 'asc') {
+			if (typeof aVal === 'string' && typeof bVal === 'string') {
+				return aVal.localeCompare(bVal);
+			}
+			return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+		}
+		if (typeof aVal === 'string' && typeof bVal === 'string') {
+			return bVal.localeCompare(aVal);
+		}
+		return bVal < aVal ? -1 : bVal > aVal ? 1 : 0;
+	}
+	
+	/**
+	 * Create an engine holding one normalized data set
+	 * The same engine runs inside the worker and, as a fallback, on the main thread
+	 * 
+	 * @returns {Object} Engine with check, open, load and query operations
+	 */
+	function createEngine() {
+		const state = {
+			addrData: [],
+			sessionData: [],
+			// Per-record values precomputed at load: lowercase type and search text, IPv4 number, time bucket keys
+			index: []
+		};
+		
+		// Report normalization progress every this many records
+		const progressStep = 5000;
+		
+		/**
+		 * Get the records of a server within the date range chip, for the analyses
+		 * that ignore the other filters
+		 * 
+		 * @param {Object} options - { server, filters: [{ kind, value }] }
+		 * @returns {{records: Array, sessions: Array}} Connection and session records in scope
+		 */
+		const scopeRecords = ({ server = 'all', filters = [] }) => {
+			const now = Date.now();
+			const dateFilters = filters.filter(entry => entry.kind === 'date');
+			const filter = ConnectionFilter.compile(dateFilters, now);
+			const sessionFilter = ConnectionFilter.compileSessions(dateFilters, now);
+			return {
+				records: state.addrData.filter((item, i) =>
+					(server === 'all' || item.Server === server) && filter.test(item, state.index[i], now)),
+				sessions: state.sessionData.filter(session =>
+					(server === 'all' || session.Server === server) && sessionFilter(session))
+			};
+		};
+		
+		const engine = {
+			/**
+			 * Parse and validate a payload without loading it
+			 * 
+			 * @param {Object} request - { text, data, format: 'json' | 'powershell', source }
+			 * @returns {{data: Object|null, diagnostics: Object}} Migrated payload and diagnostics
+			 */
+			check: (request) => {
+				let jsonData = request.data;
+				
+				if (jsonData === undefined) {
+					try {
+						jsonData = request.format === 'powershell' ?
+							parsePowerShellJSON(request.text) :
+							JSON.parse(request.text);
+					} catch (error) {
+						const diagnostics = ReportSchema.createDiagnostics(request.source);
+						ReportSchema.addIssue(diagnostics, 'error', {
+							section: request.format === 'powershell' ? 'DATA_JSON' : undefined,
+							message: `Report data could not be read: ${error.message}`
+						});
+						diagnostics.fatal = true;
+						return { data: null, diagnostics };
+					}
+				}
+				
+				return ReportSchema.process(jsonData, request.source);
+			},
+			
+			/**
+			 * Parse, validate and load a payload in one step
+			 * A fatal payload leaves the loaded data set untouched
+			 * 
+			 * @param {Object} request - Same as check()
+			 * @param {Function} progress - Progress callback (phase, done, total)
+			 * @returns {Object} check() result plus typed addrData and sessionData (null when fatal)
+			 */
+			open: (request, progress) => {
+				const checked = engine.check(request);
+				if (checked.diagnostics.fatal) {
+					return { ...checked, addrData: null, sessionData: null };
+				}
+				return { ...checked, ...engine.load({ data: checked.data }, progress) };
+			},
+			
+			/**
+			 * Normalize a validated payload and index it for queries
+			 * 
+			 * @param {Object} request - { data } validated payload
+			 * @param {Function} progress - Progress callback (phase, done, total)
+			 * @returns {{addrData: Array, sessionData: Array}} Typed records
+			 */
+			load: (request, progress = () => {}) => {
+				const rawAddr = request.data.AddrData || [];
+				const rawSessions = request.data.SessionData || [];
+				const addrData = new Array(rawAddr.length);
+				const index = new Array(rawAddr.length);
+				
+				for (let i = 0; i < rawAddr.length; i++) {
+					if (i % progressStep === 0) progress('Normalizing records', i, rawAddr.length);
+					
+					const item = RecordNormalizer.addr(rawAddr[i]);
+					addrData[i] = item;
+					index[i] = {
+						type: item.ConnectionType.toLowerCase(),
+						ip: item.IP.toLowerCase(),
+						ipNumber: SearchQuery.ipv4ToNumber(item.IP),
+						hostname: (item.Hostname || '').toLowerCase(),
+						users: item.UserNames.map(user => user.toLowerCase()),
+						dayKey: item.LastLocal ? item.LastLocal.toISOString().split('T')[0] : null,
+						monthKey: item.LastLocal ? `${item.LastLocal.getFullYear()}-${item.LastLocal.getMonth() + 1}` : null
+					};
+				}
+				progress('Normalizing records', rawAddr.length, rawAddr.length);
+				
+				state.addrData = addrData;
+				state.sessionData = rawSessions.map(RecordNormalizer.session);
+				state.index = index;
+				
+				DEBUG && console.log('🧮 Pipeline loaded:', {
+					addrData: addrData.length,
+					sessionData: state.sessionData.length
+				});
+				
+				return { addrData, sessionData: state.sessionData };
+			},
+			
+			/**
+			 * Filter and sort the connection records and aggregate the matching set,
+			 * so the table, KPI cards and charts all show the same records
+			 * 
+			 * @param {Object} options - { server, filters: [{ kind, value }] (see ConnectionFilter),
+			 *                           sort: [{ field, direction }] keys by priority (a single key may be passed as an object),
+			 *                           riskWeights: factor weights of the risk sort (see RiskScore) }
+			 * @returns {Object} Matching record indices (sorted), skipped search terms, KPI stats,
+			 *                   type counts and timeline buckets ({days, months}: key -> [fails, successes,
+			 *                   then one IP count per connection type in ReportSchema.connectionTypes order];
+			 *                   day keys are UTC dates and month keys local months, matching the timeline labels)
+			 *                   facet counts (see ConnectionFacets) and weekday by hour cells (see ActivityHeatmap)
+			 */
+			query: (options = {}) => {
+				const { server = 'all', filters = [], sort = [{ field: 'fails', direction: 'desc' }], riskWeights } = options;
+				const now = Date.now();
+				const filter = ConnectionFilter.compile(filters, now);
+				const sessionFilter = ConnectionFilter.compileSessions(filters, now);
+				const facets = ConnectionFacets.create();
+				const heatmap = ActivityHeatmap.create();
+				const indices = [];
+				const types = {};
+				const buckets = { days: {}, months: {} };
+				const stats = {
+					total: 0,
+					attacks: 0,
+					legit: 0,
+					mixed: 0,
+					unknown: 0,
+					totalFails: 0,
+					totalSuccess: 0,
+					activeSessions: 0
+				};
+				const typeKeys = ReportSchema.connectionTypes.map(type => type.toLowerCase());
+				const addToBucket = (bucket, key, item, typeIndex) => {
+					if (!bucket[key]) bucket[key] = new Array(2 + typeKeys.length).fill(0);
+					bucket[key][0] += item.FailCount;
+					bucket[key][1] += item.SuccessCount;
+					if (typeIndex >= 0) bucket[key][2 + typeIndex]++;
+				};
+				
+				state.addrData.forEach((item, i) => {
+					if (server !== 'all' && item.Server !== server) return;
+					const entry = state.index[i];
+					if (!filter.test(item, entry, now)) return;
+					
+					indices.push(i);
+					stats.total++;
+					if (entry.type === 'attack') stats.attacks++;
+					if (entry.type === 'legit') stats.legit++;
+					if (entry.type === 'mixed') stats.mixed++;
+					if (entry.type === 'unknown') stats.unknown++;
+					stats.totalFails += item.FailCount;
+					stats.totalSuccess += item.SuccessCount;
+					types[entry.type] = (types[entry.type] || 0) + 1;
+					facets.add(item, entry);
+					heatmap.add(item, entry);
+					
+					if (entry.dayKey) {
+						const typeIndex = typeKeys.indexOf(entry.type);
+						addToBucket(buckets.days, entry.dayKey, item, typeIndex);
+						addToBucket(buckets.months, entry.monthKey, item, typeIndex);
+					}
+				});
+				
+				// Sessions are a separate record set: active sessions follow the server scope and date range only
+				stats.activeSessions = state.sessionData.filter(session =>
+					session.IsActive && (server === 'all' || session.Server === server) && sessionFilter(session)
+				).length;
+				
+				// Later sort keys break ties of the earlier ones
+				const sortKeys = Array.isArray(sort) ? sort : [sort];
+				
+				// Risk scores are scored once per matching record, not per comparison
+				let riskScores;
+				if (sortKeys.some(key => key && key.field === 'risk')) {
+					const weights = RiskScore.weights(riskWeights);
+					riskScores = new Map(indices.map(i => [state.addrData[i], RiskScore.score(state.addrData[i], weights, now)]));
+				}
+				
+				indices.sort((a, b) => {
+					for (const key of sortKeys) {
+						const order = compareRecords(state.addrData[a], state.addrData[b], key, riskScores);
+						if (order !== 0) return order;
+					}
+					return 0;
+				});
+				
+				return {
+					indices: Int32Array.from(indices),
+					searchErrors: filter.errors,
+					stats,
+					types,
+					buckets,
+					facets: facets.result(),
+					heatmap: heatmap.result()
+				};
+			},
+			
+			/**
+			 * Filter and sort the sessions table
+			 * 
+			 * @param {Object} options - { server, filters: [{ kind, value }] (only the date range applies),
+			 *                           search, type, status (see SessionQuery.compile),
+			 *                           sort: [{ field, direction }] keys by priority }
+			 * @returns {{indices: Int32Array, total: number}} Matching session indices (sorted)
+			 *                                                  and the count of sessions in the server and date scope
+			 */
+			sessions: (options = {}) => {
+				const { server = 'all', filters = [], sort = [] } = options;
+				const now = Date.now();
+				const inRange = ConnectionFilter.compileSessions(filters, now);
+				const matches = SessionQuery.compile(options);
+				const indices = [];
+				let total = 0;
+				
+				state.sessionData.forEach((session, i) => {
+					if ((server !== 'all' && session.Server !== server) || !inRange(session)) return;
+					total++;
+					if (matches(session)) indices.push(i);
+				});
+				
+				const compare = SessionQuery.comparator(sort, now);
+				indices.sort((a, b) => compare(state.sessionData[a], state.sessionData[b]));
+				
+				return { indices: Int32Array.from(indices), total };
+			},
+			
+			/**
+			 * Detect spraying and distributed brute-force campaigns (see CampaignDetector)
+			 * 
+			 * @param {Object} options - { server, filters: [{ kind, value }] (only the date range applies) }
+			 * @returns {Array<Object>} Campaigns
+			 */
+			campaigns: (options = {}) => CampaignDetector.detect(scopeRecords(options).records),
+			
+			/**
+			 * Detect possibly compromised IPs (see CompromiseDetector)
+			 * 
+			 * @param {Object} options - { server, filters: [{ kind, value }] (only the date range applies) }
+			 * @returns {Array<Object>} Incidents
+			 */
+			compromises: (options = {}) => {
+				const { records, sessions } = scopeRecords(options);
+				return CompromiseDetector.detect(records, sessions);
+			},
+			
+			/**
+			 * Rank the attempted accounts (see AccountAnalytics)
+			 * 
+			 * @param {Object} options - { server, filters: [{ kind, value }] (only the date range applies) }
+			 * @returns {Array<Object>} Accounts
+			 */
+			accounts: (options = {}) => {
+				const { records, sessions } = scopeRecords(options);
+				return AccountAnalytics.aggregate(records, sessions);
+			},
+			
+			/**
+			 * Collect the attackers and daily activity of one account (see AccountAnalytics)
+			 * 
+			 * @param {Object} options - { server, filters (only the date range applies), user }
+			 * @returns {Object} Attackers and days
+			 */
+			account: (options = {}) => {
+				const { records, sessions } = scopeRecords(options);
+				return AccountAnalytics.drillDown(records, sessions, options.user);
+			}
+		};
+		
+		return engine;
+	}
+	
+	// Worker mode: serve engine requests posted by the dashboard
+	if (typeof WorkerGlobalScope !== 'undefined' && scope instanceof WorkerGlobalScope) {
+		const engine = createEngine();
+		
+		scope.onmessage = (event) => {
+			const { id, type, payload, debug } = event.data;
+			DEBUG = Boolean(debug);
+			
+			const progress = (phase, done, total) => scope.postMessage({ id, progress: { phase, done, total } });
+			try {
+				if (typeof engine[type] !== 'function') {
+					throw new Error(`Unknown pipeline request: ${type}`);
+				}
+				const result = engine[type](payload, progress);
+				scope.postMessage({ id, result }, result && result.indices ? [result.indices.buffer] : []);
+			} catch (error) {
+				scope.postMessage({ id, error: error.message });
+			}
+		};
+	}
+	
+	return {
+		ReportSchema,
+		RecordNormalizer,
+		SearchQuery,
+		ConnectionFilter,
+		ConnectionFacets,
+		ActivityHeatmap,
+		SessionQuery,
+		RiskScore,
+		CampaignDetector,
+		CompromiseDetector,
+		AccountAnalytics,
+		parsePowerShellJSON,
+		createEngine,
+		setDebug: (enabled) => {
+			DEBUG = Boolean(enabled);
+		}
+	};
+}
+
+// Main-thread instance (the worker builds its own from the function source)
+const RdpMonPipeline = RdpMonPipelineModule(typeof self !== 'undefined' ? self : globalThis);
+
+/**
+ * CommonJS/Node.js compatibility
+ */
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = RdpMonPipeline;
+}